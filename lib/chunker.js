@@ -0,0 +1,132 @@
+// Text chunking for the local embeddings index
+
+const CJK_CHAR = '[\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff\\uac00-\\ud7af]';
+// One CJK character or one run of other non-space characters ≈ one token
+const TOKEN_PATTERN = new RegExp(`${CJK_CHAR}|[^\\s\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff\\uac00-\\ud7af]+`, 'g');
+const HEADING_PATTERN = /^#{1,6}\s/;
+
+export const DEFAULT_CHUNKING = {
+  strategy: 'paragraph',
+  maxTokens: 400,
+  overlapTokens: 50
+};
+
+/**
+ * Read chunking options from environment variables
+ */
+export function chunkingFromEnv(env = process.env) {
+  return {
+    strategy: env.CHUNK_STRATEGY || DEFAULT_CHUNKING.strategy,
+    maxTokens: parseInt(env.CHUNK_MAX_TOKENS, 10) || DEFAULT_CHUNKING.maxTokens,
+    overlapTokens: Number.isNaN(parseInt(env.CHUNK_OVERLAP_TOKENS, 10))
+      ? DEFAULT_CHUNKING.overlapTokens
+      : parseInt(env.CHUNK_OVERLAP_TOKENS, 10)
+  };
+}
+
+/**
+ * Locate approximate tokens in text; returns [start, end) offsets
+ */
+function tokenSpans(text) {
+  const spans = [];
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    spans.push([match.index, match.index + match[0].length]);
+  }
+  return spans;
+}
+
+/**
+ * Rough token count (CJK characters and Latin words both count as one)
+ */
+export function estimateTokens(text) {
+  return tokenSpans(String(text || '')).length;
+}
+
+/**
+ * Split text into fixed token windows with overlap
+ */
+function windowChunks(text, maxTokens, overlapTokens) {
+  const spans = tokenSpans(text);
+  if (spans.length <= maxTokens) return text.trim() ? [text.trim()] : [];
+
+  const step = Math.max(1, maxTokens - Math.min(overlapTokens, maxTokens - 1));
+  const chunks = [];
+  for (let start = 0; start < spans.length; start += step) {
+    const end = Math.min(start + maxTokens, spans.length);
+    chunks.push(text.slice(spans[start][0], spans[end - 1][1]).trim());
+    if (end === spans.length) break;
+  }
+  return chunks;
+}
+
+/**
+ * Group paragraphs into chunks up to maxTokens, starting a new chunk at every
+ * heading; paragraphs that are too long on their own fall back to token windows
+ */
+function paragraphChunks(text, maxTokens, overlapTokens) {
+  const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length > 0) chunks.push(current.join('\n\n'));
+    current = [];
+    currentTokens = 0;
+  };
+
+  for (const paragraph of paragraphs) {
+    const tokens = estimateTokens(paragraph);
+    // A heading is never left alone at the end of a chunk; it travels with the next paragraph
+    const onlyHeadings = current.length > 0 && current.every(p => HEADING_PATTERN.test(p));
+    if (HEADING_PATTERN.test(paragraph) && !onlyHeadings) flush();
+
+    if (tokens > maxTokens) {
+      const windows = windowChunks(paragraph, maxTokens, overlapTokens);
+      if (onlyHeadings) {
+        windows[0] = [...current, windows[0]].join('\n\n');
+        current = [];
+        currentTokens = 0;
+      }
+      flush();
+      chunks.push(...windows);
+      continue;
+    }
+    if (currentTokens + tokens > maxTokens && !onlyHeadings) flush();
+    current.push(paragraph);
+    currentTokens += tokens;
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Split text into chunks.
+ * @param {string} text - Plain text; blank lines separate paragraphs, `#` lines are headings
+ * @param {Object} opts
+ * @param {'paragraph'|'tokens'} opts.strategy - Paragraph/heading grouping or fixed token windows
+ * @param {number} opts.maxTokens - Upper bound of (estimated) tokens per chunk
+ * @param {number} opts.overlapTokens - Tokens repeated between consecutive windows
+ * @returns {string[]} Chunks in document order
+ */
+export function chunkText(text, opts = {}) {
+  const { strategy, maxTokens, overlapTokens } = { ...DEFAULT_CHUNKING, ...opts };
+  const input = String(text || '').trim();
+  if (!input) return [];
+
+  if (strategy === 'tokens') {
+    return windowChunks(input.replace(/\s*\n\s*/g, ' '), maxTokens, overlapTokens);
+  }
+  if (strategy === 'paragraph') {
+    return paragraphChunks(input, maxTokens, overlapTokens);
+  }
+  throw new Error(`Unknown chunking strategy: ${strategy}`);
+}
+
+export default {
+  chunkText,
+  chunkingFromEnv,
+  estimateTokens,
+  DEFAULT_CHUNKING
+};
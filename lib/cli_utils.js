@@ -0,0 +1,34 @@
+import readline from 'readline/promises';
+
+// Small helpers shared by the storage maintenance scripts
+
+/**
+ * Human-readable size, e.g. 1536 -> "1.5 KB"
+ */
+export function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / 1024 ** exponent).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Ask a yes/no question; without a terminal only --yes can confirm
+ */
+export async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    console.log('ℹ️  No terminal to confirm on; pass --yes to delete without asking');
+    return false;
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+export default {
+  formatBytes,
+  confirm
+};
@@ -0,0 +1,57 @@
+import { SearchError } from './errors.js';
+
+// Dates of the search filters (date_from, date_to): YYYY-MM-DD or an ISO 8601
+// date-time. Without a zone they are UTC. Both indexes store the publish date
+// in GMT (WordPress `date_gmt`), so filter values and post dates compare as
+// timestamps. Posts without one (drafts never scheduled) fall back to the
+// site-local `date`, read as UTC, which can be off by the site's offset.
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?([zZ]|[+-]\d{2}:?\d{2})?)?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Milliseconds of a YYYY-MM-DD or ISO 8601 date, or null when the value is
+ * not one (including impossible dates such as 2024-02-30)
+ */
+export function parseDate(value) {
+  const match = typeof value === 'string' && value.match(DATE_PATTERN);
+  if (!match) return null;
+  const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1, 7).map(part => (part === undefined ? undefined : Number(part)));
+  const [fraction, zone = 'Z'] = match.slice(7);
+  const time = Date.UTC(year, month - 1, day, hours, minutes, seconds, Math.floor(Number(fraction || 0) * 1000));
+  const date = new Date(time);
+  // Date.UTC rolls 2024-02-30 over into March and 24:00 into the next day
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hours > 23 || minutes > 59 || seconds > 59) return null;
+  const offsetMinutes = zone.toUpperCase() === 'Z' ? 0 : Number(zone.slice(1, 3)) * 60 + Number(zone.slice(-2));
+  return time - (zone[0] === '-' ? -1 : 1) * offsetMinutes * 60 * 1000;
+}
+
+/**
+ * Whether a value is a valid filter date
+ */
+export function isValidDate(value) {
+  return parseDate(value) !== null;
+}
+
+/**
+ * Bounds of the date filters in milliseconds (null when unset); a date-only
+ * `date_to` includes that whole day
+ * @throws {SearchError} invalid_input for a date that does not parse
+ */
+export function dateRange({ date_from, date_to } = {}) {
+  const timeOf = (name, value) => {
+    if (!value) return null;
+    const time = parseDate(value);
+    if (time === null) throw new SearchError('invalid_input', `Invalid ${name}: ${value} (expected YYYY-MM-DD or ISO 8601)`);
+    return time;
+  };
+  const from = timeOf('date_from', date_from);
+  const to = timeOf('date_to', date_to);
+  return { from, to: to !== null && /^\d{4}-\d{2}-\d{2}$/.test(date_to) ? to + DAY_MS - 1 : to };
+}
+
+export default {
+  parseDate,
+  isValidDate,
+  dateRange
+};
@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Binary embedding store: a Float32 vector file plus a JSON metadata sidecar.
+// Vectors are L2-normalized on write, so cosine similarity is a plain dot product.
+
+export const STORE_FORMAT = 'wordpress-embeddings';
+export const STORE_VERSION = 1;
+export const VECTORS_FILENAME = 'embeddings.bin';
+export const META_FILENAME = 'embeddings.meta.json';
+export const LEGACY_FILENAME = 'embeddings.json';
+
+// dir -> { mtimeMs, store }
+const cache = new Map();
+
+/**
+ * Scale a vector to unit length (zero vectors are returned unchanged)
+ */
+export function normalizeVector(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+/**
+ * Vector of the i-th document (a view into the shared buffer, do not mutate)
+ */
+export function vectorAt(store, index) {
+  const offset = index * store.dimensions;
+  return store.vectors.subarray(offset, offset + store.dimensions);
+}
+
+/**
+ * Dot product between a (normalized) query and the i-th stored vector
+ */
+export function dotAt(store, index, query) {
+  const { vectors, dimensions } = store;
+  const offset = index * dimensions;
+  let dot = 0;
+  for (let d = 0; d < dimensions; d++) dot += vectors[offset + d] * query[d];
+  return dot;
+}
+
+/**
+ * Write documents and their vectors in the binary format.
+ * Files are written to temporary names first and renamed, so a running
+ * server never sees a half-written store.
+ * @param {string} dir - Data directory
+ * @param {Object} data
+ * @param {Object[]} data.documents - Documents, one per vector
+ * @param {ArrayLike<number>[]} data.vectors - Embeddings (normalized here)
+ * @param {Object} [data.meta] - Extra header fields (model, chunking, sync, ...)
+ */
+export async function writeEmbeddingStore(dir, { documents, vectors, meta = {} }) {
+  if (documents.length !== vectors.length) {
+    throw new Error(`Mismatch: ${documents.length} documents but ${vectors.length} vectors`);
+  }
+  const dimensions = vectors.length > 0 ? vectors[0].length : 0;
+  const packed = new Float32Array(documents.length * dimensions);
+  vectors.forEach((vector, i) => {
+    if (vector.length !== dimensions) {
+      throw new Error(`Vector ${i} has ${vector.length} dimensions, expected ${dimensions}`);
+    }
+    packed.set(normalizeVector(vector), i * dimensions);
+  });
+
+  const header = {
+    format: STORE_FORMAT,
+    version: STORE_VERSION,
+    created_at: new Date().toISOString(),
+    ...meta,
+    dimensions,
+    total_documents: documents.length,
+    normalized: true,
+    byte_order: 'little',
+  };
+
+  await fs.mkdir(dir, { recursive: true });
+  const vectorsPath = path.join(dir, VECTORS_FILENAME);
+  const metaPath = path.join(dir, META_FILENAME);
+  await fs.writeFile(`${vectorsPath}.tmp`, Buffer.from(packed.buffer, packed.byteOffset, packed.byteLength));
+  await fs.writeFile(`${metaPath}.tmp`, JSON.stringify({ ...header, documents }));
+  // The metadata file is renamed last: its mtime marks the store as complete
+  await fs.rename(`${vectorsPath}.tmp`, vectorsPath);
+  await fs.rename(`${metaPath}.tmp`, metaPath);
+  cache.delete(path.resolve(dir));
+
+  return { ...header, vectorsPath, metaPath };
+}
+
+/**
+ * Read a legacy pretty-printed embeddings.json into the in-memory store shape
+ */
+export async function readLegacyEmbeddings(file) {
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  const { documents = [], embeddings = [], ...meta } = data;
+  if (documents.length !== embeddings.length) {
+    throw new Error(`Mismatch in ${file}: ${documents.length} documents but ${embeddings.length} embeddings`);
+  }
+  const dimensions = embeddings.length > 0 ? embeddings[0].length : 0;
+  const vectors = new Float32Array(documents.length * dimensions);
+  embeddings.forEach((embedding, i) => vectors.set(normalizeVector(embedding), i * dimensions));
+  return { meta: { ...meta, dimensions, normalized: true }, documents, vectors, dimensions, count: documents.length };
+}
+
+/**
+ * Read the store from disk without caching.
+ * Falls back to a legacy embeddings.json when no binary store exists yet.
+ * @returns {Promise<Object|null>} { meta, documents, vectors, dimensions, count } or null when nothing is indexed
+ */
+export async function readEmbeddingStore(dir) {
+  const metaPath = path.join(dir, META_FILENAME);
+  let meta;
+  try {
+    meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    try {
+      const legacy = await readLegacyEmbeddings(path.join(dir, LEGACY_FILENAME));
+      console.error(`Using legacy ${LEGACY_FILENAME}; convert it with: node scripts/convert-embeddings.js`);
+      return legacy;
+    } catch (legacyError) {
+      if (legacyError.code === 'ENOENT') return null;
+      throw legacyError;
+    }
+  }
+
+  if (meta.format !== STORE_FORMAT) throw new Error(`${metaPath} is not an embeddings store`);
+  if (meta.version > STORE_VERSION) throw new Error(`${metaPath} has unsupported version ${meta.version}`);
+
+  const { documents, ...header } = meta;
+  const buffer = await fs.readFile(path.join(dir, VECTORS_FILENAME));
+  const expectedBytes = header.total_documents * header.dimensions * Float32Array.BYTES_PER_ELEMENT;
+  if (buffer.byteLength !== expectedBytes) {
+    throw new Error(`${VECTORS_FILENAME} has ${buffer.byteLength} bytes, expected ${expectedBytes}`);
+  }
+  // Float32Array views need 4-byte alignment; copy when the buffer is pooled at an odd offset
+  const aligned = buffer.byteOffset % 4 === 0 ? buffer : Buffer.from(buffer);
+  const vectors = new Float32Array(aligned.buffer, aligned.byteOffset, aligned.byteLength / 4);
+
+  return { meta: header, documents, vectors, dimensions: header.dimensions, count: header.total_documents };
+}
+
+/**
+ * Load the store once and keep it in memory.
+ * The metadata file's mtime is checked on each call so a long-running server
+ * picks up a rebuilt index without restarting.
+ */
+export async function loadEmbeddingStore(dir) {
+  const key = path.resolve(dir);
+  let mtimeMs;
+  try {
+    mtimeMs = (await fs.stat(path.join(dir, META_FILENAME))).mtimeMs;
+  } catch {
+    try {
+      mtimeMs = (await fs.stat(path.join(dir, LEGACY_FILENAME))).mtimeMs;
+    } catch {
+      cache.delete(key);
+      return null;
+    }
+  }
+
+  const cached = cache.get(key);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.store;
+
+  const store = await readEmbeddingStore(dir);
+  if (store) cache.set(key, { mtimeMs, store });
+  return store;
+}
+
+export default {
+  writeEmbeddingStore,
+  readEmbeddingStore,
+  loadEmbeddingStore,
+  readLegacyEmbeddings,
+  normalizeVector,
+  vectorAt,
+  dotAt
+};
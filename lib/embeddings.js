@@ -0,0 +1,151 @@
+import OpenAI from 'openai';
+import { tokenize } from './keyword_index.js';
+import { requestClientOptions, requestConfigFromEnv } from './openai_requests.js';
+
+// Embedding providers share one shape:
+//   { name, model, dimensions, embed(texts) => Promise<number[][]> }
+// selected by EMBEDDING_PROVIDER:
+//   openai     - OpenAI embeddings API (default)
+//   compatible - any OpenAI-compatible server (Ollama, LM Studio, vLLM, ...) at EMBEDDING_BASE_URL
+//   hash       - deterministic hashed n-gram vectors; offline, no API key, for CI and local testing
+
+export const EMBEDDING_PROVIDERS = ['openai', 'compatible', 'hash'];
+export const HASH_MODEL = 'hashed-ngrams-v1';
+const HASH_DEFAULT_DIMENSIONS = 512;
+
+/**
+ * Read embedding provider settings from environment variables
+ */
+export function embeddingConfigFromEnv(env = process.env) {
+  const provider = env.EMBEDDING_PROVIDER || 'openai';
+  const dimensions = parseInt(env.EMBEDDING_DIMENSIONS, 10) || undefined;
+  return {
+    provider,
+    model: provider === 'hash' ? HASH_MODEL : (env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'),
+    dimensions: provider === 'hash' ? (dimensions || HASH_DEFAULT_DIMENSIONS) : dimensions,
+    baseURL: env.EMBEDDING_BASE_URL || (provider === 'openai' ? env.OPENAI_BASE_URL : undefined),
+    apiKey: env.EMBEDDING_API_KEY || (provider === 'openai' ? env.OPENAI_API_KEY : undefined),
+    organization: provider === 'openai' ? env.OPENAI_ORGANIZATION : undefined,
+    project: provider === 'openai' ? env.OPENAI_PROJECT : undefined,
+    requests: requestConfigFromEnv(env),
+  };
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Hashed bag of words + character trigrams, signed feature hashing, L2-normalized
+ */
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const features = new Map();
+  for (const token of tokenize(text)) {
+    features.set(`w:${token}`, (features.get(`w:${token}`) || 0) + 1);
+    const padded = ` ${token} `;
+    for (let i = 0; i + 3 <= padded.length && token.length > 2; i++) {
+      const gram = `g:${padded.slice(i, i + 3)}`;
+      features.set(gram, (features.get(gram) || 0) + 0.5);
+    }
+  }
+
+  for (const [feature, count] of features) {
+    const hash = fnv1a(feature);
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * Math.log1p(count);
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return norm > 0 ? vector.map(x => x / norm) : vector;
+}
+
+/**
+ * Provider backed by the OpenAI embeddings API or a server that speaks it
+ */
+function createOpenAIProvider(config) {
+  if (config.provider === 'compatible' && !config.baseURL) {
+    throw new Error('EMBEDDING_PROVIDER=compatible requires EMBEDDING_BASE_URL (e.g. http://localhost:11434/v1)');
+  }
+
+  let client;
+  return {
+    name: config.provider,
+    model: config.model,
+    dimensions: config.dimensions,
+    baseURL: config.baseURL || null,
+    async embed(texts) {
+      // Created on first use so importing this module never needs an API key
+      client ||= new OpenAI({
+        apiKey: config.apiKey || (config.provider === 'compatible' ? 'not-needed' : undefined),
+        organization: config.organization,
+        project: config.project,
+        baseURL: config.baseURL,
+        ...requestClientOptions(config, config.requests),
+      });
+      const response = await client.embeddings.create({
+        model: config.model,
+        input: texts,
+        ...(config.dimensions && { dimensions: config.dimensions }),
+        // Many compatible servers do not implement base64 encoding
+        ...(config.provider === 'compatible' && { encoding_format: 'float' }),
+      });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
+
+/**
+ * Deterministic offline provider
+ */
+function createHashProvider(config) {
+  return {
+    name: 'hash',
+    model: HASH_MODEL,
+    dimensions: config.dimensions,
+    async embed(texts) {
+      return texts.map(text => hashEmbedding(text, config.dimensions));
+    }
+  };
+}
+
+/**
+ * Create the embedding provider described by `config`
+ * @param {Object} [config] - See embeddingConfigFromEnv (default: from environment)
+ */
+export function createEmbeddingProvider(config = embeddingConfigFromEnv()) {
+  if (config.provider === 'openai' || config.provider === 'compatible') return createOpenAIProvider(config);
+  if (config.provider === 'hash') return createHashProvider(config);
+  throw new Error(`Unknown EMBEDDING_PROVIDER "${config.provider}" (expected one of: ${EMBEDDING_PROVIDERS.join(', ')})`);
+}
+
+/**
+ * Throw when an index was embedded by a different provider/model than the
+ * one configured; vectors from different models are not comparable
+ */
+export function assertCompatibleIndex(meta, provider) {
+  const indexProvider = meta.embedding_provider || 'openai';
+  const sameSpace = indexProvider === 'hash' || provider.name === 'hash'
+    ? indexProvider === provider.name
+    : meta.model === provider.model;
+  if (!sameSpace) {
+    throw new Error(`Index was built with ${indexProvider}/${meta.model} but ${provider.name}/${provider.model} is configured; rebuild the index or change EMBEDDING_PROVIDER/OPENAI_EMBEDDING_MODEL`);
+  }
+}
+
+export default {
+  createEmbeddingProvider,
+  embeddingConfigFromEnv,
+  assertCompatibleIndex,
+  EMBEDDING_PROVIDERS
+};
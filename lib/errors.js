@@ -0,0 +1,22 @@
+// Errors of the search functions that callers answer differently from a
+// plain failure. The REST API maps `code` to a status; MCP tools show the
+// message either way.
+//
+//   invalid_input     the request is wrong (bad date, option not allowed here)
+//   not_configured    the index lacks a setting it needs to serve the request
+//   bad_model_output  the model's answer failed validation after its repairs
+
+export const SEARCH_ERROR_CODES = ['invalid_input', 'not_configured', 'bad_model_output'];
+
+export class SearchError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SearchError';
+    this.code = code;
+  }
+}
+
+export default {
+  SEARCH_ERROR_CODES,
+  SearchError
+};
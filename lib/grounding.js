@@ -0,0 +1,209 @@
+import { loadEmbeddingStore } from './embedding_store.js';
+import { loadManifest } from './vector_store_manifest.js';
+import { itemKey } from './wordpress.js';
+
+// Grounding of model-written vs_search results: every item must point at a
+// post that is known to exist, from the file_search hits (file attributes),
+// the index's local documents or the vector store manifest. Grounded items
+// get the real permalink and the files they were cited from; the rest are
+// dropped or flagged, since callers paste these links to users.
+
+export const UNGROUNDED_POLICIES = ['drop', 'flag'];
+
+/**
+ * Comparable form of a URL: scheme, `www.`, fragment, trailing slash and
+ * query parameters other than post IDs (?p=, ?page_id=) do not matter
+ */
+export function canonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  let pathname = parsed.pathname;
+  try {
+    pathname = decodeURIComponent(pathname);
+  } catch {
+    // Keep malformed escapes as they are
+  }
+  const id = parsed.searchParams.get('p') || parsed.searchParams.get('page_id');
+  return `${host}${pathname.replace(/\/+$/, '')}${id ? `?p=${id}` : ''}`;
+}
+
+function normalizeTitle(title) {
+  return String(title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Retrieved chunks of the file_search calls in a response (requires
+ * `include: ['file_search_call.results']`)
+ */
+export function fileSearchHits(response) {
+  return (response?.output || [])
+    .filter(item => item.type === 'file_search_call')
+    .flatMap(item => item.results || []);
+}
+
+/**
+ * file_citation annotations of the model's answer
+ * @returns {{ file_id: string, filename: string }[]}
+ */
+export function fileCitations(response) {
+  return (response?.output || [])
+    .filter(item => item.type === 'message')
+    .flatMap(item => item.content || [])
+    .flatMap(part => part.annotations || [])
+    .filter(annotation => annotation.type === 'file_citation');
+}
+
+/**
+ * Everything a result can be grounded in, by post key, file, URL and title
+ * @param {Object} sources
+ * @param {Object[]} [sources.hits] - From fileSearchHits
+ * @param {Object[]} [sources.documents] - Local store documents
+ * @param {Object} [sources.manifest] - Vector store manifest
+ */
+export function buildGroundingCatalog({ hits = [], documents = [], manifest = null }) {
+  const posts = new Map();
+  const entry = key => {
+    if (!posts.has(key)) posts.set(key, { key, files: new Set(), chunks: [] });
+    return posts.get(key);
+  };
+
+  for (const doc of documents) {
+    const { post_id, post_type, title, link, wp_date } = doc.metadata || {};
+    if (post_id === undefined) continue;
+    const post = entry(itemKey(post_type, post_id));
+    Object.assign(post, { post_id, post_type: post_type || 'post', title: post.title || title, link: post.link || link, date: post.date || wp_date });
+  }
+
+  // Files of the manifest tie file citations to posts
+  const fileKeys = new Map();
+  for (const [key, item] of Object.entries(manifest?.items || {})) {
+    const post = entry(key);
+    post.post_id ??= item.post_id;
+    post.post_type ??= item.post_type;
+    post.files.add(item.file_id);
+    fileKeys.set(item.file_id, key);
+    fileKeys.set(item.filename, key);
+  }
+
+  // File attributes are what was uploaded most recently, so they win over the local store
+  for (const hit of hits) {
+    const attributes = hit.attributes || {};
+    const key = attributes.post_id !== undefined ? itemKey(attributes.post_type, attributes.post_id) : fileKeys.get(hit.file_id);
+    if (!key) continue;
+    const post = entry(key);
+    post.post_id = attributes.post_id ?? post.post_id;
+    post.post_type = attributes.post_type || post.post_type;
+    post.title = attributes.title || post.title;
+    post.link = attributes.link || post.link;
+    if (typeof attributes.date === 'number') post.date = new Date(attributes.date * 1000).toISOString();
+    post.files.add(hit.file_id);
+    post.chunks.push(hit);
+    fileKeys.set(hit.file_id, key);
+    if (hit.filename) fileKeys.set(hit.filename, key);
+  }
+
+  const byUrl = new Map();
+  const byTitle = new Map();
+  for (const post of posts.values()) {
+    const url = canonicalUrl(post.link);
+    if (url) byUrl.set(url, post);
+    // A site URL with ?p=<id> reaches the post as well
+    if (url && post.post_type !== 'comment') byUrl.set(`${url.split('/')[0]}?p=${post.post_id}`, post);
+    if (post.title && !byTitle.has(normalizeTitle(post.title))) byTitle.set(normalizeTitle(post.title), post);
+  }
+  return { posts, fileKeys, byUrl, byTitle };
+}
+
+/**
+ * The known post a model-written item refers to: by cited file (source),
+ * then by link, then by exact title
+ */
+function findPost(item, catalog) {
+  const fileKey = item.source && catalog.fileKeys.get(item.source);
+  if (fileKey) return catalog.posts.get(fileKey);
+  const url = item.link && canonicalUrl(item.link);
+  if (url && catalog.byUrl.has(url)) return catalog.byUrl.get(url);
+  return item.title ? catalog.byTitle.get(normalizeTitle(item.title)) : undefined;
+}
+
+/**
+ * Ground model-written items. Grounded items get the post's permalink,
+ * title, IDs and `citations` (file and chunk, from the answer's
+ * file_citation annotations, else from the retrieved chunks); two items
+ * for the same post are merged into the first. Ungrounded items are
+ * dropped, or with policy "flag" kept with `grounded: false` and their
+ * link moved to `unverified_link`.
+ * @param {Object[]} items - Validated model items
+ * @param {Object} catalog - From buildGroundingCatalog
+ * @param {Object[]} citations - From fileCitations
+ * @param {'drop'|'flag'} [policy]
+ * @returns {{ results: Object[], ungrounded: number }}
+ */
+export function groundResults(items, catalog, citations, policy = 'drop') {
+  const results = [];
+  const seen = new Set();
+  let ungrounded = 0;
+
+  for (const item of items) {
+    const post = findPost(item, catalog);
+    if (!post) {
+      ungrounded += 1;
+      if (policy === 'flag') {
+        const { link, ...rest } = item;
+        results.push({ ...rest, ...(link && { unverified_link: link }), grounded: false });
+      }
+      continue;
+    }
+    if (seen.has(post.key)) continue;
+    seen.add(post.key);
+
+    const cited = citations.filter(citation => post.files.has(citation.file_id));
+    const best = [...post.chunks].sort((a, b) => b.score - a.score)[0];
+    const fileCitationsOf = cited.length > 0
+      ? [...new Map(cited.map(citation => [citation.file_id, citation])).values()]
+        .map(citation => ({ file_id: citation.file_id, filename: citation.filename }))
+      : best ? [{ file_id: best.file_id, filename: best.filename }] : [];
+
+    results.push({
+      ...item,
+      title: post.title || item.title,
+      // Without a known permalink the model's link cannot be trusted
+      link: post.link || undefined,
+      source: fileCitationsOf[0]?.filename || item.source,
+      post_id: post.post_id,
+      post_type: post.post_type,
+      ...(post.date && { date: post.date.slice(0, 10) }),
+      grounded: true,
+      citations: fileCitationsOf.map(citation => {
+        const chunk = post.chunks.filter(hit => hit.file_id === citation.file_id).sort((a, b) => b.score - a.score)[0];
+        return { ...citation, ...(chunk && { chunk: chunk.text, chunk_score: chunk.score }) };
+      }),
+    });
+  }
+  return { results, ungrounded };
+}
+
+/**
+ * Catalog for a search of this index: the retrieved chunks plus the local
+ * store and manifest when they exist
+ */
+export async function loadGroundingCatalog(index, hits) {
+  const store = await loadEmbeddingStore(index.dataDir).catch(() => null);
+  const manifest = await loadManifest(index.dataDir, index.env.OPENAI_VECTOR_STORE_ID).catch(() => null);
+  return buildGroundingCatalog({ hits, documents: store?.documents || [], manifest });
+}
+
+export default {
+  UNGROUNDED_POLICIES,
+  canonicalUrl,
+  fileSearchHits,
+  fileCitations,
+  buildGroundingCatalog,
+  groundResults,
+  loadGroundingCatalog
+};
@@ -0,0 +1,62 @@
+import { loadEmbeddingStore } from './embedding_store.js';
+import { getQueryCacheStats } from './search.js';
+import { listIndexes } from './indexes.js';
+
+/**
+ * Collect configuration and index status, read from each index's env
+ * `ready` is true when every index can serve searches. Only indexes without a
+ * Vector Store search locally, so only they need a loaded embeddings store.
+ * @returns {Promise<{ ok: boolean, ready: boolean, checks: { name: string, ok: boolean, detail: string }[] }>}
+ */
+export async function collectHealth() {
+  const checks = [];
+  const check = (name, ok, detail) => checks.push({ name, ok, detail });
+  const indexes = listIndexes();
+  let ready = true;
+
+  const cacheStats = getQueryCacheStats();
+  check('Query embedding cache', true, `${cacheStats.entries} in memory, ${cacheStats.hits} hits / ${cacheStats.misses} misses / ${cacheStats.stale_hits} stale${cacheStats.file ? ` (file: ${cacheStats.file})` : ''}`);
+
+  for (const index of indexes) {
+    const { env } = index;
+    const suffix = indexes.length > 1 ? ` [${index.name}]` : '';
+
+    // Check environment variables
+    check(`OPENAI_API_KEY${suffix}`, Boolean(env.OPENAI_API_KEY), env.OPENAI_API_KEY ? 'Set' : 'Missing');
+    check(`EMBEDDING_PROVIDER${suffix}`, true, `${env.EMBEDDING_PROVIDER || 'openai (default)'}${env.EMBEDDING_BASE_URL ? ` @ ${env.EMBEDDING_BASE_URL}` : ''}`);
+    check(`OPENAI_EMBEDDING_MODEL${suffix}`, true, env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small (default)');
+    check(`WORDPRESS_POSTS_URL${suffix}`, Boolean(env.WORDPRESS_POSTS_URL), env.WORDPRESS_POSTS_URL ? 'Set' : 'Missing');
+    check(`OPENAI_VECTOR_STORE_ID${suffix}`, true, env.OPENAI_VECTOR_STORE_ID || 'Not set (local search only)');
+    check(`MIN_SIMILARITY${suffix}`, true, env.MIN_SIMILARITY || '0.30 (default)');
+
+    // Check the embeddings store; an index with a Vector Store can do without it
+    const searchesLocally = !env.OPENAI_VECTOR_STORE_ID;
+    const build = `node scripts/build-index.js${index.isDefault ? '' : ` --index ${index.name}`}`;
+    try {
+      const store = await loadEmbeddingStore(index.dataDir);
+      if (store) {
+        check(`Embeddings store${suffix}`, true, `${store.count} documents, ${store.dimensions} dimensions (${store.meta.embedding_provider || 'openai'}/${store.meta.model || 'unknown model'})`);
+        if (searchesLocally) ready &&= store.count > 0;
+      } else if (searchesLocally) {
+        check(`Embeddings store${suffix}`, false, `Missing (run: ${build})`);
+        ready = false;
+      } else {
+        check(`Embeddings store${suffix}`, true, `Not built, searches use the Vector Store (for local search run: ${build})`);
+      }
+    } catch (error) {
+      check(`Embeddings store${suffix}`, false, `Unreadable (${error.message})`);
+      if (searchesLocally) ready = false;
+    }
+  }
+
+  return { ok: checks.every(c => c.ok), ready, checks };
+}
+
+/**
+ * Render health checks as text lines
+ */
+export function formatHealth({ checks }) {
+  return checks.map(c => `${c.ok ? '✅' : '❌'} ${c.name}: ${c.detail}`).join('\n');
+}
+
+export default { collectHealth, formatHealth };
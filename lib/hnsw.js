@@ -0,0 +1,310 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Pure-JS HNSW (Hierarchical Navigable Small World) graph over the normalized
+// vectors of the embedding store. Similarity is the dot product, higher is closer.
+
+export const HNSW_FORMAT = 'wordpress-embeddings-hnsw';
+export const HNSW_VERSION = 1;
+export const HNSW_FILENAME = 'embeddings.hnsw.json';
+
+export const DEFAULT_HNSW = {
+  M: 16,
+  efConstruction: 200,
+  efSearch: 100,
+  seed: 42
+};
+
+// dir -> { mtimeMs, graph }
+const cache = new Map();
+
+/**
+ * Read HNSW options from environment variables
+ */
+export function hnswFromEnv(env = process.env) {
+  return {
+    M: parseInt(env.HNSW_M, 10) || DEFAULT_HNSW.M,
+    efConstruction: parseInt(env.HNSW_EF_CONSTRUCTION, 10) || DEFAULT_HNSW.efConstruction,
+    efSearch: parseInt(env.HNSW_EF_SEARCH, 10) || DEFAULT_HNSW.efSearch,
+    seed: DEFAULT_HNSW.seed
+  };
+}
+
+/**
+ * Binary heap ordered by `higherFirst ? score desc : score asc`
+ */
+function createHeap(higherFirst) {
+  const items = [];
+  const before = (a, b) => (higherFirst ? a.score > b.score : a.score < b.score);
+
+  function swap(i, j) {
+    const tmp = items[i];
+    items[i] = items[j];
+    items[j] = tmp;
+  }
+
+  return {
+    size: () => items.length,
+    peek: () => items[0],
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!before(items[i], items[parent])) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        while (true) {
+          const l = 2 * i + 1;
+          const r = l + 1;
+          let best = i;
+          if (l < items.length && before(items[l], items[best])) best = l;
+          if (r < items.length && before(items[r], items[best])) best = r;
+          if (best === i) break;
+          swap(i, best);
+          i = best;
+        }
+      }
+      return top;
+    },
+    toArray: () => items.slice()
+  };
+}
+
+/**
+ * Small deterministic PRNG so builds are reproducible
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function dot(vectors, dimensions, i, query) {
+  const offset = i * dimensions;
+  let sum = 0;
+  for (let d = 0; d < dimensions; d++) sum += vectors[offset + d] * query[d];
+  return sum;
+}
+
+function nodeVector(store, i) {
+  return store.vectors.subarray(i * store.dimensions, (i + 1) * store.dimensions);
+}
+
+/**
+ * Best-first search within one layer; returns up to `ef` nodes, best first
+ */
+function searchLayer(graph, store, query, entryPoints, ef, layer) {
+  const visited = new Set();
+  const candidates = createHeap(true);
+  const found = createHeap(false);
+
+  for (const ep of entryPoints) {
+    visited.add(ep.index);
+    candidates.push(ep);
+    found.push(ep);
+  }
+  while (found.size() > ef) found.pop();
+
+  while (candidates.size() > 0) {
+    const current = candidates.pop();
+    if (found.size() >= ef && current.score < found.peek().score) break;
+
+    for (const neighbor of graph.neighbors[current.index][layer] || []) {
+      if (visited.has(neighbor)) continue;
+      visited.add(neighbor);
+      const score = dot(store.vectors, store.dimensions, neighbor, query);
+      if (found.size() < ef || score > found.peek().score) {
+        const item = { index: neighbor, score };
+        candidates.push(item);
+        found.push(item);
+        if (found.size() > ef) found.pop();
+      }
+    }
+  }
+
+  return found.toArray().sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Neighbor selection heuristic: keep a candidate only when it is closer to the
+ * base than to every neighbor kept so far, then top up with the pruned ones
+ */
+function selectNeighbors(store, candidates, max) {
+  const selected = [];
+  const pruned = [];
+  for (const candidate of candidates) {
+    if (selected.length >= max) break;
+    const candidateVector = nodeVector(store, candidate.index);
+    const diverse = selected.every(kept =>
+      candidate.score > dot(store.vectors, store.dimensions, kept.index, candidateVector));
+    (diverse ? selected : pruned).push(candidate);
+  }
+  for (const candidate of pruned) {
+    if (selected.length >= max) break;
+    selected.push(candidate);
+  }
+  return selected;
+}
+
+/**
+ * Build an HNSW graph over every vector of the store.
+ * @param {Object} store - Embedding store ({ vectors, dimensions, count })
+ * @param {Object} opts
+ * @param {number} opts.M - Max neighbors per node on upper layers (2M on layer 0)
+ * @param {number} opts.efConstruction - Candidate list size while inserting
+ * @returns {Object} Graph ({ M, efConstruction, entryPoint, maxLevel, levels, neighbors })
+ */
+export function buildHnsw(store, opts = {}) {
+  const { M, efConstruction, seed } = { ...DEFAULT_HNSW, ...opts };
+  const random = mulberry32(seed);
+  const levelMult = 1 / Math.log(M);
+  const graph = {
+    M,
+    efConstruction,
+    entryPoint: -1,
+    maxLevel: -1,
+    levels: new Array(store.count),
+    neighbors: new Array(store.count)
+  };
+
+  for (let i = 0; i < store.count; i++) {
+    const level = Math.floor(-Math.log(1 - random()) * levelMult);
+    graph.levels[i] = level;
+    graph.neighbors[i] = Array.from({ length: level + 1 }, () => []);
+
+    if (graph.entryPoint === -1) {
+      graph.entryPoint = i;
+      graph.maxLevel = level;
+      continue;
+    }
+
+    const query = nodeVector(store, i);
+    let entry = [{ index: graph.entryPoint, score: dot(store.vectors, store.dimensions, graph.entryPoint, query) }];
+    for (let layer = graph.maxLevel; layer > level; layer--) {
+      entry = searchLayer(graph, store, query, entry, 1, layer);
+    }
+
+    for (let layer = Math.min(level, graph.maxLevel); layer >= 0; layer--) {
+      const maxConnections = layer === 0 ? 2 * M : M;
+      const found = searchLayer(graph, store, query, entry, efConstruction, layer);
+      const selected = selectNeighbors(store, found, M);
+      graph.neighbors[i][layer] = selected.map(n => n.index);
+
+      // Connect back, shrinking neighbor lists that grow past their limit
+      for (const neighbor of selected) {
+        const list = graph.neighbors[neighbor.index][layer];
+        list.push(i);
+        if (list.length > maxConnections) {
+          const base = nodeVector(store, neighbor.index);
+          const scored = list
+            .map(index => ({ index, score: dot(store.vectors, store.dimensions, index, base) }))
+            .sort((a, b) => b.score - a.score);
+          graph.neighbors[neighbor.index][layer] = selectNeighbors(store, scored, maxConnections).map(n => n.index);
+        }
+      }
+      entry = found;
+    }
+
+    if (level > graph.maxLevel) {
+      graph.maxLevel = level;
+      graph.entryPoint = i;
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Approximate k nearest neighbors of a normalized query
+ * @returns {{ index: number, score: number }[]} Best first
+ */
+export function searchHnsw(graph, store, query, k, efSearch = DEFAULT_HNSW.efSearch) {
+  if (graph.entryPoint === -1) return [];
+  let entry = [{ index: graph.entryPoint, score: dot(store.vectors, store.dimensions, graph.entryPoint, query) }];
+  for (let layer = graph.maxLevel; layer > 0; layer--) {
+    entry = searchLayer(graph, store, query, entry, 1, layer);
+  }
+  return searchLayer(graph, store, query, entry, Math.max(efSearch, k), 0).slice(0, k);
+}
+
+/**
+ * Persist the graph next to the embedding store
+ */
+export async function writeHnswIndex(dir, graph, store) {
+  const file = path.join(dir, HNSW_FILENAME);
+  const data = {
+    format: HNSW_FORMAT,
+    version: HNSW_VERSION,
+    created_at: new Date().toISOString(),
+    // Ties the graph to one build of the store; a rebuilt store invalidates it
+    store_created_at: store.meta.created_at,
+    count: store.count,
+    M: graph.M,
+    ef_construction: graph.efConstruction,
+    entry_point: graph.entryPoint,
+    max_level: graph.maxLevel,
+    neighbors: graph.neighbors
+  };
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(data));
+  await fs.rename(`${file}.tmp`, file);
+  cache.delete(path.resolve(dir));
+  return file;
+}
+
+/**
+ * Load the persisted graph for this store, or null when it is missing or was
+ * built for a different version of the store
+ */
+export async function loadHnswIndex(dir, store) {
+  const file = path.join(dir, HNSW_FILENAME);
+  const key = path.resolve(dir);
+  let mtimeMs;
+  try {
+    mtimeMs = (await fs.stat(file)).mtimeMs;
+  } catch {
+    cache.delete(key);
+    return null;
+  }
+
+  let graph = cache.get(key)?.mtimeMs === mtimeMs ? cache.get(key).graph : null;
+  if (!graph) {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (data.format !== HNSW_FORMAT || data.version > HNSW_VERSION) return null;
+    graph = {
+      M: data.M,
+      efConstruction: data.ef_construction,
+      entryPoint: data.entry_point,
+      maxLevel: data.max_level,
+      neighbors: data.neighbors,
+      storeCreatedAt: data.store_created_at,
+      count: data.count
+    };
+    cache.set(key, { mtimeMs, graph });
+  }
+
+  if (graph.storeCreatedAt !== store.meta.created_at || graph.count !== store.count) return null;
+  return graph;
+}
+
+export default {
+  buildHnsw,
+  searchHnsw,
+  writeHnswIndex,
+  loadHnswIndex,
+  hnswFromEnv,
+  DEFAULT_HNSW
+};
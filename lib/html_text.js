@@ -0,0 +1,262 @@
+// Text extraction from WordPress HTML, shared by both indexers: entities are
+// decoded, Gutenberg block comments, scripts and shortcodes removed, and the
+// structure kept as Markdown (headings, lists, code blocks, table rows,
+// quotes and image alt text), so the chunker can split on `#` lines and the
+// vector store sees the same text as the local index.
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', middot: '·', bull: '•',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  laquo: '«', raquo: '»', lsaquo: '‹', rsaquo: '›', prime: '′', Prime: '″',
+  copy: '©', reg: '®', trade: '™', deg: '°', plusmn: '±', times: '×', divide: '÷',
+  minus: '−', frac12: '½', frac14: '¼', frac34: '¾', sup2: '²', sup3: '³',
+  micro: 'µ', para: '¶', sect: '§', cent: '¢', pound: '£', euro: '€', yen: '¥',
+  larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔', hearts: '♥', check: '✓',
+  ensp: ' ', emsp: ' ', thinsp: ' ', zwj: '‍', zwnj: '‌', shy: ''
+};
+
+// What HTML parsers make of &#128; to &#159;: the Windows-1252 characters
+// (TextDecoder cannot be used, Node decodes windows-1252 as Latin-1)
+const WINDOWS_1252 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+// Removed with their content
+const DROPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'object', 'button', 'form', 'select'];
+// Elements that start and end a paragraph
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'section', 'article', 'aside', 'header', 'footer', 'main', 'nav', 'figure', 'figcaption',
+  'details', 'summary', 'dl', 'dt', 'dd', 'address', 'hr', 'center', 'caption'
+]);
+// Shortcodes WordPress leaves in rendered content when their plugin is gone
+const KNOWN_SHORTCODES = new Set(['caption', 'gallery', 'embed', 'audio', 'video', 'playlist', 'wp_caption']);
+
+/**
+ * Decode named (common ones) and numeric HTML entities; unknown ones stay as they are
+ */
+export function decodeEntities(text) {
+  return String(text || '').replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      // Windows-1252 quotes and dashes (&#146; etc.) still turn up in old posts
+      if (code >= 0x80 && code <= 0x9f) return WINDOWS_1252[code - 0x80];
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name] ?? entity;
+  });
+}
+
+/**
+ * Remove what never is content: comments (including Gutenberg block
+ * delimiters) and script-like elements
+ */
+function dropNoise(html) {
+  let out = String(html || '').replace(/<!--[\s\S]*?-->/g, '');
+  for (const name of DROPPED_ELEMENTS) {
+    out = out.replace(new RegExp(`<${name}\\b[\\s\\S]*?<\\/${name}\\s*>`, 'gi'), ' ');
+  }
+  return out;
+}
+
+/**
+ * Remove shortcode tags, keeping the text they enclose: `[name attr="..."]`,
+ * `[name /]`, `[/name]`, and bare `[name]` when it is closed or well known.
+ * Bracketed words in prose ("[sic]", "[1]") stay.
+ */
+export function stripShortcodes(text) {
+  const input = String(text || '');
+  const closed = new Set([...input.matchAll(/\[\/([a-zA-Z][\w-]*)\]/g)].map(match => match[1].toLowerCase()));
+  return input.replace(/\[(\/?)([a-zA-Z][\w-]*)((?:\s[^\]]*)?)\]/g, (tag, slash, name, rest) => {
+    const lower = name.toLowerCase();
+    if (slash || closed.has(lower) || KNOWN_SHORTCODES.has(lower) || /=|\/\s*$/.test(rest)) return '';
+    return tag;
+  });
+}
+
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : '';
+}
+
+/**
+ * Single-line plain text, for titles, excerpts and term names
+ */
+export function htmlToText(html) {
+  const text = dropNoise(html)
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<\/?(?:p|div|li|h[1-6]|tr|td|th|blockquote|pre|figure|figcaption)\b[^>]*>/gi, ' ')
+    .replace(/<[^>]*>/g, '');
+  return collapse(decodeEntities(stripShortcodes(text)));
+}
+
+/**
+ * Fenced code block of a <pre> element; the language comes from a
+ * `language-*` (Prism/highlight.js) or `lang:*` (SyntaxHighlighter) class
+ */
+function codeBlock(attributes, inner) {
+  const classes = `${attribute(`<pre ${attributes}>`, 'class')} ${attribute(inner.match(/^\s*<code\b[^>]*>/i)?.[0] || '', 'class')}`;
+  const language = classes.match(/(?:language|lang)[-:](\w[\w+#-]*)/i)?.[1] || '';
+  const code = decodeEntities(inner.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, ''))
+    .replace(/^\n+|\s+$/g, '');
+  const fence = code.includes('```') ? '~~~' : '```';
+  return `${fence}${language.toLowerCase()}\n${code}\n${fence}`;
+}
+
+/**
+ * Markdown of post content: `#` headings, `-`/`1.` list items (nested ones
+ * indented), fenced code blocks, `| a | b |` table rows, `>` quotes and
+ * `![alt](src)` images. Links keep their text only. Paragraphs are
+ * separated by blank lines.
+ */
+export function htmlToMarkdown(html) {
+  // Code blocks keep their whitespace, entities and brackets: out before anything else runs
+  const codeBlocks = [];
+  const source = stripShortcodes(dropNoise(html).replace(/<pre\b([^>]*)>([\s\S]*?)<\/pre\s*>/gi, (_, attributes, inner) => {
+    codeBlocks.push(codeBlock(attributes, inner));
+    return `<pre data-block="${codeBlocks.length - 1}"></pre>`;
+  }));
+
+  // Open headings, quotes, table cells and inline code collect their text in buffers of their own
+  const buffers = [{ type: 'root', text: '' }];
+  const lists = [];
+  const tables = [];
+  const current = () => buffers[buffers.length - 1];
+  const write = text => { current().text += text; };
+  const breakBlock = () => write('\n\n');
+  const open = (type, extra = {}) => buffers.push({ type, text: '', ...extra });
+  const close = type => {
+    // Unclosed elements inside are closed along with it
+    if (!buffers.some(buffer => buffer.type === type)) return null;
+    let buffer;
+    do {
+      buffer = buffers.pop();
+      if (buffer.type !== type) current().text += buffer.text;
+    } while (buffer.type !== type);
+    return buffer;
+  };
+
+  for (const token of source.split(/(<[^>]*>)/)) {
+    if (!token) continue;
+    if (token[0] !== '<') {
+      let text = decodeEntities(token).replace(/\s+/g, ' ');
+      if (/(^|\s)$/.test(current().text)) text = text.trimStart();
+      if (text) write(text);
+      continue;
+    }
+
+    const match = token.match(/^<(\/?)([a-zA-Z][\w-]*)/);
+    if (!match) continue;
+    const closing = match[1] === '/';
+    const name = match[2].toLowerCase();
+
+    if (/^h[1-6]$/.test(name)) {
+      if (!closing) {
+        open('heading', { level: Number(name[1]) });
+      } else {
+        const heading = close('heading');
+        const text = heading && collapse(heading.text);
+        if (text) write(`\n\n${'#'.repeat(heading.level)} ${text}\n\n`);
+      }
+    } else if (name === 'pre') {
+      const index = attribute(token, 'data-block');
+      if (!closing && index !== '') write(`\n\n\u0000${index}\u0000\n\n`);
+    } else if (name === 'code') {
+      if (!closing) {
+        open('code');
+      } else {
+        const code = close('code');
+        const text = code && collapse(code.text);
+        if (text) write(text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``);
+      }
+    } else if (name === 'blockquote') {
+      if (!closing) {
+        open('quote');
+      } else {
+        const quote = close('quote');
+        const text = quote && tidy(quote.text);
+        if (text) write(`\n\n${text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n`);
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      if (!closing) {
+        // Nested lists continue on the line after their item
+        if (lists.length === 0) breakBlock();
+        lists.push({ ordered: name === 'ol', next: Number(attribute(token, 'start')) || 1 });
+      } else {
+        lists.pop();
+        if (lists.length === 0) breakBlock();
+      }
+    } else if (name === 'li') {
+      if (!closing) {
+        const list = lists[lists.length - 1] || { ordered: false };
+        const marker = list.ordered ? `${list.next++}.` : '-';
+        write(`\n${'  '.repeat(Math.max(lists.length - 1, 0))}${marker} `);
+      }
+    } else if (name === 'table') {
+      if (!closing) {
+        tables.push({ rows: 0 });
+        breakBlock();
+      } else {
+        tables.pop();
+        breakBlock();
+      }
+    } else if (name === 'tr') {
+      if (!closing) {
+        open('row', { cells: [] });
+      } else {
+        const row = close('row');
+        const table = tables[tables.length - 1];
+        if (row && row.cells.length > 0) {
+          write(`\n| ${row.cells.join(' | ')} |`);
+          // The first row is the header row in Markdown, whether or not it used <th>
+          if (table && table.rows++ === 0) write(`\n|${' --- |'.repeat(row.cells.length)}`);
+        }
+      }
+    } else if (name === 'td' || name === 'th') {
+      if (!closing) {
+        open('cell');
+      } else {
+        const cell = close('cell');
+        const row = buffers.findLast(buffer => buffer.type === 'row');
+        if (cell && row) row.cells.push(collapse(cell.text).replace(/\|/g, '\\|'));
+      }
+    } else if (name === 'img') {
+      const alt = collapse(attribute(token, 'alt'));
+      const src = attribute(token, 'src');
+      if (alt) write(src ? `![${alt}](${src})` : alt);
+    } else if (name === 'br') {
+      write('\n');
+    } else if (BLOCK_ELEMENTS.has(name)) {
+      breakBlock();
+    }
+  }
+  // Elements left open at the end keep their text
+  while (buffers.length > 1) {
+    const buffer = buffers.pop();
+    current().text += buffer.text;
+  }
+
+  return tidy(buffers[0].text).replace(/\u0000(\d+)\u0000/g, (_, index) => codeBlocks[Number(index)]);
+}
+
+/**
+ * Trim every line and keep at most one blank line between paragraphs,
+ * leaving list indentation alone
+ */
+function tidy(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\s+$/, '').replace(/^ (?=\S)/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\n+$/g, '');
+}
+
+export default {
+  decodeEntities,
+  stripShortcodes,
+  htmlToText,
+  htmlToMarkdown
+};
@@ -0,0 +1,88 @@
+import { timingSafeEqual } from 'crypto';
+
+// Small helpers shared by the HTTP entry points (node:http, no framework)
+
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error carrying the HTTP status it should be answered with
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read the raw request body, rejecting bodies over `limit` bytes
+ */
+export async function readRawBody(req, limit = MAX_BODY_BYTES) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new HttpError(413, `Request body exceeds ${limit} bytes`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Read and parse a JSON request body (undefined when the body is empty)
+ */
+export async function readJsonBody(req, limit = MAX_BODY_BYTES) {
+  const raw = await readRawBody(req, limit);
+  if (raw.length === 0) return undefined;
+  try {
+    return JSON.parse(raw.toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+/**
+ * Send a JSON response
+ */
+export function sendJson(res, status, body, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Constant-time string comparison
+ */
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a ?? ''));
+  const right = Buffer.from(String(b ?? ''));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * True when the request carries `Authorization: Bearer <token>` (or no token is configured)
+ */
+export function isAuthorized(req, token) {
+  if (!token) return true;
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return Boolean(match) && safeEqual(match[1].trim(), token);
+}
+
+/**
+ * True for hosts that are only reachable from this machine
+ */
+export function isLoopbackHost(host) {
+  return ['127.0.0.1', 'localhost', '::1'].includes(host);
+}
+
+export default {
+  HttpError,
+  readRawBody,
+  readJsonBody,
+  sendJson,
+  safeEqual,
+  isAuthorized,
+  isLoopbackHost
+};
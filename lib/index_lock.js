@@ -0,0 +1,118 @@
+import { promises as fs, unlinkSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// One writer at a time per index data directory. build-index.js,
+// build-index-vs.js and the webhook server each read the embeddings store or
+// the vector store manifest, change it and write it back whole, so two of
+// them at once would drop each other's changes. The lock file records who
+// holds it; one left behind by a process that is no longer running on this
+// host is taken over.
+
+export const LOCK_FILENAME = 'index.lock';
+const POLL_MS = 1000;
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * The process holding the lock, {} when the file is unreadable (still being
+ * written), or null when there is no lock
+ */
+async function readHolder(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    return {};
+  }
+}
+
+/**
+ * Human-readable holder of a lock, for waiting and error messages
+ */
+export function describeHolder(holder) {
+  if (!holder?.pid) return 'another process';
+  return `${holder.owner || 'unknown'} (pid ${holder.pid}${holder.host !== os.hostname() ? ` on ${holder.host}` : ''}, since ${holder.acquired_at})`;
+}
+
+/**
+ * Take the lock of an index's data directory, waiting while another process
+ * holds it. The lock is also removed if this process exits without releasing it.
+ * @param {string} dir - Index data directory
+ * @param {string} owner - Who takes it, shown to processes waiting for it
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs] - Give up after this long (default: wait as long as it takes)
+ * @param {AbortSignal} [opts.signal] - Stop waiting when aborted
+ * @param {Function} [opts.onWait] - Called once with the holder when the lock is busy
+ * @returns {Promise<Function>} Releases the lock
+ * @throws {Error} When the timeout passes or the signal aborts first
+ */
+export async function acquireIndexLock(dir, owner, { timeoutMs = Infinity, signal, onWait } = {}) {
+  const file = path.join(dir, LOCK_FILENAME);
+  const deadline = Date.now() + timeoutMs;
+  let waiting = false;
+  await fs.mkdir(dir, { recursive: true });
+
+  for (;;) {
+    try {
+      await fs.writeFile(file, JSON.stringify({ owner, pid: process.pid, host: os.hostname(), acquired_at: new Date().toISOString() }), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const holder = await readHolder(file);
+    if (holder?.pid && holder.host === os.hostname() && !isRunning(holder.pid)) {
+      console.error(`ℹ️  Removing stale index lock of ${describeHolder(holder)}`);
+      await fs.rm(file, { force: true });
+      continue;
+    }
+    if (holder && !waiting) {
+      waiting = true;
+      onWait?.(holder);
+    }
+    if (signal?.aborted || Date.now() + POLL_MS > deadline) {
+      throw new Error(`Index ${dir} is locked by ${describeHolder(holder)}; if no such process is running, delete ${file}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_MS));
+  }
+
+  const removeOnExit = () => {
+    try {
+      unlinkSync(file);
+    } catch {
+      // Already gone
+    }
+  };
+  process.once('exit', removeOnExit);
+  return async () => {
+    process.removeListener('exit', removeOnExit);
+    await fs.rm(file, { force: true });
+  };
+}
+
+/**
+ * Run fn while holding the index's lock
+ */
+export async function withIndexLock(dir, owner, fn, opts) {
+  const release = await acquireIndexLock(dir, owner, opts);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
+
+export default {
+  LOCK_FILENAME,
+  describeHolder,
+  acquireIndexLock,
+  withIndexLock
+};
@@ -0,0 +1,213 @@
+import fs from 'fs';
+import { loadEmbeddingStore } from './embedding_store.js';
+
+// Named indexes: several corpora (e.g. one per WordPress site) served by one
+// checkout. An index is a set of environment overrides plus its own data
+// directory, so every *FromEnv(env) helper works unchanged for it.
+//
+// indexes.json (path from INDEXES_FILE):
+//   {
+//     "default": "blog",
+//     "indexes": {
+//       "blog": {
+//         "description": "Main blog",
+//         "wordpress_posts_url": "https://blog.example.com/wp-json/wp/v2/posts",
+//         "data_dir": "./data/blog",
+//         "vector_store_id": "vs_...",
+//         "embedding_model": "text-embedding-3-small",
+//         "env": { "CHUNK_MAX_TOKENS": "300" }
+//       }
+//     }
+//   }
+//
+// Without a config file there is a single index, "default", read from the
+// environment and stored in ./data as before. With one, the settings that
+// say which corpus an index is (posts URL, vector store, data directory)
+// never come from the environment: every entry names its own source and
+// data directory, and an entry without vector_store_id has no vector store
+// rather than the one in .env. Otherwise an index of drafts and private
+// posts that forgot its vector_store_id would be uploaded to, or cleaned up
+// in, the public site's store.
+
+export const DEFAULT_INDEX_NAME = 'default';
+const DEFAULT_DATA_DIR = './data';
+
+// Config keys that map onto existing environment variables
+const ENV_KEYS = {
+  wordpress_posts_url: 'WORDPRESS_POSTS_URL',
+  post_types: 'WORDPRESS_POST_TYPES',
+  include_comments: 'WORDPRESS_INCLUDE_COMMENTS',
+  statuses: 'WORDPRESS_STATUSES',
+  protected_posts: 'WORDPRESS_PROTECTED_POSTS',
+  vector_store_id: 'OPENAI_VECTOR_STORE_ID',
+  vs_chunk_max_tokens: 'VS_CHUNK_MAX_TOKENS',
+  vs_chunk_overlap_tokens: 'VS_CHUNK_OVERLAP_TOKENS',
+  embedding_provider: 'EMBEDDING_PROVIDER',
+  embedding_model: 'OPENAI_EMBEDDING_MODEL',
+  embedding_base_url: 'EMBEDDING_BASE_URL',
+  embedding_dimensions: 'EMBEDDING_DIMENSIONS',
+};
+
+// Per-corpus environment variables a configured index does not inherit
+const CORPUS_ENV_KEYS = ['WORDPRESS_POSTS_URL', 'OPENAI_VECTOR_STORE_ID'];
+// Entries must set these themselves
+const REQUIRED_KEYS = ['wordpress_posts_url', 'data_dir'];
+
+let loaded = null;
+
+/**
+ * Read and validate the indexes config file (cached; null when there is none)
+ */
+function readIndexesFile(env) {
+  const file = env.INDEXES_FILE || './indexes.json';
+  if (loaded && loaded.file === file) return loaded.config;
+
+  let config = null;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT' || env.INDEXES_FILE) {
+      throw new Error(`Failed to read indexes config ${file}: ${error.message}`);
+    }
+  }
+
+  if (config) {
+    const names = Object.keys(config.indexes || {});
+    if (names.length === 0) throw new Error(`Indexes config ${file} defines no indexes`);
+    for (const name of names) {
+      if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+        throw new Error(`Invalid index name "${name}" in ${file} (use letters, digits, - and _)`);
+      }
+    }
+    for (const name of names) {
+      const entry = config.indexes[name];
+      const missing = REQUIRED_KEYS.filter(key => !entry[key] && !entry.env?.[ENV_KEYS[key]]);
+      if (missing.length > 0) {
+        throw new Error(`Index "${name}" in ${file} must set ${missing.join(' and ')} (they are not taken from the environment)`);
+      }
+    }
+    if (config.default && !names.includes(config.default)) {
+      throw new Error(`Default index "${config.default}" is not defined in ${file}`);
+    }
+  }
+
+  loaded = { file, config };
+  return config;
+}
+
+function toIndex(name, entry, env, file) {
+  const inherited = { ...env };
+  for (const key of CORPUS_ENV_KEYS) delete inherited[key];
+  const overrides = {};
+  for (const [key, envName] of Object.entries(ENV_KEYS)) {
+    if (entry[key] !== undefined && entry[key] !== null) overrides[envName] = String(entry[key]);
+  }
+  for (const [key, value] of Object.entries(entry.env || {})) overrides[key] = String(value);
+
+  return {
+    name,
+    description: entry.description || '',
+    dataDir: entry.data_dir,
+    configFile: file,
+    env: { ...inherited, ...overrides },
+  };
+}
+
+/**
+ * All configured indexes, default first
+ * @returns {{ name: string, description: string, dataDir: string, configFile: string|null, env: Object, isDefault: boolean }[]}
+ */
+export function listIndexes(env = process.env) {
+  const config = readIndexesFile(env);
+  if (!config) {
+    return [{ name: DEFAULT_INDEX_NAME, description: '', dataDir: DEFAULT_DATA_DIR, configFile: null, env, isDefault: true }];
+  }
+  const names = Object.keys(config.indexes);
+  const defaultName = config.default || names[0];
+  return [defaultName, ...names.filter(n => n !== defaultName)]
+    .map(name => ({ ...toIndex(name, config.indexes[name], env, loaded.file), isDefault: name === defaultName }));
+}
+
+/**
+ * Look up an index by name (the default index when name is empty)
+ */
+export function resolveIndex(name, env = process.env) {
+  const indexes = listIndexes(env);
+  if (!name) return indexes[0];
+  const index = indexes.find(i => i.name === name);
+  if (!index) {
+    throw new Error(`Unknown index "${name}" (available: ${indexes.map(i => i.name).join(', ')})`);
+  }
+  return index;
+}
+
+/**
+ * Summary of every index for listing: source, vector store and local index status
+ */
+export async function describeIndexes(env = process.env) {
+  return Promise.all(listIndexes(env).map(async index => {
+    const store = await loadEmbeddingStore(index.dataDir).catch(() => null);
+    return {
+      name: index.name,
+      description: index.description,
+      default: index.isDefault,
+      wordpress_posts_url: index.env.WORDPRESS_POSTS_URL || null,
+      vector_store_id: index.env.OPENAI_VECTOR_STORE_ID || null,
+      data_dir: index.dataDir,
+      documents: store ? store.count : 0,
+      embedding_model: store?.meta.model || null,
+      built_at: store?.meta.created_at || null,
+    };
+  }));
+}
+
+/**
+ * Error message for a setting an index lacks, pointing at where it is
+ * configured (indexes.json or .env)
+ * @param {string} key - Config key, e.g. "vector_store_id"
+ */
+export function missingSettingMessage(index, key) {
+  return index.configFile
+    ? `Index "${index.name}" has no ${key} in ${index.configFile}`
+    : `Missing ${ENV_KEYS[key]} in .env`;
+}
+
+/**
+ * Write settings (config keys such as vector_store_id) into an index's entry
+ * of the indexes config file
+ * @returns {string|null} The file written, or null when no config file is in use
+ */
+export function updateIndexConfig(name, values, env = process.env) {
+  const config = readIndexesFile(env);
+  if (!config) return null;
+  if (!config.indexes[name]) throw new Error(`Unknown index "${name}" in ${loaded.file}`);
+
+  Object.assign(config.indexes[name], values);
+  const file = loaded.file;
+  fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(config, null, 2)}\n`);
+  fs.renameSync(`${file}.tmp`, file);
+  loaded = null;
+  return file;
+}
+
+/**
+ * Value of `--index <name>` / `--index=<name>` in argv, for scripts that need
+ * the index before their module-level settings are computed
+ */
+export function indexNameFromArgv(argv) {
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === '--index') return argv[i + 1];
+    if (argv[i].startsWith('--index=')) return argv[i].slice('--index='.length);
+  }
+  return undefined;
+}
+
+export default {
+  DEFAULT_INDEX_NAME,
+  listIndexes,
+  resolveIndex,
+  describeIndexes,
+  missingSettingMessage,
+  updateIndexConfig,
+  indexNameFromArgv
+};
@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// BM25 inverted index over the documents of the embedding store.
+// Latin text is split into lowercase words; CJK runs become overlapping
+// character bigrams, so Chinese terms match without a segmentation dictionary.
+
+export const KEYWORD_FORMAT = 'wordpress-embeddings-bm25';
+export const KEYWORD_VERSION = 1;
+export const KEYWORD_FILENAME = 'embeddings.bm25.json';
+
+export const DEFAULT_BM25 = { k1: 1.2, b: 0.75 };
+
+const CJK_RUN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]+/g;
+const WORD = /[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu;
+
+// dir -> { key, index }, where key identifies the store build the index belongs to
+const cache = new Map();
+
+/**
+ * Split text into BM25 terms
+ */
+export function tokenize(text) {
+  const normalized = String(text || '').normalize('NFKC').toLowerCase();
+  const tokens = [];
+
+  for (const [run] of normalized.matchAll(CJK_RUN)) {
+    if (run.length === 1) {
+      tokens.push(run);
+      continue;
+    }
+    for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+  }
+  for (const [word] of normalized.replace(CJK_RUN, ' ').matchAll(WORD)) {
+    tokens.push(word);
+  }
+
+  return tokens;
+}
+
+/**
+ * Text of a document as seen by the keyword index
+ */
+function documentText(doc) {
+  return `${doc.metadata?.title || ''}\n${doc.text || ''}`;
+}
+
+/**
+ * Build the inverted index.
+ * @param {Object[]} documents - Store documents, in store order
+ * @returns {Object} { count, avgdl, docLengths, postings: { term: [docIndex, tf, ...] } }
+ */
+export function buildKeywordIndex(documents) {
+  const postings = Object.create(null);
+  const docLengths = new Array(documents.length);
+  let totalLength = 0;
+
+  documents.forEach((doc, index) => {
+    const tokens = tokenize(documentText(doc));
+    docLengths[index] = tokens.length;
+    totalLength += tokens.length;
+
+    const counts = new Map();
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+    for (const [term, tf] of counts) {
+      (postings[term] ||= []).push(index, tf);
+    }
+  });
+
+  return {
+    count: documents.length,
+    avgdl: documents.length > 0 ? totalLength / documents.length : 0,
+    docLengths,
+    postings
+  };
+}
+
+/**
+ * Rank documents for a query with BM25
+ * @returns {{ index: number, score: number }[]} Best first, only documents sharing a term
+ */
+export function searchKeyword(index, query, k = Infinity, opts = {}) {
+  const { k1, b } = { ...DEFAULT_BM25, ...opts };
+  const scores = new Map();
+  const terms = new Set(tokenize(query));
+
+  for (const term of terms) {
+    const list = index.postings[term];
+    if (!list) continue;
+    const df = list.length / 2;
+    const idf = Math.log(1 + (index.count - df + 0.5) / (df + 0.5));
+    for (let i = 0; i < list.length; i += 2) {
+      const doc = list[i];
+      const tf = list[i + 1];
+      const norm = tf + k1 * (1 - b + b * (index.docLengths[doc] / (index.avgdl || 1)));
+      scores.set(doc, (scores.get(doc) || 0) + idf * (tf * (k1 + 1)) / norm);
+    }
+  }
+
+  return [...scores.entries()]
+    .map(([doc, score]) => ({ index: doc, score }))
+    .sort((x, y) => y.score - x.score)
+    .slice(0, k);
+}
+
+/**
+ * Persist the keyword index next to the embedding store
+ */
+export async function writeKeywordIndex(dir, index, store) {
+  const file = path.join(dir, KEYWORD_FILENAME);
+  const data = {
+    format: KEYWORD_FORMAT,
+    version: KEYWORD_VERSION,
+    created_at: new Date().toISOString(),
+    store_created_at: store.meta.created_at,
+    count: index.count,
+    avgdl: index.avgdl,
+    doc_lengths: index.docLengths,
+    postings: index.postings
+  };
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(data));
+  await fs.rename(`${file}.tmp`, file);
+  cache.delete(path.resolve(dir));
+  return file;
+}
+
+/**
+ * Keyword index for this store: the persisted one when it matches the store,
+ * otherwise built in memory from the store documents (and kept for reuse)
+ */
+export async function loadKeywordIndex(dir, store) {
+  const key = path.resolve(dir);
+  const storeKey = `${store.meta.created_at}:${store.count}`;
+  const cached = cache.get(key);
+  if (cached && cached.key === storeKey) return cached.index;
+
+  let index = null;
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(dir, KEYWORD_FILENAME), 'utf8'));
+    if (data.format === KEYWORD_FORMAT && data.version <= KEYWORD_VERSION
+      && data.store_created_at === store.meta.created_at && data.count === store.count) {
+      index = {
+        count: data.count,
+        avgdl: data.avgdl,
+        docLengths: data.doc_lengths,
+        postings: Object.assign(Object.create(null), data.postings)
+      };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Failed to read keyword index:', error.message);
+  }
+
+  if (!index) {
+    console.error('Keyword index missing or stale, building it in memory');
+    index = buildKeywordIndex(store.documents);
+  }
+  cache.set(key, { key: storeKey, index });
+  return index;
+}
+
+export default {
+  tokenize,
+  buildKeywordIndex,
+  searchKeyword,
+  writeKeywordIndex,
+  loadKeywordIndex
+};
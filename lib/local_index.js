@@ -0,0 +1,356 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { chunkText, chunkingFromEnv } from './chunker.js';
+import { readEmbeddingStore, writeEmbeddingStore, vectorAt, META_FILENAME, VECTORS_FILENAME } from './embedding_store.js';
+import { buildHnsw, writeHnswIndex, loadHnswIndex, hnswFromEnv } from './hnsw.js';
+import { buildKeywordIndex, writeKeywordIndex } from './keyword_index.js';
+import { createEmbeddingProvider, embeddingConfigFromEnv } from './embeddings.js';
+import { wordpressConfigFromEnv, applyContentRules, itemKey } from './wordpress.js';
+import { htmlToText, htmlToMarkdown } from './html_text.js';
+import { requestConfigFromEnv, settleWithConcurrency } from './openai_requests.js';
+
+// The local index pipeline shared by scripts/build-index.js (whole site) and
+// the webhook receiver (single posts): WordPress items -> chunk documents ->
+// embeddings -> binary store, plus the BM25 and optional HNSW side indexes.
+
+// Bump when document metadata gains fields or text extraction changes, so
+// incremental runs rebuild older indexes
+export const DOCUMENT_SCHEMA = 4;
+// Indexes built before content settings existed took published posts as-is
+export const DEFAULT_CONTENT = { post_types: ['post'], comments: false, statuses: ['publish'], protected_posts: 'include' };
+
+/**
+ * Everything needed to build or update the local index of a named index
+ * @param {{ name: string, dataDir: string, env: Object }} index - From resolveIndex
+ */
+export function localIndexSettings(index) {
+  const wordpress = wordpressConfigFromEnv(index.env);
+  return {
+    name: index.name,
+    dataDir: index.dataDir,
+    embeddingProvider: createEmbeddingProvider(embeddingConfigFromEnv(index.env)),
+    wordpress,
+    chunking: chunkingFromEnv(index.env),
+    hnsw: hnswFromEnv(index.env),
+    requests: requestConfigFromEnv(index.env),
+    // What gets indexed; changing it forces a full rebuild
+    content: {
+      post_types: wordpress.postTypes,
+      comments: wordpress.includeComments,
+      statuses: wordpress.statuses,
+      protected_posts: wordpress.protectedPosts
+    }
+  };
+}
+
+/**
+ * Why an existing store cannot be updated in place with these settings, or null
+ */
+export function incompatibilityReason(meta, settings) {
+  const { embeddingProvider } = settings;
+  if (meta.model !== embeddingProvider.model || (meta.embedding_provider || 'openai') !== embeddingProvider.name) {
+    return `Existing index was built with ${meta.embedding_provider || 'openai'}/${meta.model}`;
+  }
+  if (meta.document_schema !== DOCUMENT_SCHEMA) {
+    return 'Existing index predates the current document format';
+  }
+  if (JSON.stringify(meta.chunking) !== JSON.stringify(settings.chunking)) {
+    return 'Chunking settings changed since the last run';
+  }
+  if (JSON.stringify({ ...DEFAULT_CONTENT, ...meta.content }) !== JSON.stringify(settings.content)) {
+    // modified_after would skip older items of a newly added type or status
+    return 'Indexed post types, statuses or protected-post handling changed since the last run';
+  }
+  return null;
+}
+
+/**
+ * Category/tag names and author from the `_embedded` part of a post
+ */
+function extractTaxonomy(post) {
+  const terms = (post._embedded?.['wp:term'] || []).flat().filter(Boolean);
+  const namesOf = taxonomy => terms.filter(term => term.taxonomy === taxonomy).map(term => htmlToText(term.name));
+  return {
+    categories: namesOf('category'),
+    tags: namesOf('post_tag'),
+    author: post._embedded?.author?.[0]?.name || null
+  };
+}
+
+/**
+ * Process posts, pages, custom post types and comments into chunk documents
+ * (`post-{id}-chunk-{n}`, `comment-{id}-chunk-{n}`)
+ */
+export function processPostsToDocuments(posts, chunking) {
+  console.log(`Processing posts into documents (chunking: ${chunking.strategy}, max ${chunking.maxTokens} tokens, overlap ${chunking.overlapTokens})...`);
+  const documents = [];
+
+  for (const post of posts) {
+    const title = htmlToText(post.title?.rendered || '');
+    const excerpt = htmlToText(post.excerpt?.rendered || '');
+    const body = htmlToMarkdown(post.content?.rendered || '') || excerpt;
+
+    if (`${title}\n\n${body}`.trim().length < 10) {
+      console.log(`Skipping post ${post.id} - insufficient content`);
+      continue;
+    }
+
+    // Posts without a body still get one chunk so their title stays searchable
+    const chunks = chunkText(body, chunking);
+    if (chunks.length === 0) chunks.push(title);
+
+    const { categories, tags, author } = extractTaxonomy(post);
+    const metadata = {
+      post_id: post.id,
+      title: title,
+      excerpt: excerpt || body.replace(/\s+/g, ' ').substring(0, 300) + '...',
+      link: post.link || `https://www.yaoyingying.com/?p=${post.id}`,
+      wp_date: post.date,
+      wp_date_gmt: post.date_gmt || null,
+      modified: post.modified,
+      modified_gmt: post.modified_gmt,
+      status: post.status,
+      post_type: post.type || 'post',
+      ...(post.type === 'comment' && { parent_post_id: post.parent_post }),
+      categories,
+      category_ids: post.categories || [],
+      tags,
+      tag_ids: post.tags || [],
+      author,
+      author_id: post.author ?? null,
+      chunk_count: chunks.length
+    };
+
+    chunks.forEach((chunk, n) => {
+      documents.push({
+        id: `${itemKey(post.type, post.id)}-chunk-${n}`,
+        text: chunk,
+        metadata: { ...metadata, chunk_id: n }
+      });
+    });
+  }
+
+  console.log(`Processed ${documents.length} documents`);
+  return documents;
+}
+
+// Embeddings of finished batches while a run is in progress
+export const PROGRESS_FILENAME = 'embeddings.progress.jsonl';
+
+function textHash(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Embeddings an interrupted run saved for this provider, by document ID
+ */
+async function loadEmbeddingProgress(file, model) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+  const saved = new Map();
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.model === model) saved.set(entry.id, entry);
+    } catch {
+      // The last line may have been cut off by the interruption
+    }
+  }
+  return saved;
+}
+
+/**
+ * Generate embeddings for documents, `concurrency` batches at a time (the
+ * OpenAI request layer retries and rate limits each one). With a data
+ * directory every finished batch is saved to embeddings.progress.jsonl, so a
+ * run that fails part-way keeps what it embedded and the next run only
+ * embeds the rest; the file is removed once every document is embedded.
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Batches in flight (OPENAI_CONCURRENCY)
+ * @param {string} [options.dataDir] - Where to keep the progress file
+ */
+export async function generateEmbeddings(documents, embeddingProvider, { concurrency = 1, dataDir = null } = {}) {
+  console.log(`Generating embeddings for ${documents.length} documents...`);
+  const batchSize = 100; // Keeps requests well under the OpenAI embeddings API input limit
+  const model = `${embeddingProvider.name}/${embeddingProvider.model}/${embeddingProvider.dimensions || ''}`;
+  const progressFile = dataDir ? path.join(dataDir, PROGRESS_FILENAME) : null;
+
+  // Prefix each chunk with its post title so chunks keep their topic
+  const texts = documents.map(doc => `${doc.metadata.title}\n\n${doc.text}`);
+  const hashes = texts.map(textHash);
+  const embeddings = new Array(documents.length);
+  const saved = progressFile ? await loadEmbeddingProgress(progressFile, model) : new Map();
+  const pending = [];
+  documents.forEach((doc, i) => {
+    const entry = saved.get(doc.id);
+    if (entry?.hash === hashes[i]) embeddings[i] = entry.embedding;
+    else pending.push(i);
+  });
+  if (pending.length < documents.length) {
+    console.log(`Resuming: ${documents.length - pending.length} embeddings were saved by an earlier run`);
+  }
+  if (progressFile) await fs.mkdir(dataDir, { recursive: true });
+
+  const batches = [];
+  for (let i = 0; i < pending.length; i += batchSize) batches.push(pending.slice(i, i + batchSize));
+  let failed = false;
+  // Appends are chained so concurrent batches never interleave their lines
+  let saving = Promise.resolve();
+  const results = await settleWithConcurrency(batches, concurrency, async (batch, n) => {
+    if (failed) throw new Error('Skipped after an earlier batch failed');
+    try {
+      const batchEmbeddings = await embeddingProvider.embed(batch.map(i => texts[i]));
+      if (batchEmbeddings.length !== batch.length) {
+        throw new Error(`Expected ${batch.length} embeddings, got ${batchEmbeddings.length}`);
+      }
+      batch.forEach((docIndex, k) => { embeddings[docIndex] = batchEmbeddings[k]; });
+      if (progressFile) {
+        const lines = batch.map((docIndex, k) => JSON.stringify({ id: documents[docIndex].id, model, hash: hashes[docIndex], embedding: batchEmbeddings[k] }));
+        saving = saving.then(() => fs.appendFile(progressFile, `${lines.join('\n')}\n`));
+        await saving;
+      }
+      console.log(`  Batch ${n + 1}/${batches.length}: generated ${batchEmbeddings.length} embeddings`);
+    } catch (error) {
+      failed = true;
+      console.error(`Error generating embeddings for batch ${n + 1}:`, error.message);
+      throw error;
+    }
+  });
+
+  const failure = results.find(result => result.status === 'rejected');
+  if (failure) {
+    const done = embeddings.filter(Boolean).length;
+    console.error(`${done}/${documents.length} embeddings generated${progressFile && done > 0 ? `; kept in ${progressFile}, the next run continues from there` : ''}`);
+    throw failure.reason;
+  }
+  if (progressFile) await fs.rm(progressFile, { force: true });
+
+  console.log(`Generated ${embeddings.length} embeddings total`);
+  return embeddings;
+}
+
+/**
+ * Replace every document of the changed items (see itemKey) with the freshly
+ * embedded documents, keeping the existing vectors of everything else.
+ * Changed items without new documents are removed.
+ * @param {Object} existing - Store from readEmbeddingStore
+ * @param {Set<string>} changedKeys - itemKey of every changed item
+ */
+export function mergeIndex(existing, changedKeys, documents, embeddings) {
+  const merged = { documents: [], embeddings: [] };
+
+  existing.documents.forEach((doc, index) => {
+    if (changedKeys.has(itemKey(doc.metadata?.post_type, doc.metadata?.post_id))) return;
+    merged.documents.push(doc);
+    merged.embeddings.push(vectorAt(existing, index));
+  });
+  merged.documents.push(...documents);
+  merged.embeddings.push(...embeddings);
+
+  return merged;
+}
+
+/**
+ * Save documents and embeddings to the local binary store
+ * @param {Object} [sync] - { validators, max_modified } for the next incremental run
+ */
+export async function saveEmbeddings(settings, documents, embeddings, sync = {}) {
+  console.log('Saving embeddings to local store...');
+
+  await writeEmbeddingStore(settings.dataDir, {
+    documents,
+    vectors: embeddings,
+    meta: {
+      model: settings.embeddingProvider.model,
+      embedding_provider: settings.embeddingProvider.name,
+      document_schema: DOCUMENT_SCHEMA,
+      chunking: settings.chunking,
+      content: settings.content,
+      sync: {
+        validators: sync.validators,
+        max_modified: sync.max_modified
+      }
+    }
+  });
+  console.log(`Saved embeddings to ${path.join(settings.dataDir, VECTORS_FILENAME)} (metadata: ${path.join(settings.dataDir, META_FILENAME)})`);
+}
+
+/**
+ * Build the BM25 keyword index over the saved store
+ */
+export async function buildKeywordIndexFile(dataDir) {
+  const store = await readEmbeddingStore(dataDir);
+  const file = await writeKeywordIndex(dataDir, buildKeywordIndex(store.documents), store);
+  console.log(`Saved keyword index to ${file}`);
+}
+
+/**
+ * Build the HNSW graph over the saved store and persist it next to it
+ */
+export async function buildAnnIndex(dataDir, hnsw) {
+  const store = await readEmbeddingStore(dataDir);
+  console.log(`Building HNSW index over ${store.count} vectors (M=${hnsw.M}, efConstruction=${hnsw.efConstruction})...`);
+  const startTime = Date.now();
+  const graph = buildHnsw(store, hnsw);
+  const file = await writeHnswIndex(dataDir, graph, store);
+  console.log(`Saved HNSW index to ${file} in ${Date.now() - startTime}ms`);
+}
+
+/**
+ * Upsert or remove individual items in an existing local index, e.g. for a
+ * webhook. Fetched items go through the same status and password rules as a
+ * build (so an item that is no longer allowed is removed); `removedKeys` are
+ * dropped outright. The sync state is kept, so the next incremental build
+ * still picks up anything missed here. The HNSW graph is rebuilt only when
+ * the index already had one.
+ * @param {Object} settings - From localIndexSettings
+ * @param {Object} changes
+ * @param {Object[]} [changes.posts] - Freshly fetched WordPress items
+ * @param {string[]} [changes.removedKeys] - itemKey of items to remove
+ * @returns {Promise<{ documents: number, total: number }>} Documents re-embedded and now in the index
+ */
+export async function updateLocalIndex(settings, { posts = [], removedKeys = [] } = {}) {
+  const existing = await readEmbeddingStore(settings.dataDir);
+  if (!existing) {
+    throw new Error(`Index "${settings.name}" has not been built yet (run: node scripts/build-index.js --index ${settings.name})`);
+  }
+  const reason = incompatibilityReason(existing.meta, settings);
+  if (reason) {
+    throw new Error(`${reason}; run a full build first (node scripts/build-index.js --index ${settings.name} --full)`);
+  }
+
+  const documents = processPostsToDocuments(applyContentRules(posts, settings.wordpress), settings.chunking);
+  const embeddings = documents.length > 0 ? await generateEmbeddings(documents, settings.embeddingProvider, { concurrency: settings.requests.concurrency, dataDir: settings.dataDir }) : [];
+  const changedKeys = new Set([...posts.map(post => itemKey(post.type, post.id)), ...removedKeys]);
+  const merged = mergeIndex(existing, changedKeys, documents, embeddings);
+  const hadAnnIndex = Boolean(await loadHnswIndex(settings.dataDir, existing));
+
+  await saveEmbeddings(settings, merged.documents, merged.embeddings, existing.meta.sync);
+  await buildKeywordIndexFile(settings.dataDir);
+  if (hadAnnIndex) {
+    await buildAnnIndex(settings.dataDir, settings.hnsw);
+  }
+  return { documents: documents.length, total: merged.documents.length };
+}
+
+export default {
+  DOCUMENT_SCHEMA,
+  DEFAULT_CONTENT,
+  PROGRESS_FILENAME,
+  localIndexSettings,
+  incompatibilityReason,
+  processPostsToDocuments,
+  generateEmbeddings,
+  mergeIndex,
+  saveEmbeddings,
+  buildKeywordIndexFile,
+  buildAnnIndex,
+  updateLocalIndex
+};
@@ -0,0 +1,159 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { HttpError, readJsonBody, sendJson, isAuthorized, isLoopbackHost } from './http_utils.js';
+
+// MCP over HTTP: Streamable HTTP on /mcp, plus the older HTTP+SSE transport
+// (GET /sse + POST /messages) for clients that have not moved on yet.
+// Every session gets its own McpServer instance from `createServer`.
+
+/**
+ * Read HTTP transport settings from environment variables
+ */
+export function mcpHttpConfigFromEnv(env = process.env) {
+  return {
+    host: env.MCP_HTTP_HOST || '127.0.0.1',
+    port: parseInt(env.MCP_HTTP_PORT, 10) || 3000,
+    authToken: env.MCP_AUTH_TOKEN || null,
+    sessionIdleMs: (parseInt(env.MCP_SESSION_IDLE_MINUTES, 10) || 30) * 60 * 1000,
+  };
+}
+
+function jsonRpcError(res, status, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+/**
+ * Start an HTTP server speaking MCP.
+ * @param {Function} createServer - () => McpServer with tools/resources registered
+ * @param {Object} opts - See mcpHttpConfigFromEnv
+ * @returns {Promise<http.Server>}
+ */
+export async function startMcpHttpServer(createServer, opts = mcpHttpConfigFromEnv()) {
+  const { host, port, authToken, sessionIdleMs } = opts;
+  // sessionId -> { transport, server, kind, lastSeen }
+  const sessions = new Map();
+
+  if (!authToken && !isLoopbackHost(host)) {
+    console.error(`⚠️  MCP HTTP server listens on ${host} without MCP_AUTH_TOKEN; anyone who can reach it can search`);
+  }
+
+  function touch(sessionId) {
+    const session = sessions.get(sessionId);
+    if (session) session.lastSeen = Date.now();
+    return session;
+  }
+
+  async function closeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    await session.server.close().catch(() => {});
+  }
+
+  async function handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = touch(sessionId);
+      if (!session || session.kind !== 'streamable') {
+        return jsonRpcError(res, 404, 'Session not found');
+      }
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      return jsonRpcError(res, 400, 'Bad Request: no valid session ID provided');
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => {
+        sessions.set(id, { transport, server, kind: 'streamable', lastSeen: Date.now() });
+        console.error(`MCP session started: ${id} (streamable)`);
+      },
+      onsessionclosed: id => {
+        sessions.delete(id);
+        console.error(`MCP session closed: ${id}`);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+    };
+    await server.connect(transport);
+    return transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseStream(req, res) {
+    const server = createServer();
+    const transport = new SSEServerTransport('/messages', res);
+    sessions.set(transport.sessionId, { transport, server, kind: 'sse', lastSeen: Date.now() });
+    console.error(`MCP session started: ${transport.sessionId} (sse)`);
+    res.on('close', () => {
+      sessions.delete(transport.sessionId);
+      server.close().catch(() => {});
+    });
+    await server.connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const session = touch(url.searchParams.get('sessionId'));
+    if (!session || session.kind !== 'sse') {
+      return jsonRpcError(res, 404, 'Session not found');
+    }
+    const body = await readJsonBody(req);
+    return session.transport.handlePostMessage(req, res, body);
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    try {
+      if (!isAuthorized(req, authToken)) {
+        return sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+      }
+      if (url.pathname === '/mcp' && ['POST', 'GET', 'DELETE'].includes(req.method)) {
+        return await handleStreamable(req, res);
+      }
+      if (url.pathname === '/sse' && req.method === 'GET') {
+        return await handleSseStream(req, res);
+      }
+      if (url.pathname === '/messages' && req.method === 'POST') {
+        return await handleSseMessage(req, res, url);
+      }
+      return sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      console.error('MCP HTTP error:', error.message);
+      if (error instanceof HttpError) return jsonRpcError(res, error.status, error.message);
+      return jsonRpcError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Drop sessions whose clients went away without closing them
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - sessionIdleMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastSeen < cutoff) {
+        console.error(`MCP session expired: ${sessionId}`);
+        closeSession(sessionId);
+      }
+    }
+  }, Math.min(sessionIdleMs, 60 * 1000));
+  sweeper.unref();
+  httpServer.on('close', () => {
+    clearInterval(sweeper);
+    for (const sessionId of [...sessions.keys()]) closeSession(sessionId);
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+  console.error(`MCP server listening on http://${host}:${port}/mcp (SSE fallback: /sse)${authToken ? ' with bearer auth' : ''}`);
+  return httpServer;
+}
+
+export default { startMcpHttpServer, mcpHttpConfigFromEnv };
@@ -0,0 +1,297 @@
+import { estimateTokens } from './chunker.js';
+
+// Shared request layer for every OpenAI call (files, vector stores,
+// responses, embeddings). SDK clients get a `fetch` that goes through one
+// limiter per API endpoint and key, which
+//   - runs at most OPENAI_CONCURRENCY requests at once (default 4),
+//   - keeps the estimated tokens sent per minute within
+//     OPENAI_TOKENS_PER_MINUTE (default 0, no budget),
+//   - holds new requests back while the x-ratelimit-remaining-* headers of
+//     earlier responses say the account's limits are used up,
+//   - retries 408, 409, 429 and 5xx responses and connection errors up to
+//     OPENAI_MAX_RETRIES times (default 5) with exponential backoff and
+//     jitter, waiting at least as long as Retry-After asks.
+// The SDK's own retries are turned off so the two do not multiply.
+
+const DEFAULT_CONFIG = { maxRetries: 5, concurrency: 4, tokensPerMinute: 0, baseDelayMs: 500, maxDelayMs: 60 * 1000 };
+const MINUTE_MS = 60 * 1000;
+
+// endpoint + key -> limiter, so clients for the same account share their limits
+const limiters = new Map();
+
+function nonNegativeInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+/**
+ * Read retry and rate limit settings from environment variables
+ */
+export function requestConfigFromEnv(env = process.env) {
+  return {
+    ...DEFAULT_CONFIG,
+    maxRetries: nonNegativeInt(env.OPENAI_MAX_RETRIES, DEFAULT_CONFIG.maxRetries),
+    concurrency: Math.max(1, nonNegativeInt(env.OPENAI_CONCURRENCY, DEFAULT_CONFIG.concurrency)),
+    tokensPerMinute: nonNegativeInt(env.OPENAI_TOKENS_PER_MINUTE, DEFAULT_CONFIG.tokensPerMinute)
+  };
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Milliseconds of an OpenAI reset header ("1s", "6m0s", "120ms")
+ */
+export function parseResetDuration(value) {
+  if (!value) return null;
+  let ms = 0;
+  let matched = false;
+  for (const [, amount, unit] of String(value).matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)) {
+    matched = true;
+    ms += Number(amount) * { ms: 1, s: 1000, m: MINUTE_MS, h: 60 * MINUTE_MS }[unit];
+  }
+  return matched ? Math.ceil(ms) : null;
+}
+
+/**
+ * Milliseconds a response asks to wait before retrying (retry-after-ms,
+ * Retry-After in seconds or as an HTTP date), or null
+ */
+export function retryAfterMs(headers) {
+  const ms = parseFloat(headers.get('retry-after-ms'));
+  if (!Number.isNaN(ms)) return Math.max(0, ms);
+  const value = headers.get('retry-after');
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: half the delay is fixed, half random
+ */
+export function backoffMs(attempt, { baseDelayMs, maxDelayMs } = DEFAULT_CONFIG) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Rough tokens a request counts against the per-minute budget: the JSON
+ * body plus the output it may generate. Uploads (multipart) count nothing.
+ */
+function requestTokens(body) {
+  if (typeof body !== 'string') return 0;
+  let maxOutput = 0;
+  try {
+    maxOutput = JSON.parse(body).max_output_tokens || 0;
+  } catch {
+    // Not JSON
+  }
+  return estimateTokens(body) + maxOutput;
+}
+
+/**
+ * Concurrency and token budget of one endpoint and key, adjusted by the
+ * rate limit headers of its responses
+ */
+function createLimiter({ concurrency, tokensPerMinute }) {
+  const waiting = [];
+  const spent = []; // { at, tokens } within the last minute
+  // What the API reported as left, until its reset time
+  const remaining = { requests: null, requestsResetAt: 0, tokens: null, tokensResetAt: 0 };
+  let active = 0;
+  let pausedUntil = 0;
+  let timer = null;
+
+  // How long the next request has to wait, 0 when it may start now
+  const delayFor = tokens => {
+    const now = Date.now();
+    if (pausedUntil > now) return pausedUntil - now;
+    if (remaining.requests !== null && remaining.requests <= 0 && remaining.requestsResetAt > now) return remaining.requestsResetAt - now;
+    if (remaining.tokens !== null && remaining.tokens < tokens && remaining.tokensResetAt > now) return remaining.tokensResetAt - now;
+    if (!tokensPerMinute) return 0;
+    while (spent.length > 0 && spent[0].at <= now - MINUTE_MS) spent.shift();
+    let excess = spent.reduce((sum, entry) => sum + entry.tokens, 0) + tokens - tokensPerMinute;
+    // A request larger than the whole budget still runs, on its own
+    if (excess <= 0 || spent.length === 0) return 0;
+    for (const entry of spent) {
+      excess -= entry.tokens;
+      if (excess <= 0) return entry.at + MINUTE_MS - now;
+    }
+    return MINUTE_MS;
+  };
+
+  const pump = () => {
+    while (waiting.length > 0 && active < concurrency) {
+      const delay = delayFor(waiting[0].tokens);
+      if (delay > 0) {
+        clearTimeout(timer);
+        timer = setTimeout(pump, delay);
+        return;
+      }
+      const next = waiting.shift();
+      active += 1;
+      if (next.tokens > 0) spent.push({ at: Date.now(), tokens: next.tokens });
+      if (remaining.requests !== null) remaining.requests -= 1;
+      if (remaining.tokens !== null) remaining.tokens -= next.tokens;
+      next.start();
+    }
+  };
+
+  return {
+    /**
+     * Wait for a slot; rejects when the request is aborted while waiting
+     */
+    acquire(tokens, signal) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const entry = { tokens, start: resolve };
+        const onAbort = () => {
+          const at = waiting.indexOf(entry);
+          if (at >= 0) waiting.splice(at, 1);
+          // A pending timer would keep the process alive with nothing left to start
+          if (waiting.length === 0) clearTimeout(timer);
+          reject(signal.reason);
+        };
+        entry.start = () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        waiting.push(entry);
+        pump();
+      });
+    },
+    release() {
+      active -= 1;
+      pump();
+    },
+    /**
+     * Hold back every request for a while (after a 429)
+     */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+    /**
+     * Take the x-ratelimit-* headers of a response into account
+     */
+    observe(headers) {
+      const now = Date.now();
+      const requests = parseInt(headers.get('x-ratelimit-remaining-requests'), 10);
+      if (!Number.isNaN(requests)) {
+        remaining.requests = requests;
+        remaining.requestsResetAt = now + (parseResetDuration(headers.get('x-ratelimit-reset-requests')) ?? 1000);
+      }
+      const tokens = parseInt(headers.get('x-ratelimit-remaining-tokens'), 10);
+      if (!Number.isNaN(tokens)) {
+        remaining.tokens = tokens;
+        remaining.tokensResetAt = now + (parseResetDuration(headers.get('x-ratelimit-reset-tokens')) ?? 1000);
+      }
+    }
+  };
+}
+
+/**
+ * Whether a failed response is worth retrying; an exhausted quota (also a
+ * 429) is not
+ */
+async function isRetryable(response) {
+  const header = response.headers.get('x-should-retry');
+  if (header === 'true' || header === 'false') return header === 'true';
+  if (response.status === 429) {
+    const body = await response.clone().text().catch(() => '');
+    return !body.includes('insufficient_quota');
+  }
+  return [408, 409].includes(response.status) || response.status >= 500;
+}
+
+/**
+ * fetch for an OpenAI SDK client: requests are limited per endpoint and
+ * key, and retried as described at the top of this module
+ * @param {{ baseURL?: string, apiKey?: string, project?: string }} target - Who the requests go to
+ * @param {Object} [config] - From requestConfigFromEnv; the first client of a target sets its limits
+ */
+export function createRequestFetch(target, config = requestConfigFromEnv()) {
+  const key = [target.baseURL || 'https://api.openai.com/v1', target.apiKey, target.project].join('|');
+  if (!limiters.has(key)) limiters.set(key, createLimiter(config));
+  const limiter = limiters.get(key);
+
+  return async (url, init = {}) => {
+    const tokens = requestTokens(init.body);
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire(tokens, init.signal);
+      let response;
+      try {
+        response = await fetch(url, init);
+      } catch (error) {
+        limiter.release();
+        if (attempt >= config.maxRetries || init.signal?.aborted) throw error;
+        const wait = backoffMs(attempt, config);
+        console.error(`⚠️  OpenAI request failed (${error.cause?.code || error.message}), retry ${attempt + 1}/${config.maxRetries} in ${(wait / 1000).toFixed(1)}s`);
+        await sleep(wait, init.signal);
+        continue;
+      }
+      limiter.release();
+      limiter.observe(response.headers);
+
+      if (response.ok || attempt >= config.maxRetries || !await isRetryable(response)) return response;
+      const wait = Math.max(retryAfterMs(response.headers) ?? 0, backoffMs(attempt, config));
+      if (response.status === 429) limiter.pause(wait);
+      await response.body?.cancel().catch(() => {});
+      console.error(`⚠️  OpenAI request failed with ${response.status}, retry ${attempt + 1}/${config.maxRetries} in ${(wait / 1000).toFixed(1)}s`);
+      await sleep(wait, init.signal);
+    }
+  };
+}
+
+/**
+ * Options for `new OpenAI()` that route its requests through the shared layer
+ */
+export function requestClientOptions(target, config = requestConfigFromEnv()) {
+  return { maxRetries: 0, fetch: createRequestFetch(target, config) };
+}
+
+/**
+ * Run fn over items with at most `concurrency` calls in flight. Every call
+ * runs even when some fail; results (or errors) keep the order of items.
+ * @returns {Promise<PromiseSettledResult[]>}
+ */
+export async function settleWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const at = next++;
+      try {
+        results[at] = { status: 'fulfilled', value: await fn(items[at], at) };
+      } catch (reason) {
+        results[at] = { status: 'rejected', reason };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+  return results;
+}
+
+export default {
+  requestConfigFromEnv,
+  parseResetDuration,
+  retryAfterMs,
+  backoffMs,
+  createRequestFetch,
+  requestClientOptions,
+  settleWithConcurrency
+};
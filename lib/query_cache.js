@@ -0,0 +1,163 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Query-embedding cache: an in-memory LRU with TTL, optionally mirrored to a
+// JSON file so embeddings survive restarts. Expired entries are kept (up to the
+// size limits) so a search can still fall back to them when the API is down.
+
+const FILE_VERSION = 1;
+
+/**
+ * Read cache settings from environment variables
+ */
+export function queryCacheFromEnv(env = process.env) {
+  return {
+    enabled: !/^(0|false|off|no)$/i.test(env.QUERY_CACHE || ''),
+    maxEntries: parseInt(env.QUERY_CACHE_MAX_ENTRIES, 10) || 500,
+    ttlMs: (parseInt(env.QUERY_CACHE_TTL_SECONDS, 10) || 7 * 24 * 3600) * 1000,
+    file: env.QUERY_CACHE_FILE || null,
+    maxFileEntries: parseInt(env.QUERY_CACHE_FILE_MAX_ENTRIES, 10) || 5000,
+  };
+}
+
+/**
+ * Normalize a query so trivially different spellings (Unicode forms,
+ * whitespace) share a cache entry. Case is kept: models embed "Apple" and
+ * "apple" differently.
+ */
+export function normalizeQuery(query) {
+  return String(query || '').normalize('NFKC').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Cache key for a query embedded by a given provider; the endpoint is part
+ * of it, since two servers may serve different models under one name
+ */
+export function queryCacheKey(provider, query) {
+  return [provider.name, provider.baseURL || 'default', provider.model, provider.dimensions || 'default', normalizeQuery(query)].join('|');
+}
+
+function encodeVector(vector) {
+  const f32 = Float32Array.from(vector);
+  return Buffer.from(f32.buffer, f32.byteOffset, f32.byteLength).toString('base64');
+}
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+/**
+ * Create a query-embedding cache.
+ * @param {Object} opts - See queryCacheFromEnv
+ * @returns {{ get: Function, set: Function, stats: Function }}
+ */
+export function createQueryCache(opts = queryCacheFromEnv()) {
+  const { enabled, maxEntries, ttlMs, file, maxFileEntries } = opts;
+  // key -> { vector, storedAt }; Map order doubles as LRU order (oldest first)
+  const memory = new Map();
+  // key -> { v, t } as persisted
+  let disk = null;
+  let pendingWrite = Promise.resolve();
+  const counters = { hits: 0, misses: 0, stale_hits: 0 };
+
+  async function loadDisk() {
+    if (disk || !file) return;
+    disk = new Map();
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (data.version === FILE_VERSION) {
+        for (const [key, entry] of Object.entries(data.entries || {})) disk.set(key, entry);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to read query cache file:', error.message);
+    }
+  }
+
+  function persist() {
+    if (!file) return;
+    // Writes are chained so concurrent searches never interleave them
+    pendingWrite = pendingWrite.then(async () => {
+      while (disk.size > maxFileEntries) disk.delete(disk.keys().next().value);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify({ version: FILE_VERSION, entries: Object.fromEntries(disk) }));
+      await fs.rename(`${file}.tmp`, file);
+    }).catch(error => console.error('Failed to write query cache file:', error.message));
+    return pendingWrite;
+  }
+
+  function remember(key, vector, storedAt) {
+    memory.delete(key);
+    memory.set(key, { vector, storedAt });
+    while (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+  }
+
+  return {
+    /**
+     * Look up a cached embedding
+     * @returns {Promise<{ vector: Float32Array, source: 'memory'|'disk', expired: boolean }|null>}
+     */
+    async get(key) {
+      if (!enabled) return null;
+      let entry = memory.get(key);
+      let source = 'memory';
+      if (entry) {
+        remember(key, entry.vector, entry.storedAt);
+      } else {
+        await loadDisk();
+        const stored = disk?.get(key);
+        if (!stored) {
+          counters.misses += 1;
+          return null;
+        }
+        entry = { vector: decodeVector(stored.v), storedAt: stored.t };
+        source = 'disk';
+        remember(key, entry.vector, entry.storedAt);
+      }
+      const expired = Date.now() - entry.storedAt > ttlMs;
+      if (expired) counters.misses += 1;
+      else counters.hits += 1;
+      return { vector: entry.vector, source, expired };
+    },
+
+    /**
+     * Store an embedding (memory, and the cache file when configured)
+     */
+    async set(key, vector) {
+      if (!enabled) return;
+      const storedAt = Date.now();
+      remember(key, vector, storedAt);
+      if (file) {
+        await loadDisk();
+        disk.delete(key);
+        disk.set(key, { v: encodeVector(vector), t: storedAt });
+        persist();
+      }
+    },
+
+    /**
+     * Record that an expired entry was served because embedding failed
+     */
+    markStaleHit() {
+      counters.stale_hits += 1;
+    },
+
+    stats() {
+      return { ...counters, entries: memory.size, file: file || null };
+    },
+
+    /**
+     * Resolves once pending cache file writes are done
+     */
+    flush() {
+      return pendingWrite;
+    }
+  };
+}
+
+export default {
+  createQueryCache,
+  queryCacheFromEnv,
+  queryCacheKey,
+  normalizeQuery
+};
@@ -0,0 +1,200 @@
+import http from 'http';
+import { ZodError } from 'zod';
+import { semanticSearch } from './search.js';
+import { vectorStoreSearch } from './vector_store_search.js';
+import { loadEmbeddingStore } from './embedding_store.js';
+import { resolveIndex, describeIndexes } from './indexes.js';
+import { collectHealth } from './health.js';
+import { semanticSearchSchema, vsSearchSchema, filtersFromInput, vsSearchOptionsFromInput } from './schemas.js';
+import { HttpError, readJsonBody, sendJson, isAuthorized, isLoopbackHost } from './http_utils.js';
+import { SearchError } from './errors.js';
+
+// Plain JSON API over the same search functions the MCP server uses, for
+// callers (site search box, chat bots) that do not speak MCP.
+//
+//   GET|POST /search      semanticSearch, same JSON as search-cli.js --json
+//   GET|POST /vs-search   vectorStoreSearch results
+//   GET      /health      configuration and index status
+//   GET      /indexes     named indexes that `index` accepts
+//   GET      /posts/:id   one indexed post with all its chunks (?index=name)
+
+const LIST_PARAMS = new Set(['categories', 'tags']);
+const NUMBER_PARAMS = new Set(['top_k', 'min_score']);
+const BOOLEAN_PARAMS = new Set(['rewrite_query']);
+// Statuses of SearchError codes (lib/errors.js)
+const SEARCH_ERROR_STATUS = { invalid_input: 400, not_configured: 503, bad_model_output: 502 };
+
+/**
+ * Read REST API settings from environment variables
+ */
+export function restConfigFromEnv(env = process.env) {
+  return {
+    host: env.API_HOST || '127.0.0.1',
+    port: parseInt(env.API_PORT, 10) || 3001,
+    authToken: env.API_AUTH_TOKEN || null,
+    corsOrigin: env.API_CORS_ORIGIN || null,
+  };
+}
+
+/**
+ * Turn query string parameters into the shape the zod schemas expect:
+ * numbers and booleans are coerced and list parameters accept `a,b` as well as repeats
+ */
+function paramsToInput(searchParams) {
+  const input = {};
+  for (const key of new Set(searchParams.keys())) {
+    const values = searchParams.getAll(key);
+    if (LIST_PARAMS.has(key)) {
+      input[key] = values.flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+    } else if (NUMBER_PARAMS.has(key)) {
+      const n = Number(values[0]);
+      input[key] = Number.isNaN(n) ? values[0] : n;
+    } else if (BOOLEAN_PARAMS.has(key)) {
+      input[key] = /^(1|true|yes|on)$/i.test(values[0]) ? true : /^(0|false|no|off)$/i.test(values[0]) ? false : values[0];
+    } else {
+      input[key] = values[0];
+    }
+  }
+  return input;
+}
+
+async function readInput(req, url, schema) {
+  const raw = req.method === 'POST' ? (await readJsonBody(req)) ?? {} : paramsToInput(url.searchParams);
+  return schema.parse(raw);
+}
+
+/**
+ * Resolve a named index, answering 404 for unknown names
+ */
+function findIndex(name) {
+  try {
+    return resolveIndex(name);
+  } catch (error) {
+    throw new HttpError(404, error.message);
+  }
+}
+
+async function handleSearch(req, url) {
+  const input = await readInput(req, url, semanticSearchSchema);
+  findIndex(input.index);
+  return semanticSearch(input.query, input.top_k ?? 10, { mode: input.mode, filters: filtersFromInput(input), index: input.index });
+}
+
+async function handleVsSearch(req, url) {
+  const input = await readInput(req, url, vsSearchSchema);
+  const { query, top_k = 5, index } = input;
+  findIndex(index);
+  const { json } = await vectorStoreSearch(query, top_k, { index, ...vsSearchOptionsFromInput(input) });
+  return { query, top_k, ...(index && { index }), ...json };
+}
+
+async function handlePost(postId, url) {
+  const index = findIndex(url.searchParams.get('index'));
+  const store = await loadEmbeddingStore(index.dataDir);
+  if (!store) throw new HttpError(503, `Index "${index.name}" not built (run: node scripts/build-index.js --index ${index.name})`);
+
+  const chunks = store.documents.filter(doc => doc.metadata?.post_id !== undefined
+    ? doc.metadata.post_type !== 'comment' && String(doc.metadata.post_id) === postId
+    : doc.id === `post-${postId}`);
+  if (chunks.length === 0) throw new HttpError(404, `Post ${postId} is not in the index`);
+
+  const { chunk_id, ...metadata } = chunks[0].metadata || {};
+  return {
+    id: `post-${postId}`,
+    index: index.name,
+    metadata,
+    chunks: chunks.map(doc => ({ id: doc.id, chunk_id: doc.metadata?.chunk_id ?? 0, text: doc.text }))
+  };
+}
+
+/**
+ * Create the request handler (exported separately so it can be mounted elsewhere)
+ * @param {Object} opts - See restConfigFromEnv
+ */
+export function createRestHandler(opts = restConfigFromEnv()) {
+  const { authToken, corsOrigin } = opts;
+  const corsHeaders = corsOrigin ? {
+    'Access-Control-Allow-Origin': corsOrigin,
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  } : {};
+
+  return async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const reply = (status, body, headers = {}) => sendJson(res, status, body, { ...corsHeaders, ...headers });
+
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders);
+        return res.end();
+      }
+      if (!isAuthorized(req, authToken)) {
+        return reply(401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+      }
+
+      const postMatch = /^\/posts\/(\d+)$/.exec(url.pathname);
+      const route = postMatch ? '/posts/:id' : url.pathname;
+      const methods = {
+        '/search': ['GET', 'POST'],
+        '/vs-search': ['GET', 'POST'],
+        '/health': ['GET'],
+        '/indexes': ['GET'],
+        '/posts/:id': ['GET'],
+      }[route];
+
+      if (!methods) throw new HttpError(404, 'Not found');
+      if (!methods.includes(req.method)) {
+        return reply(405, { error: `Method ${req.method} not allowed` }, { Allow: methods.join(', ') });
+      }
+
+      switch (route) {
+        case '/search':
+          return reply(200, await handleSearch(req, url));
+        case '/vs-search':
+          return reply(200, await handleVsSearch(req, url));
+        case '/health': {
+          const health = await collectHealth();
+          return reply(health.ready ? 200 : 503, health);
+        }
+        case '/indexes':
+          return reply(200, { indexes: await describeIndexes() });
+        case '/posts/:id':
+          return reply(200, await handlePost(postMatch[1], url));
+      }
+    } catch (error) {
+      if (error instanceof ZodError) {
+        return reply(400, { error: 'Invalid request', issues: error.issues.map(i => ({ path: i.path.join('.'), message: i.message })) });
+      }
+      if (error instanceof HttpError) {
+        return reply(error.status, { error: error.message });
+      }
+      if (error instanceof SearchError) {
+        return reply(SEARCH_ERROR_STATUS[error.code] || 500, { error: error.message });
+      }
+      console.error('REST API error:', error.message);
+      return reply(500, { error: error.message });
+    }
+  };
+}
+
+/**
+ * Start the REST API server
+ * @param {Object} opts - See restConfigFromEnv
+ * @returns {Promise<http.Server>}
+ */
+export async function startRestServer(opts = restConfigFromEnv()) {
+  const { host, port, authToken } = opts;
+  if (!authToken && !isLoopbackHost(host)) {
+    console.error(`⚠️  REST API listens on ${host} without API_AUTH_TOKEN; anyone who can reach it can search`);
+  }
+
+  const server = http.createServer(createRestHandler(opts));
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  console.error(`REST API listening on http://${host}:${port}${authToken ? ' with bearer auth' : ''}`);
+  return server;
+}
+
+export default { createRestHandler, startRestServer, restConfigFromEnv };
@@ -0,0 +1,72 @@
+import { z } from 'zod';
+import { SEARCH_MODES } from './search.js';
+import { VS_SEARCH_MODES, VS_RANKERS } from './vector_store_search.js';
+import { isValidDate } from './dates.js';
+
+// Input schemas shared by the MCP tools and the REST API.
+// The MCP SDK takes raw shapes; z.object() wraps them for direct validation.
+
+// The Vector Store search returns at most 50 chunks; both searches share the cap
+export const MAX_TOP_K = 50;
+
+const topK = fallback => z.number().int().min(1).max(MAX_TOP_K).optional()
+  .describe(`Number of results to return (1-${MAX_TOP_K}, default: ${fallback})`);
+const date = description => z.string()
+  .refine(isValidDate, { message: 'Expected a date as YYYY-MM-DD or ISO 8601' })
+  .optional()
+  .describe(description);
+
+export const semanticSearchShape = {
+  query: z.string().trim().min(1).describe("Search query"),
+  top_k: topK(10),
+  mode: z.enum(SEARCH_MODES).optional().describe("Ranking mode: vector (embeddings), keyword (BM25, good for exact names) or hybrid (both fused)"),
+  date_from: date("Only posts published on or after this date (YYYY-MM-DD or ISO 8601)"),
+  date_to: date("Only posts published on or before this date (YYYY-MM-DD, the whole day, or ISO 8601)"),
+  categories: z.array(z.string()).optional().describe("Only posts in any of these categories (names)"),
+  tags: z.array(z.string()).optional().describe("Only posts with any of these tags (names)"),
+  author: z.string().optional().describe("Only posts by this author (display name)"),
+  post_type: z.string().optional().describe("Only this post type, e.g. post or page"),
+  index: z.string().optional().describe("Named index to search (see indexes://list); default index when omitted")
+};
+
+export const vsSearchShape = {
+  query: z.string().trim().min(1).describe("Search query"),
+  top_k: topK(5),
+  date_from: date("Only posts published on or after this date (YYYY-MM-DD or ISO 8601)"),
+  date_to: date("Only posts published on or before this date (YYYY-MM-DD, the whole day, or ISO 8601)"),
+  categories: z.array(z.string()).optional().describe("Only posts in any of these categories (names)"),
+  post_type: z.string().optional().describe("Only this post type, e.g. post or page"),
+  mode: z.enum(VS_SEARCH_MODES).optional().describe("llm (model-written results) or direct (vector store search: real scores and chunk text, no model)"),
+  min_score: z.number().min(0).max(1).optional().describe("Drop chunks scoring below this (0-1)"),
+  ranker: z.enum(VS_RANKERS).optional().describe("Ranker of the search; none is faster"),
+  rewrite_query: z.boolean().optional().describe("Let OpenAI rewrite the query before searching (direct mode)"),
+  index: z.string().optional().describe("Named index whose Vector Store to search; default index when omitted")
+};
+
+export const semanticSearchSchema = z.object(semanticSearchShape);
+export const vsSearchSchema = z.object(vsSearchShape);
+
+/**
+ * Metadata filters for semanticSearch from validated tool/API input
+ */
+export function filtersFromInput({ date_from, date_to, categories, tags, author, post_type }) {
+  return { date_from, date_to, categories, tags, author, post_type };
+}
+
+/**
+ * vectorStoreSearch options (without index) from validated tool/API input
+ */
+export function vsSearchOptionsFromInput(input) {
+  const { mode, min_score, ranker, rewrite_query } = input;
+  return { mode, min_score, ranker, rewrite_query, filters: filtersFromInput(input) };
+}
+
+export default {
+  MAX_TOP_K,
+  semanticSearchShape,
+  vsSearchShape,
+  semanticSearchSchema,
+  vsSearchSchema,
+  filtersFromInput,
+  vsSearchOptionsFromInput
+};
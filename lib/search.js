@@ -1,117 +1,344 @@
-import OpenAI from 'openai';
 import { config } from 'dotenv';
-import fs from 'fs/promises';
-import path from 'path';
+import { loadEmbeddingStore, normalizeVector, dotAt } from './embedding_store.js';
+import { loadHnswIndex, searchHnsw, hnswFromEnv } from './hnsw.js';
+import { loadKeywordIndex, searchKeyword } from './keyword_index.js';
+import { createEmbeddingProvider, embeddingConfigFromEnv, assertCompatibleIndex } from './embeddings.js';
+import { createQueryCache, queryCacheKey } from './query_cache.js';
+import { resolveIndex } from './indexes.js';
+import { itemKey } from './wordpress.js';
+import { SearchError } from './errors.js';
+import { dateRange, parseDate } from './dates.js';
 
 // Load environment variables
 config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  organization: process.env.OPENAI_ORGANIZATION,
-  project: process.env.OPENAI_PROJECT,
-});
+// Query embeddings do not depend on the index, so all indexes share one cache
+const queryCache = createQueryCache();
+export const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+// Chunk candidates fetched from the ANN index per requested post result
+const ANN_CANDIDATES_PER_RESULT = 5;
 
-const EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
-const MIN_SIMILARITY = parseFloat(process.env.MIN_SIMILARITY) || 0.30;
-const EMBEDDINGS_FILE = './data/embeddings.json';
+/**
+ * Read local search settings from environment variables (an index's env,
+ * so indexes.json can set them per index)
+ */
+export function searchConfigFromEnv(env = process.env) {
+  const vectorWeight = parseFloat(env.HYBRID_VECTOR_WEIGHT);
+  return {
+    minSimilarity: parseFloat(env.MIN_SIMILARITY) || 0.30,
+    mode: env.SEARCH_MODE || 'vector',
+    fusion: {
+      method: env.HYBRID_FUSION || 'rrf',
+      rrfK: parseInt(env.HYBRID_RRF_K, 10) || 60,
+      // Share of the vector score in weighted blending (keyword gets the rest)
+      vectorWeight: Number.isNaN(vectorWeight) ? 0.5 : vectorWeight
+    },
+    hnsw: hnswFromEnv(env)
+  };
+}
+
+// index name -> { index, embeddingProvider, settings }
+const contexts = new Map();
+
+/**
+ * Resolve a named index (default when omitted) with its embedding provider
+ * and search settings
+ */
+function getIndexContext(name) {
+  const index = resolveIndex(name);
+  let context = contexts.get(index.name);
+  if (!context) {
+    context = {
+      index,
+      embeddingProvider: createEmbeddingProvider(embeddingConfigFromEnv(index.env)),
+      settings: searchConfigFromEnv(index.env)
+    };
+    contexts.set(index.name, context);
+  }
+  return context;
+}
 
 /**
- * Load embeddings from local file
+ * Load embeddings from the local store (cached in memory between queries)
  */
-async function loadEmbeddings() {
+async function loadEmbeddings(dataDir) {
   try {
-    const data = await fs.readFile(EMBEDDINGS_FILE, 'utf8');
-    return JSON.parse(data);
+    return await loadEmbeddingStore(dataDir);
   } catch (error) {
     console.error('Failed to load embeddings:', error.message);
-    return { documents: [], embeddings: [] };
+    return null;
   }
 }
 
 /**
- * Generate embedding for query text
+ * Generate the normalized embedding for query text, served from the query
+ * cache when possible. An expired cache entry is still used when the
+ * embeddings API fails, so repeated queries survive short outages.
+ * @returns {Promise<{ embedding: Float32Array, cache: Object }>}
  */
-async function generateQueryEmbedding(query) {
+async function generateQueryEmbedding(embeddingProvider, query) {
+  const key = queryCacheKey(embeddingProvider, query);
+  const cached = await queryCache.get(key);
+  if (cached && !cached.expired) {
+    return { embedding: cached.vector, cache: { hit: true, source: cached.source } };
+  }
+
   try {
-    const response = await openai.embeddings.create({
-      model: EMBEDDING_MODEL,
-      input: query.trim(),
-    });
-    return response.data[0].embedding;
+    const [embedding] = await embeddingProvider.embed([query.trim()]);
+    const normalized = normalizeVector(embedding);
+    await queryCache.set(key, normalized);
+    return { embedding: normalized, cache: { hit: false, source: null } };
   } catch (error) {
+    if (cached) {
+      console.error(`Embedding failed (${error.message}); using expired cached embedding`);
+      queryCache.markStaleHit();
+      return { embedding: cached.vector, cache: { hit: true, source: cached.source, stale: true } };
+    }
     throw new Error(`Failed to generate embedding: ${error.message}`);
   }
 }
 
 /**
- * Calculate cosine similarity between two vectors
+ * Load the ANN index for the store, or null to use the exact scan
  */
-function cosineSimilarity(a, b) {
-  let dot = 0, normA = 0, normB = 0;
-  const len = Math.min(a.length, b.length);
-  
-  for (let i = 0; i < len; i++) {
-    const x = a[i];
-    const y = b[i];
-    dot += x * y;
-    normA += x * x;
-    normB += y * y;
+async function loadAnnIndex(dataDir, store) {
+  try {
+    return await loadHnswIndex(dataDir, store);
+  } catch (error) {
+    console.error('Failed to load HNSW index, using exact scan:', error.message);
+    return null;
   }
-  
-  const denominator = Math.sqrt(normA) * Math.sqrt(normB);
-  return denominator === 0 ? 0 : dot / denominator;
 }
 
 /**
- * Perform semantic search using direct embeddings + cosine similarity
+ * Score every document against the query (exact scan), optionally only those
+ * allowed by a metadata filter mask
+ */
+function exactScan(store, queryEmbedding, allowed = null) {
+  const hits = [];
+  store.documents.forEach((doc, index) => {
+    if (allowed && !allowed[index]) return;
+    hits.push({ ...doc, score: dotAt(store, index, queryEmbedding) });
+  });
+  return hits;
+}
+
+/**
+ * Score the nearest chunks found through the HNSW graph
+ */
+function annScan(store, graph, queryEmbedding, topK, efSearch) {
+  const k = Math.min(store.count, Math.max(efSearch, topK * ANN_CANDIDATES_PER_RESULT));
+  return searchHnsw(graph, store, queryEmbedding, k, Math.max(efSearch, k))
+    .map(({ index, score }) => ({ ...store.documents[index], score }));
+}
+
+/**
+ * Lower-cased list from a string, comma-separated string or array
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Build a predicate over document metadata from search filters.
+ * Categories and tags match when the post has any of the given names (or IDs);
+ * dates compare as timestamps against the GMT publish date (`wp_date_gmt`, else
+ * the site-local `wp_date`), and a date-only `date_to` includes that whole day.
+ * @param {Object} [filters]
+ * @param {string} [filters.date_from] - Earliest post date (YYYY-MM-DD or ISO 8601)
+ * @param {string} [filters.date_to] - Latest post date (YYYY-MM-DD or ISO 8601)
+ * @param {string|string[]} [filters.categories] - Category names or IDs
+ * @param {string|string[]} [filters.tags] - Tag names or IDs
+ * @param {string} [filters.author] - Author display name
+ * @param {string|string[]} [filters.post_type] - Post type(s), e.g. "post" or "page"
+ * @returns {Function|null} (metadata) => boolean, or null when no filter is set
+ * @throws {SearchError} invalid_input for a date that does not parse
+ */
+export function buildMetadataFilter(filters = {}) {
+  const { from: dateFrom, to: dateTo } = dateRange(filters);
+  const categories = toList(filters.categories);
+  const tags = toList(filters.tags);
+  const author = filters.author ? String(filters.author).trim().toLowerCase() : null;
+  const postTypes = toList(filters.post_type);
+
+  if (dateFrom === null && dateTo === null && !categories.length && !tags.length && !author && !postTypes.length) {
+    return null;
+  }
+
+  const matchesAny = (wanted, names = [], ids = []) => {
+    const have = new Set([...names.map(name => String(name).toLowerCase()), ...ids.map(String)]);
+    return wanted.some(item => have.has(item));
+  };
+
+  return (metadata = {}) => {
+    if (dateFrom !== null || dateTo !== null) {
+      // GMT publish date (site-local for posts without one); posts without a
+      // readable date never match a date filter
+      const date = parseDate(metadata.wp_date_gmt || metadata.wp_date);
+      if (date === null || (dateFrom !== null && date < dateFrom) || (dateTo !== null && date > dateTo)) return false;
+    }
+    if (categories.length && !matchesAny(categories, metadata.categories, metadata.category_ids)) return false;
+    if (tags.length && !matchesAny(tags, metadata.tags, metadata.tag_ids)) return false;
+    if (author && String(metadata.author || '').toLowerCase() !== author) return false;
+    if (postTypes.length && !postTypes.includes(String(metadata.post_type || 'post').toLowerCase())) return false;
+    return true;
+  };
+}
+
+/**
+ * Collapse chunk hits into one result per post, keeping the best-matching
+ * chunk as the snippet
+ */
+function aggregateByPost(hits) {
+  const byPost = new Map();
+
+  for (const hit of hits) {
+    const key = hit.metadata?.post_id !== undefined ? itemKey(hit.metadata.post_type, hit.metadata.post_id) : `post-${hit.id}`;
+    const current = byPost.get(key);
+    if (!current) {
+      byPost.set(key, { best: hit, matched: 1 });
+    } else {
+      current.matched += 1;
+      if (hit.score > current.best.score) current.best = hit;
+    }
+  }
+
+  return [...byPost.entries()].map(([key, { best, matched }]) => ({
+    id: key,
+    chunk_id: best.id,
+    snippet: best.text,
+    metadata: best.metadata,
+    score: best.score,
+    matched_chunks: matched
+  }));
+}
+
+/**
+ * Merge per-post vector and keyword rankings, either with reciprocal rank
+ * fusion or by blending the vector score with the max-normalized BM25 score
+ * @param {Object} fusion - searchConfigFromEnv().fusion: { method: 'rrf'|'weighted', rrfK, vectorWeight }
+ */
+export function fuseRankings(vectorResults, keywordResults, { method, rrfK, vectorWeight }) {
+  const fused = new Map();
+  const maxKeyword = keywordResults.length > 0 ? keywordResults[0].score : 0;
+
+  vectorResults.forEach((result, rank) => {
+    fused.set(result.id, { ...result, vector_score: result.score, vector_rank: rank + 1 });
+  });
+  keywordResults.forEach((result, rank) => {
+    const current = fused.get(result.id);
+    if (current) {
+      Object.assign(current, { keyword_score: result.score, keyword_rank: rank + 1 });
+    } else {
+      fused.set(result.id, { ...result, keyword_score: result.score, keyword_rank: rank + 1 });
+    }
+  });
+
+  return [...fused.values()].map(result => {
+    const score = method === 'weighted'
+      ? vectorWeight * (result.vector_score || 0)
+        + (1 - vectorWeight) * (maxKeyword > 0 ? (result.keyword_score || 0) / maxKeyword : 0)
+      : (result.vector_rank ? 1 / (rrfK + result.vector_rank) : 0)
+        + (result.keyword_rank ? 1 / (rrfK + result.keyword_rank) : 0);
+    return { ...result, score };
+  }).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Perform semantic search using direct embeddings + cosine similarity,
+ * BM25 keyword matching, or both fused
  * @param {string} query - The search query
  * @param {number} topK - Number of results to return (default: 10)
+ * @param {Object} [options]
+ * @param {'vector'|'keyword'|'hybrid'} [options.mode] - Ranking mode (default: the index's SEARCH_MODE or "vector")
+ * @param {Object} [options.filters] - Metadata filters applied before ranking (see buildMetadataFilter)
+ * @param {string} [options.index] - Named index to search (default index when omitted)
  * @returns {Promise<Object>} Search results with metadata
  */
-export async function semanticSearch(query, topK = 10) {
+export async function semanticSearch(query, topK = 10, options = {}) {
   const startTime = Date.now();
   
   try {
+    const { index, embeddingProvider, settings } = getIndexContext(options.index);
+    const mode = options.mode || settings.mode;
+    const { minSimilarity, fusion } = settings;
     console.log(`Searching for: "${query}"`);
-    console.log(`Top K: ${topK}, Min similarity: ${MIN_SIMILARITY}`);
+    console.log(`Index: ${index.name}, Top K: ${topK}, Min similarity: ${minSimilarity}, Mode: ${mode}`);
 
     // Validate inputs
     if (!query || typeof query !== 'string' || query.trim().length === 0) {
-      throw new Error('Query must be a non-empty string');
+      throw new SearchError('invalid_input', 'Query must be a non-empty string');
     }
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new SearchError('invalid_input', `Unknown search mode "${mode}" (expected one of: ${SEARCH_MODES.join(', ')})`);
+    }
+    const filter = buildMetadataFilter(options.filters);
 
     // Load embeddings from local storage
-    const { documents, embeddings } = await loadEmbeddings();
+    const store = await loadEmbeddings(index.dataDir);
     
-    if (!documents || documents.length === 0) {
+    if (!store || store.count === 0) {
       return {
         query: query,
         total_results: 0,
         results: [],
         search_time_ms: Date.now() - startTime,
-        min_similarity: MIN_SIMILARITY,
+        min_similarity: minSimilarity,
+        mode,
+        index: index.name,
         message: "No documents found. Please run the indexing script first."
       };
     }
 
-    // Generate query embedding
-    console.log('Generating query embedding...');
-    const queryEmbedding = await generateQueryEmbedding(query);
-    console.log(`Generated embedding with ${queryEmbedding.length} dimensions`);
+    // Metadata filters narrow the candidate set before anything is ranked
+    const allowed = filter ? store.documents.map(doc => filter(doc.metadata)) : null;
+    if (allowed) {
+      console.error(`Filters match ${allowed.filter(Boolean).length} of ${store.count} documents`);
+    }
 
-    // Calculate similarities and rank results
-    console.log('Calculating similarities...');
-    const results = documents.map((doc, index) => {
-      const similarity = cosineSimilarity(queryEmbedding, embeddings[index]);
-      return {
-        ...doc,
-        score: similarity
-      };
-    })
-    .filter(result => result.score >= MIN_SIMILARITY)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, topK);
+    let vectorResults = [];
+    let keywordResults = [];
+    let graph = null;
+    let embeddingCache = null;
+
+    if (mode !== 'keyword') {
+      // Generate query embedding
+      assertCompatibleIndex(store.meta, embeddingProvider);
+      console.log(`Generating query embedding (${embeddingProvider.name}/${embeddingProvider.model})...`);
+      const { embedding: queryEmbedding, cache } = await generateQueryEmbedding(embeddingProvider, query);
+      embeddingCache = cache;
+      console.log(`${cache.hit ? `Cached (${cache.source})` : 'Generated'} embedding with ${queryEmbedding.length} dimensions`);
+      if (queryEmbedding.length !== store.dimensions) {
+        throw new Error(`Query embedding has ${queryEmbedding.length} dimensions but the index has ${store.dimensions}; rebuild the index with the same model`);
+      }
+
+      // Stored vectors are normalized, so cosine similarity is a dot product.
+      // Use the HNSW graph when one matches the store, otherwise scan everything.
+      // Filtered searches scan the allowed subset exactly, since the graph
+      // cannot guarantee enough neighbors survive the filter
+      graph = allowed ? null : await loadAnnIndex(index.dataDir, store);
+      console.log(`Calculating similarities (${graph ? 'HNSW' : 'exact scan'})...`);
+      const hits = (graph ? annScan(store, graph, queryEmbedding, topK, settings.hnsw.efSearch) : exactScan(store, queryEmbedding, allowed))
+        .filter(result => result.score >= minSimilarity);
+      vectorResults = aggregateByPost(hits).sort((a, b) => b.score - a.score);
+    }
+
+    if (mode !== 'vector') {
+      // BM25 scores are unbounded, so MIN_SIMILARITY does not apply to them
+      console.error('Ranking keyword matches (BM25)...');
+      const keywordIndex = await loadKeywordIndex(index.dataDir, store);
+      const hits = searchKeyword(keywordIndex, query)
+        .filter(({ index }) => !allowed || allowed[index])
+        .map(({ index, score }) => ({ ...store.documents[index], score }));
+      keywordResults = aggregateByPost(hits).sort((a, b) => b.score - a.score);
+    }
+
+    const ranked = mode === 'vector' ? vectorResults
+      : mode === 'keyword' ? keywordResults
+      : fuseRankings(vectorResults, keywordResults, fusion);
+    const results = ranked.slice(0, topK);
 
     const searchTime = Date.now() - startTime;
     console.log(`Search completed in ${searchTime}ms, found ${results.length} results`);
@@ -121,20 +348,35 @@ export async function semanticSearch(query, topK = 10) {
       total_results: results.length,
       results: results,
       search_time_ms: searchTime,
-      min_similarity: MIN_SIMILARITY
+      min_similarity: minSimilarity,
+      mode,
+      index: index.name,
+      ...(mode === 'hybrid' && { fusion: fusion.method }),
+      ...(filter && { filters: options.filters }),
+      ...(embeddingCache && { query_embedding_cache: embeddingCache }),
+      search_method: mode === 'keyword' ? 'bm25' : (graph ? 'hnsw' : 'exact')
     };
 
   } catch (error) {
     console.error('Search error:', error.message);
+    // Typed errors keep their code for the caller to answer with
+    if (error instanceof SearchError) throw error;
     throw new Error(`Semantic search failed: ${error.message}`);
   }
 }
 
+/**
+ * Query-embedding cache counters (hits, misses, stale hits, entries)
+ */
+export function getQueryCacheStats() {
+  return queryCache.stats();
+}
+
 /**
  * Alternative search method (kept for compatibility)
  */
-export async function directVectorSearch(query, topK = 10) {
-  return await semanticSearch(query, topK);
+export async function directVectorSearch(query, topK = 10, options = {}) {
+  return await semanticSearch(query, topK, { ...options, mode: 'vector' });
 }
 
 /**
@@ -147,15 +389,15 @@ export function formatSearchResults(results) {
 
   const lines = [
     `Found ${results.total_results} result(s) for: "${results.query}"`,
-    `Search completed in ${results.search_time_ms}ms (min similarity: ${results.min_similarity})`,
+    `Search completed in ${results.search_time_ms}ms (mode: ${results.mode || 'vector'}, min similarity: ${results.min_similarity})`,
     ''
   ];
 
   results.results.forEach((result, index) => {
     const score = result.score ? result.score.toFixed(3) : 'N/A';
-    lines.push(`#${index + 1} [${score}] ${result.metadata.title}`);
+    lines.push(`#${index + 1} [${score}] ${result.metadata.title} (${result.metadata.post_type || 'post'})`);
     lines.push(`${result.metadata.link}`);
-    lines.push(`${result.metadata.excerpt.substring(0, 200)}...`);
+    lines.push(`${(result.snippet || result.metadata.excerpt).substring(0, 200)}...`);
     lines.push('');
   });
 
@@ -164,6 +406,7 @@ export function formatSearchResults(results) {
 
 export default {
   semanticSearch,
+  getQueryCacheStats,
   directVectorSearch,
   formatSearchResults
 };
@@ -0,0 +1,344 @@
+import { createHash } from 'crypto';
+import OpenAI, { toFile } from 'openai';
+import { itemKey } from './wordpress.js';
+import { htmlToText, htmlToMarkdown, decodeEntities } from './html_text.js';
+import { requestClientOptions, requestConfigFromEnv } from './openai_requests.js';
+
+// WordPress items as OpenAI Vector Store files: one JSON document per item,
+// named `{id}.json` (posts, pages, custom post types) or `comment-{id}.json`,
+// so a single item can be found and replaced without re-uploading the site.
+// Each file also carries vector store file attributes: post ID, type, title,
+// link, publish date and categories for filtered file_search and for reading
+// results without trusting the model, plus the modified time and content
+// hash, which is enough to rebuild the local manifest (see
+// vector_store_manifest.js) from the store alone.
+
+// OpenAI allows 16 attributes per file; the fixed ones leave room for this many categories
+const MAX_CATEGORY_ATTRIBUTES = 8;
+const MAX_ATTRIBUTE_LENGTH = 512;
+// OpenAI's static chunking limits; "auto" currently means 800 tokens with 400 overlap
+const MIN_CHUNK_TOKENS = 100;
+const MAX_CHUNK_TOKENS = 4096;
+export const AUTO_CHUNKING = { max_chunk_size_tokens: 800, chunk_overlap_tokens: 400 };
+
+/**
+ * OpenAI client for the credentials of an index; its requests are retried
+ * and rate limited by openai_requests.js
+ */
+export function createOpenAIClient(env = process.env) {
+  return new OpenAI({
+    apiKey: env.OPENAI_API_KEY,
+    organization: env.OPENAI_ORGANIZATION,
+    project: env.OPENAI_PROJECT,
+    baseURL: env.OPENAI_BASE_URL,
+    ...requestClientOptions({ baseURL: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY, project: env.OPENAI_PROJECT }, requestConfigFromEnv(env)),
+  });
+}
+
+/**
+ * Static chunking strategy for vector store files
+ * @throws {Error} When the sizes are outside OpenAI's limits
+ */
+export function staticChunkingStrategy(maxTokens, overlapTokens = Math.min(AUTO_CHUNKING.chunk_overlap_tokens, Math.floor(maxTokens / 2))) {
+  if (!Number.isInteger(maxTokens) || maxTokens < MIN_CHUNK_TOKENS || maxTokens > MAX_CHUNK_TOKENS) {
+    throw new Error(`Chunk size must be ${MIN_CHUNK_TOKENS}-${MAX_CHUNK_TOKENS} tokens (got ${maxTokens})`);
+  }
+  if (!Number.isInteger(overlapTokens) || overlapTokens < 0 || overlapTokens > maxTokens / 2) {
+    throw new Error(`Chunk overlap must be 0 to half the chunk size (got ${overlapTokens} for ${maxTokens})`);
+  }
+  return { type: 'static', static: { max_chunk_size_tokens: maxTokens, chunk_overlap_tokens: overlapTokens } };
+}
+
+/**
+ * Chunking strategy for attaching files, from VS_CHUNK_MAX_TOKENS and
+ * VS_CHUNK_OVERLAP_TOKENS; null leaves it to OpenAI ("auto")
+ */
+export function vsChunkingFromEnv(env = process.env) {
+  if (!env.VS_CHUNK_MAX_TOKENS) return null;
+  const overlap = env.VS_CHUNK_OVERLAP_TOKENS ? Number(env.VS_CHUNK_OVERLAP_TOKENS) : undefined;
+  return staticChunkingStrategy(Number(env.VS_CHUNK_MAX_TOKENS), overlap);
+}
+
+/**
+ * Short form of a chunking strategy for the manifest ("800/400"), so a
+ * changed strategy can be detected; auto counts as its current sizes
+ */
+export function chunkingLabel(strategy) {
+  const { max_chunk_size_tokens, chunk_overlap_tokens } = strategy?.type === 'static' ? strategy.static : AUTO_CHUNKING;
+  return `${max_chunk_size_tokens}/${chunk_overlap_tokens}`;
+}
+
+/**
+ * The JSON document uploaded for a WordPress item
+ */
+export function toJsonDoc(post) {
+  const title = htmlToText(post.title?.rendered || post.title || '');
+  const link = post.link || '';
+  const excerpt = htmlToText(post.excerpt?.rendered || post.excerpt || '');
+  const content = htmlToMarkdown(post.content?.rendered || post.content || '');
+  const id = post.id || post.slug || null;
+  const slug = post.slug || null;
+  const date = post.date || null;
+  const type = post.type || 'post';
+  const status = post.status || 'publish';
+  const doc = { id, slug, type, status, title, link, excerpt, content, date };
+  return JSON.stringify(doc, null, 2);
+}
+
+/**
+ * Attribute key marking membership of a category, from its name
+ * (`cat_` + the lower-cased name), e.g. "Tech News" -> "cat_tech news"
+ */
+export function categoryAttributeKey(name) {
+  return `cat_${decodeEntities(name).trim().replace(/\s+/g, ' ').toLowerCase()}`.slice(0, 64);
+}
+
+/**
+ * Date as Unix seconds; a date without a zone is read as UTC (right for
+ * WordPress `date_gmt`, off by the site's offset for the site-local `date`)
+ */
+export function dateAttribute(date) {
+  const time = Date.parse(/(?:[zZ]|[+-]\d\d:?\d\d)$/.test(date) ? date : `${date}Z`);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+/**
+ * Vector store file attributes of an item (without the content hash)
+ */
+export function itemAttributes(post) {
+  const attributes = {
+    post_id: post.id,
+    post_type: post.type || 'post',
+    title: htmlToText(post.title?.rendered || post.title || '').slice(0, MAX_ATTRIBUTE_LENGTH),
+    link: String(post.link || '').slice(0, MAX_ATTRIBUTE_LENGTH),
+    modified: post.modified || post.date || ''
+  };
+  // GMT publish date; drafts never scheduled only have the site-local one
+  const published = post.date_gmt || post.date;
+  const date = published ? dateAttribute(published) : null;
+  if (date !== null) attributes.date = date;
+
+  const categories = (post._embedded?.['wp:term'] || []).flat()
+    .filter(term => term?.taxonomy === 'category')
+    .slice(0, MAX_CATEGORY_ATTRIBUTES);
+  for (const term of categories) attributes[categoryAttributeKey(term.name)] = true;
+  return attributes;
+}
+
+/**
+ * Everything uploaded for an item: file name, JSON body and attributes. The
+ * hash covers body and attributes, so either changing re-uploads the file.
+ * @returns {{ filename: string, json: string, attributes: Object, hash: string }}
+ */
+export function itemDocument(post) {
+  const json = toJsonDoc(post);
+  const attributes = itemAttributes(post);
+  const hash = contentHash(`${json}\n${JSON.stringify(attributes)}`);
+  return { filename: vectorStoreFilename(post.type, post.id), json, attributes: { ...attributes, content_hash: hash }, hash };
+}
+
+/**
+ * File name of an item; comments have their own ID space, so keep them apart from posts
+ */
+export function vectorStoreFilename(postType, id) {
+  return postType === 'comment' ? `comment-${id}.json` : `${id}.json`;
+}
+
+/**
+ * Hash of an item's uploaded document; unchanged hash, unchanged file
+ */
+export function contentHash(json) {
+  return createHash('sha256').update(json).digest('hex');
+}
+
+/**
+ * Item key (see itemKey) of an uploaded file name, or null for files this
+ * tool did not name
+ */
+export function keyFromFilename(filename) {
+  const match = /^(comment-)?(\d+)\.json$/.exec(filename || '');
+  return match ? itemKey(match[1] ? 'comment' : 'post', Number(match[2])) : null;
+}
+
+/**
+ * Files attached to the vector store, by file ID
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only files in this state (in_progress, completed, failed, cancelled)
+ * @returns {Promise<Map<string, Object>>} file ID -> vector store file (status, attributes, created_at)
+ */
+export async function listVectorStoreFiles(client, vectorStoreId, { status } = {}) {
+  const files = new Map();
+  for await (const file of client.vectorStores.files.list(vectorStoreId, { limit: 100, ...(status && { filter: status }) })) {
+    files.set(file.id, file);
+  }
+  return files;
+}
+
+/**
+ * Every file in the vector store with its upload name and item key.
+ * Vector store files carry no name, so this pages through the vector store
+ * and the Files API.
+ * @returns {Promise<{ fileId: string, filename: string|null, key: string|null, attributes: Object, createdAt: number, chunking: string|null }[]>}
+ */
+export async function listVectorStoreItems(client, vectorStoreId) {
+  const inStore = await listVectorStoreFiles(client, vectorStoreId);
+  if (inStore.size === 0) return [];
+
+  const names = new Map();
+  for await (const file of client.files.list({ purpose: 'assistants', limit: 10000 })) {
+    if (inStore.has(file.id)) names.set(file.id, file.filename);
+  }
+  return [...inStore.values()].map(file => {
+    const filename = names.get(file.id) || null;
+    const attributes = file.attributes || {};
+    // Attributes are authoritative; files from before they existed only have a name
+    const key = attributes.post_id !== undefined ? itemKey(attributes.post_type, attributes.post_id) : keyFromFilename(filename);
+    return { fileId: file.id, filename, key, attributes, createdAt: file.created_at || 0, chunking: file.chunking_strategy ? chunkingLabel(file.chunking_strategy) : null };
+  });
+}
+
+/**
+ * IDs of the files in the vector store that were uploaded under `filename`
+ */
+export async function findVectorStoreFiles(client, vectorStoreId, filename) {
+  const items = await listVectorStoreItems(client, vectorStoreId);
+  return items.filter(item => item.filename === filename).map(item => item.fileId);
+}
+
+/**
+ * Detach files from the vector store and delete them from Files storage
+ */
+export async function deleteVectorStoreFiles(client, vectorStoreId, fileIds) {
+  // Files removed elsewhere in the meantime (cleanup, another sync) are fine
+  const ignoreMissing = error => {
+    if (error.status !== 404) throw error;
+  };
+  for (const fileId of fileIds) {
+    await client.vectorStores.files.delete(fileId, { vector_store_id: vectorStoreId }).catch(ignoreMissing);
+    await client.files.delete(fileId).catch(ignoreMissing);
+  }
+}
+
+/**
+ * Upload a WordPress item and attach it to the vector store with its
+ * attributes. Processing continues on OpenAI's side; see waitForVectorStoreFiles.
+ * @param {Object} [options]
+ * @param {Object} [options.chunkingStrategy] - From vsChunkingFromEnv; OpenAI's default when omitted
+ * @param {Function} [options.onUpload] - Called with { file_id, filename, vector_store_id } once the
+ *   file is in Files storage, before it is attached (see recordUpload)
+ * @returns {Promise<Object>} Manifest entry for the item
+ */
+export async function uploadVectorStoreItem(client, vectorStoreId, post, { chunkingStrategy = null, onUpload = null } = {}) {
+  const { filename, json, attributes, hash } = itemDocument(post);
+  const file = await client.files.create({
+    file: await toFile(Buffer.from(json, 'utf8'), filename, { type: 'application/json' }),
+    purpose: 'assistants'
+  });
+  if (onUpload) await onUpload({ file_id: file.id, filename, vector_store_id: vectorStoreId });
+  const attached = await client.vectorStores.files.create(vectorStoreId, {
+    file_id: file.id,
+    attributes,
+    ...(chunkingStrategy && { chunking_strategy: chunkingStrategy })
+  });
+  return {
+    post_id: post.id,
+    post_type: attributes.post_type,
+    filename,
+    file_id: file.id,
+    vector_store_file_id: attached.id,
+    hash,
+    chunking: chunkingLabel(chunkingStrategy),
+    modified: post.modified || post.date || null
+  };
+}
+
+/**
+ * Wait until OpenAI has processed the given files. Each round lists the
+ * store's in-progress files (one request per 100) rather than asking for
+ * every file, and the failed and cancelled ones are listed once at the end.
+ * @returns {Promise<string[]>} IDs of files that failed or were cancelled
+ */
+export async function waitForVectorStoreFiles(client, vectorStoreId, fileIds, { timeoutMs = 15 * 60 * 1000, intervalMs = 1500 } = {}) {
+  if (fileIds.length === 0) return [];
+  const start = Date.now();
+  const ours = new Set(fileIds);
+
+  for (;;) {
+    const inProgress = await listVectorStoreFiles(client, vectorStoreId, { status: 'in_progress' });
+    const waiting = [...inProgress.keys()].filter(fileId => ours.has(fileId)).length;
+    if (waiting === 0) break;
+    console.log(`Waiting for ${waiting}/${fileIds.length} files to be processed...`);
+    if (Date.now() - start > timeoutMs) throw new Error(`Timed out waiting for ${waiting} files to be processed`);
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+
+  const failed = [];
+  for (const status of ['failed', 'cancelled']) {
+    for (const file of (await listVectorStoreFiles(client, vectorStoreId, { status })).values()) {
+      if (!ours.has(file.id)) continue;
+      console.error(`File ${file.id} ${file.status}${file.last_error ? `: ${file.last_error.message}` : ''}`);
+      failed.push(file.id);
+    }
+  }
+  return failed;
+}
+
+/**
+ * Upload a WordPress item and attach it to the vector store, replacing any
+ * earlier upload of the same item (the new file is attached first, so the
+ * item never disappears from search in between). With a manifest the
+ * previous upload is looked up there and the entry is updated; without one
+ * the store is searched by file name.
+ * @param {Object} [manifest] - From loadManifest
+ * @param {Object} [options] - See uploadVectorStoreItem
+ * @returns {Promise<{ fileId: string, replaced: number }>}
+ */
+export async function upsertVectorStoreItem(client, vectorStoreId, post, manifest = null, options = {}) {
+  const key = itemKey(post.type, post.id);
+  const previous = manifest
+    ? [manifest.items[key]?.file_id].filter(Boolean)
+    : await findVectorStoreFiles(client, vectorStoreId, vectorStoreFilename(post.type, post.id));
+  const entry = await uploadVectorStoreItem(client, vectorStoreId, post, options);
+  await deleteVectorStoreFiles(client, vectorStoreId, previous);
+  if (manifest) manifest.items[key] = entry;
+  return { fileId: entry.file_id, replaced: previous.length };
+}
+
+/**
+ * Remove every upload of a WordPress item from the vector store
+ * @param {Object} [manifest] - From loadManifest; the entry is removed too
+ * @returns {Promise<number>} Files removed
+ */
+export async function removeVectorStoreItem(client, vectorStoreId, postType, id, manifest = null) {
+  const key = itemKey(postType, id);
+  const fileIds = manifest
+    ? [manifest.items[key]?.file_id].filter(Boolean)
+    : await findVectorStoreFiles(client, vectorStoreId, vectorStoreFilename(postType, id));
+  await deleteVectorStoreFiles(client, vectorStoreId, fileIds);
+  if (manifest) delete manifest.items[key];
+  return fileIds.length;
+}
+
+export default {
+  createOpenAIClient,
+  AUTO_CHUNKING,
+  staticChunkingStrategy,
+  vsChunkingFromEnv,
+  chunkingLabel,
+  toJsonDoc,
+  vectorStoreFilename,
+  categoryAttributeKey,
+  dateAttribute,
+  itemAttributes,
+  itemDocument,
+  contentHash,
+  keyFromFilename,
+  listVectorStoreFiles,
+  listVectorStoreItems,
+  findVectorStoreFiles,
+  deleteVectorStoreFiles,
+  uploadVectorStoreItem,
+  waitForVectorStoreFiles,
+  upsertVectorStoreItem,
+  removeVectorStoreItem
+};
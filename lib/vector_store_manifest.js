@@ -0,0 +1,181 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { listVectorStoreItems } from './vector_store_files.js';
+
+// Local record of what build-index-vs.js uploaded to a vector store, kept in
+// the index's data directory:
+//   items: { "post-123": { post_id, post_type, filename, file_id,
+//                          vector_store_file_id, hash, chunking, modified } }
+// A sync compares content hashes (and the chunking, "max/overlap" tokens)
+// against it, so only new or changed items are uploaded and replaced files
+// can be deleted.
+//
+// Next to it, vector-store-uploads.jsonl records every file uploaded for the
+// index, one JSON line per file, written before the file is attached. It
+// outlives the manifest entry, so gc-storage.js can tell this index's
+// leftovers (superseded, or never attached after a failure) from files of
+// other applications in the same account.
+
+export const MANIFEST_FORMAT = 'wordpress-vector-store-manifest';
+export const MANIFEST_VERSION = 1;
+export const MANIFEST_FILENAME = 'vector-store-manifest.json';
+export const UPLOAD_LOG_FILENAME = 'vector-store-uploads.jsonl';
+
+function emptyManifest(vectorStoreId) {
+  return { format: MANIFEST_FORMAT, version: MANIFEST_VERSION, vector_store_id: vectorStoreId, updated_at: null, items: {} };
+}
+
+/**
+ * Read the manifest for this vector store, or null when there is none (or
+ * it was written for a different vector store)
+ */
+export async function loadManifest(dir, vectorStoreId) {
+  const file = path.join(dir, MANIFEST_FILENAME);
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+  if (manifest.format !== MANIFEST_FORMAT) throw new Error(`${file} is not a vector store manifest`);
+  if (manifest.version > MANIFEST_VERSION) throw new Error(`${file} has unsupported version ${manifest.version}`);
+  if (manifest.vector_store_id !== vectorStoreId) {
+    console.log(`ℹ️  ${file} belongs to vector store ${manifest.vector_store_id}, not ${vectorStoreId}`);
+    return null;
+  }
+  return manifest;
+}
+
+/**
+ * Write the manifest (temporary file + rename, so it is never half-written)
+ */
+export async function saveManifest(dir, manifest) {
+  const file = path.join(dir, MANIFEST_FILENAME);
+  manifest.updated_at = new Date().toISOString();
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(manifest, null, 2));
+  await fs.rename(`${file}.tmp`, file);
+  return file;
+}
+
+/**
+ * Reconstruct the manifest from the vector store's file listing. Files are
+ * matched to items by their attributes, or by file name for uploads from
+ * before attributes existed (those get no hash, so the next sync replaces
+ * them once). When an item was uploaded more than once the newest file wins
+ * and the others are returned as duplicates.
+ * @returns {Promise<{ manifest: Object, duplicates: string[], untracked: Object[] }>}
+ */
+export async function rebuildManifest(client, vectorStoreId) {
+  const manifest = emptyManifest(vectorStoreId);
+  const duplicates = [];
+  const untracked = [];
+  const items = await listVectorStoreItems(client, vectorStoreId);
+
+  for (const item of items.sort((a, b) => a.createdAt - b.createdAt)) {
+    if (!item.key) {
+      untracked.push(item);
+      continue;
+    }
+    if (manifest.items[item.key]) duplicates.push(manifest.items[item.key].file_id);
+    const [kind, id] = item.key.split('-');
+    manifest.items[item.key] = {
+      post_id: Number(item.attributes.post_id ?? id),
+      post_type: item.attributes.post_type || (kind === 'comment' ? 'comment' : 'post'),
+      filename: item.filename,
+      file_id: item.fileId,
+      vector_store_file_id: item.fileId,
+      hash: item.attributes.content_hash || null,
+      chunking: item.chunking,
+      modified: item.attributes.modified || null
+    };
+  }
+  return { manifest, duplicates, untracked };
+}
+
+/**
+ * Drop manifest entries whose file is no longer in the vector store (removed
+ * by cleanup-storage.js or by hand), so those items are uploaded again, and
+ * find the store files that belong to an item but are not its manifest file:
+ * an interrupted sync leaves the old and the new upload of an item attached,
+ * and only one of them is in the saved manifest.
+ * @returns {Promise<{ missing: string[], duplicates: string[], untracked: number }>} Dropped keys,
+ *   IDs of item files the manifest does not know (to delete), and other store files the manifest does not know
+ */
+export async function pruneManifest(client, manifest) {
+  const items = await listVectorStoreItems(client, manifest.vector_store_id);
+  const inStore = new Set(items.map(item => item.fileId));
+  const missing = Object.keys(manifest.items).filter(key => !inStore.has(manifest.items[key].vector_store_file_id));
+  for (const key of missing) delete manifest.items[key];
+  const known = new Set(Object.values(manifest.items).map(entry => entry.vector_store_file_id));
+  const unknown = items.filter(item => !known.has(item.fileId));
+  return {
+    missing,
+    duplicates: unknown.filter(item => item.key).map(item => item.fileId),
+    untracked: unknown.filter(item => !item.key).length
+  };
+}
+
+/**
+ * Add an uploaded file to the index's upload log
+ * @param {{ file_id: string, filename: string, vector_store_id: string }} upload
+ */
+export async function recordUpload(dir, upload) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.appendFile(path.join(dir, UPLOAD_LOG_FILENAME), `${JSON.stringify({ ...upload, uploaded_at: new Date().toISOString() })}\n`);
+}
+
+/**
+ * Files in the index's upload log, by file ID (empty when there is none)
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function loadUploadLog(dir) {
+  const uploads = new Map();
+  let text;
+  try {
+    text = await fs.readFile(path.join(dir, UPLOAD_LOG_FILENAME), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return uploads;
+    throw error;
+  }
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const upload = JSON.parse(line);
+      if (upload.file_id) uploads.set(upload.file_id, upload);
+    } catch {
+      // A line cut short by an interrupted write
+    }
+  }
+  return uploads;
+}
+
+/**
+ * Rewrite the upload log with only the records for which keep(upload) is
+ * true (files still in Files storage), so it does not grow forever
+ * @returns {Promise<number>} Records dropped
+ */
+export async function compactUploadLog(dir, keep) {
+  const uploads = await loadUploadLog(dir);
+  const kept = [...uploads.values()].filter(keep);
+  if (kept.length === uploads.size) return 0;
+  const file = path.join(dir, UPLOAD_LOG_FILENAME);
+  await fs.writeFile(`${file}.tmp`, kept.map(upload => `${JSON.stringify(upload)}\n`).join(''));
+  await fs.rename(`${file}.tmp`, file);
+  return uploads.size - kept.length;
+}
+
+export default {
+  MANIFEST_FORMAT,
+  MANIFEST_VERSION,
+  MANIFEST_FILENAME,
+  UPLOAD_LOG_FILENAME,
+  loadManifest,
+  saveManifest,
+  rebuildManifest,
+  pruneManifest,
+  recordUpload,
+  loadUploadLog,
+  compactUploadLog
+};
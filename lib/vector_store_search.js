@@ -1,90 +1,341 @@
-import OpenAI from 'openai';
+import { z } from 'zod';
 import { config } from 'dotenv';
+import { resolveIndex, missingSettingMessage } from './indexes.js';
+import { SearchError } from './errors.js';
+import { dateRange } from './dates.js';
+import { createOpenAIClient, categoryAttributeKey } from './vector_store_files.js';
+import { UNGROUNDED_POLICIES, fileSearchHits, fileCitations, loadGroundingCatalog, groundResults } from './grounding.js';
 
 config();
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  organization: process.env.OPENAI_ORGANIZATION,
-  project: process.env.OPENAI_PROJECT,
+// llm: Responses API + file_search, the model writes the result list.
+// direct: the vector store search endpoint, real chunk scores and no model in the loop.
+export const VS_SEARCH_MODES = ['llm', 'direct'];
+export const VS_RANKERS = ['auto', 'none', 'default-2024-11-15'];
+// The search endpoint returns at most this many chunks
+const MAX_SEARCH_RESULTS = 50;
+// Chunks requested per result in direct mode, since several usually come from one post
+const CHUNKS_PER_RESULT = 3;
+
+// Output budget of the llm mode: a fixed part plus room for each result
+const OUTPUT_TOKENS_BASE = 200;
+const OUTPUT_TOKENS_PER_RESULT = 250;
+// Repair attempts allowed at most, whatever VS_SEARCH_REPAIR_ATTEMPTS says
+const MAX_REPAIR_ATTEMPTS = 3;
+
+// Strict structured output of the llm mode (strict mode needs every field, so optional ones are nullable)
+const RESULTS_FORMAT = {
+  type: 'json_schema',
+  name: 'search_results',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: ['string', 'null'] },
+            link: { type: ['string', 'null'] },
+            snippet: { type: 'string' },
+            source: { type: ['string', 'null'] },
+          },
+          required: ['title', 'link', 'snippet', 'source'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['results'],
+    additionalProperties: false,
+  },
+};
+
+// The same item shape, checked on our side as well
+const resultItemSchema = z.object({
+  title: z.string().nullish().transform(value => value || undefined),
+  link: z.string().url().nullish().transform(value => value || undefined),
+  snippet: z.string().trim().min(1),
+  source: z.string().nullish().transform(value => value || undefined),
 });
 
-const VECTOR_STORE_ID = process.env.OPENAI_VECTOR_STORE_ID;
-const ASSISTANT_ID = process.env.OPENAI_VECTOR_ASSISTANT_ID; // optional: preconfigured assistant bound to the vector store
-const MODEL = process.env.OPENAI_VECTOR_SEARCH_MODEL || 'gpt-4o-mini';
+// index name -> OpenAI client, created on first use with the index's credentials
+const clients = new Map();
+
+function getClient(index) {
+  if (!clients.has(index.name)) clients.set(index.name, createOpenAIClient(index.env));
+  return clients.get(index.name);
+}
+
+/**
+ * Read Vector Store search defaults from environment variables
+ */
+export function vsSearchConfigFromEnv(env = process.env) {
+  const minScore = parseFloat(env.VS_MIN_SCORE);
+  return {
+    mode: env.VS_SEARCH_MODE || 'llm',
+    ranker: env.VS_SEARCH_RANKER || undefined,
+    rewriteQuery: /^(1|true|on|yes)$/i.test(env.VS_SEARCH_REWRITE_QUERY || ''),
+    minScore: Number.isNaN(minScore) ? 0 : minScore,
+    ungrounded: UNGROUNDED_POLICIES.includes(env.VS_UNGROUNDED) ? env.VS_UNGROUNDED : 'drop',
+    repairAttempts: Math.min(MAX_REPAIR_ATTEMPTS, Math.max(0, parseInt(env.VS_SEARCH_REPAIR_ATTEMPTS ?? '1', 10) || 0)),
+  };
+}
 
-function assertEnv() {
-  if (!process.env.OPENAI_API_KEY) throw new Error('Missing OPENAI_API_KEY');
-  if (!VECTOR_STORE_ID) throw new Error('Missing OPENAI_VECTOR_STORE_ID');
+function assertIndex(index) {
+  if (!index.env.OPENAI_API_KEY) throw new SearchError('not_configured', 'Missing OPENAI_API_KEY');
+  if (!index.env.OPENAI_VECTOR_STORE_ID) throw new SearchError('not_configured', missingSettingMessage(index, 'vector_store_id'));
 }
 
-export async function vectorStoreSearch(query, topK = 5) {
-  assertEnv();
-  if (!query || !query.trim()) throw new Error('Query must be non-empty');
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * One clause matching any of the values, or the single clause itself
+ */
+function anyOf(clauses) {
+  return clauses.length === 1 ? clauses[0] : { type: 'or', filters: clauses };
+}
+
+/**
+ * Translate search filters into a file_search attribute filter over the
+ * attributes build-index-vs.js sets (date, cat_<name>, post_type).
+ * Dates compare against the GMT publish date; a date-only `date_to` includes that whole day.
+ * @param {Object} [filters]
+ * @param {string} [filters.date_from] - Earliest post date (YYYY-MM-DD or ISO 8601)
+ * @param {string} [filters.date_to] - Latest post date (YYYY-MM-DD or ISO 8601)
+ * @param {string|string[]} [filters.categories] - Category names (any of them)
+ * @param {string|string[]} [filters.post_type] - Post type(s), e.g. "post" or "page"
+ * @returns {Object|undefined} Comparison or compound filter, undefined when no filter is set
+ */
+export function fileSearchFilters(filters = {}) {
+  const clauses = [];
+  // The date attribute is in Unix seconds
+  const { from, to } = dateRange(filters);
+
+  if (from !== null) {
+    clauses.push({ type: 'gte', key: 'date', value: Math.floor(from / 1000) });
+  }
+  if (to !== null) {
+    clauses.push({ type: 'lte', key: 'date', value: Math.floor(to / 1000) });
+  }
+  const categories = toList(filters.categories);
+  if (categories.length > 0) {
+    clauses.push(anyOf(categories.map(name => ({ type: 'eq', key: categoryAttributeKey(name), value: true }))));
+  }
+  const postTypes = toList(filters.post_type);
+  if (postTypes.length > 0) {
+    clauses.push(anyOf(postTypes.map(postType => ({ type: 'eq', key: 'post_type', value: postType }))));
+  }
+
+  if (clauses.length === 0) return undefined;
+  return clauses.length === 1 ? clauses[0] : { type: 'and', filters: clauses };
+}
+
+/**
+ * Parse and validate the model's answer. Items failing validation are left
+ * out; every problem is returned as a message the repair prompt can quote.
+ * @returns {{ items: Object[], errors: string[] }}
+ */
+function parseModelResults(response) {
+  const message = (response?.output || []).find(item => item.type === 'message');
+  const refusal = message?.content?.find(part => part.type === 'refusal');
+  if (refusal) return { items: [], errors: [`model refused: ${refusal.refusal}`] };
+  if (response?.status === 'incomplete') {
+    return { items: [], errors: [`output incomplete (${response.incomplete_details?.reason || 'unknown reason'})`] };
+  }
+
+  const text = response?.output_text || '';
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    return { items: [], errors: [`output is not valid JSON (${error.message})`] };
+  }
+  if (!Array.isArray(json?.results)) return { items: [], errors: ['output has no "results" array'] };
+
+  const items = [];
+  const errors = [];
+  json.results.forEach((item, i) => {
+    const result = resultItemSchema.safeParse(item);
+    if (result.success) {
+      items.push(result.data);
+    } else {
+      errors.push(`results[${i}]: ${result.error.issues.map(issue => `${issue.path.join('.') || 'item'} ${issue.message}`).join(', ')}`);
+    }
+  });
+  return { items, errors };
+}
+
+/**
+ * ranking_options for the search endpoint and the file_search tool, or undefined for the defaults
+ */
+function rankingOptions({ ranker, minScore }) {
+  if (ranker && !VS_RANKERS.includes(ranker)) {
+    throw new SearchError('invalid_input', `Unknown ranker "${ranker}" (expected one of: ${VS_RANKERS.join(', ')})`);
+  }
+  if (!(minScore >= 0 && minScore <= 1)) throw new SearchError('invalid_input', `Invalid min_score: ${minScore} (expected 0 to 1)`);
+  if (!ranker && !minScore) return undefined;
+  return { ...(ranker && { ranker }), ...(minScore && { score_threshold: minScore }) };
+}
+
+/**
+ * Direct mode: query the search endpoint and keep the best chunk of every
+ * file, with its score, content and the file's attributes
+ */
+async function directSearch(client, vectorStoreId, query, topK, { filters, ranking, rewriteQuery, minScore }) {
+  const page = await client.vectorStores.search(vectorStoreId, {
+    query,
+    max_num_results: Math.min(MAX_SEARCH_RESULTS, topK * CHUNKS_PER_RESULT),
+    rewrite_query: rewriteQuery,
+    ...(filters && { filters }),
+    ...(ranking && { ranking_options: ranking }),
+  });
+
+  const byFile = new Map();
+  for (const hit of page.data) {
+    if (hit.score < minScore) continue;
+    const current = byFile.get(hit.file_id);
+    if (!current) {
+      byFile.set(hit.file_id, { best: hit, matched: 1 });
+    } else {
+      current.matched += 1;
+      if (hit.score > current.best.score) current.best = hit;
+    }
+  }
+
+  const results = [...byFile.values()]
+    .sort((a, b) => b.best.score - a.best.score)
+    .slice(0, topK)
+    .map(({ best, matched }, i) => {
+      const attributes = best.attributes || {};
+      return {
+        title: attributes.title || best.filename,
+        link: attributes.link || undefined,
+        snippet: (best.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n'),
+        source: best.filename,
+        file_id: best.file_id,
+        ...(attributes.post_id !== undefined && { post_id: attributes.post_id, post_type: attributes.post_type }),
+        ...(typeof attributes.date === 'number' && { date: new Date(attributes.date * 1000).toISOString().slice(0, 10) }),
+        score: best.score,
+        matched_chunks: matched,
+        original_rank: i + 1,
+      };
+    });
+
+  // The rewritten query is only in the page body
+  const searchQuery = page.body?.search_query;
+  return { results, ...(rewriteQuery && searchQuery && { search_query: Array.isArray(searchQuery) ? searchQuery.join(' ') : searchQuery }) };
+}
+
+/**
+ * Search a named index's Vector Store (default index when options.index is omitted)
+ * @param {Object} [options] - Defaults from vsSearchConfigFromEnv of the index
+ * @param {string} [options.index] - Named index
+ * @param {'llm'|'direct'} [options.mode] - Model-written results or direct chunk search
+ * @param {Object} [options.filters] - See fileSearchFilters
+ * @param {string} [options.ranker] - Ranker of the search (auto, none, default-2024-11-15)
+ * @param {number} [options.min_score] - Drop chunks scoring below this (0-1)
+ * @param {boolean} [options.rewrite_query] - Let OpenAI rewrite the query first (direct mode)
+ */
+export async function vectorStoreSearch(query, topK = 5, options = {}) {
+  const index = resolveIndex(options.index);
+  const { env } = index;
+  assertIndex(index);
+  const defaults = vsSearchConfigFromEnv(env);
+  const mode = options.mode || defaults.mode;
+  const minScore = options.min_score ?? defaults.minScore;
+  const rewriteQuery = options.rewrite_query ?? defaults.rewriteQuery;
+  const VECTOR_STORE_ID = env.OPENAI_VECTOR_STORE_ID;
+  const ASSISTANT_ID = env.OPENAI_VECTOR_ASSISTANT_ID; // optional: preconfigured assistant bound to the vector store
+  const MODEL = env.OPENAI_VECTOR_SEARCH_MODEL || 'gpt-4o-mini';
+  if (!query || !query.trim()) throw new SearchError('invalid_input', 'Query must be non-empty');
+  if (!VS_SEARCH_MODES.includes(mode)) {
+    throw new SearchError('invalid_input', `Unknown search mode "${mode}" (expected one of: ${VS_SEARCH_MODES.join(', ')})`);
+  }
+  const filters = fileSearchFilters(options.filters);
+  const ranking = rankingOptions({ ranker: options.ranker || defaults.ranker, minScore });
+  const client = getClient(index);
+
+  if (mode === 'direct') {
+    const json = await directSearch(client, VECTOR_STORE_ID, query, topK, { filters, ranking, rewriteQuery, minScore });
+    return { query, topK, json: { ...json, mode, min_score: minScore }, raw: null };
+  }
+
+  if (rewriteQuery) throw new SearchError('invalid_input', 'rewrite_query is only supported in direct mode');
+  if ((filters || ranking) && ASSISTANT_ID) {
+    throw new SearchError('invalid_input', 'Filters and ranking options need the inline file_search binding; unset OPENAI_VECTOR_ASSISTANT_ID to use them');
+  }
 
   // Use Responses API with file_search tool, binding to existing Vector Store
   const instructions = [
     'You are a precise search assistant. Use the attached vector store to retrieve the most relevant passages.',
-    `Return up to ${topK} results as strict JSON.`,
-    'Each item must include: title (string, optional), link (string, optional), snippet (string), and source (string, optional file name or URL).',
+    `Return up to ${topK} results as JSON matching the response schema.`,
+    'Each item has: title (string or null), link (URL or null), snippet (string, required), and source (the file name of the document it came from, or null).',
     'Do not fabricate links. Prefer the Link field from documents when available.',
     'Do not output duplicate items. Consolidate items that point to the same link into one entry.',
   ].join('\n');
-
-  let response;
-  try {
-    if (ASSISTANT_ID) {
+  const request = {
+    ...(ASSISTANT_ID
       // Preferred fallback path: use an Assistant pre-configured with file_search + vector store resources
-      response = await client.responses.create({
-        assistant_id: ASSISTANT_ID,
-        input: [
-          { role: 'system', content: instructions },
-          { role: 'user', content: `Query: ${query}` },
-        ],
-        text: { format: { type: 'json_object' } },
-        max_output_tokens: 300,
-        temperature: 0,
-      });
-    } else {
+      ? { assistant_id: ASSISTANT_ID }
       // Inline binding path (may vary by deployment)
-      response = await client.responses.create({
-        model: MODEL,
-        input: [
-          { role: 'system', content: instructions },
-          { role: 'user', content: `Query: ${query}` },
-        ],
-        tools: [{ type: 'file_search', vector_store_ids: [VECTOR_STORE_ID] }],
-        text: { format: { type: 'json_object' } },
-        max_output_tokens: 300,
-        temperature: 0,
-      });
-    }
-  } catch (e) {
-    // Provide actionable guidance if the server rejects inline binding fields
-    const msg = String(e?.message || e);
-    if (/Unknown parameter/i.test(msg)) {
-      throw new Error(
-        'This server rejects inline vector store binding. Set OPENAI_VECTOR_ASSISTANT_ID to an Assistant that has file_search enabled and is bound to your vector store, then retry.'
-      );
+      : {
+          model: MODEL,
+          tools: [{ type: 'file_search', vector_store_ids: [VECTOR_STORE_ID], ...(filters && { filters }), ...(ranking && { ranking_options: ranking }) }],
+          // Retrieved chunks carry the file attributes used for title and link below
+          include: ['file_search_call.results'],
+        }),
+    text: { format: RESULTS_FORMAT },
+    max_output_tokens: OUTPUT_TOKENS_BASE + topK * OUTPUT_TOKENS_PER_RESULT,
+    temperature: 0,
+  };
+
+  // Ask again with the validation errors until the output is valid or the repair attempts run out
+  let input = [
+    { role: 'system', content: instructions },
+    { role: 'user', content: `Query: ${query}` },
+  ];
+  const responses = [];
+  let parsed;
+  for (let attempt = 0; attempt <= defaults.repairAttempts; attempt++) {
+    let response;
+    try {
+      response = await client.responses.create({ ...request, input });
+    } catch (e) {
+      // Provide actionable guidance if the server rejects inline binding fields
+      const msg = String(e?.message || e);
+      if (/Unknown parameter/i.test(msg)) {
+        throw new Error(
+          'This server rejects inline vector store binding. Set OPENAI_VECTOR_ASSISTANT_ID to an Assistant that has file_search enabled and is bound to your vector store, then retry.'
+        );
+      }
+      throw e;
     }
-    throw e;
+    responses.push(response);
+    parsed = parseModelResults(response);
+    if (parsed.errors.length === 0) break;
+    input = [
+      ...input,
+      { role: 'assistant', content: response.output_text || '(no output)' },
+      { role: 'user', content: `That answer is invalid:\n- ${parsed.errors.join('\n- ')}\nReply again with the complete corrected JSON only.` },
+    ];
   }
-  const text = response.output_text || '';
-  let json;
-  try {
-    json = JSON.parse(text);
-  } catch {
-    // Fallback shape if parsing fails
-    json = { items: [], raw_text: text };
+
+  // Nothing usable is an error, not an empty result list
+  if (parsed.items.length === 0 && parsed.errors.length > 0) {
+    throw new SearchError('bad_model_output', `Model output failed validation after ${responses.length} attempt(s): ${parsed.errors.join('; ')}`);
   }
+  const items = parsed.items;
 
-  // Return results as-is (no client-side deduplication), capped at topK
-  const items = Array.isArray(json?.results)
-    ? json.results
-    : (Array.isArray(json?.items) ? json.items : []);
+  // Only items pointing at a known post keep their place, with its real permalink
+  const catalog = await loadGroundingCatalog(index, responses.flatMap(fileSearchHits));
+  const grounding = groundResults(items, catalog, responses.flatMap(fileCitations), defaults.ungrounded);
 
   // Ensure each item includes a numeric score; if missing, derive from rank/order
-  const sliced = items.slice(0, topK);
+  const sliced = grounding.results.slice(0, topK);
   const n = sliced.length;
   const results = sliced.map((it, i) => {
     const hasScore = typeof it?.score === 'number' && Number.isFinite(it.score);
@@ -96,8 +347,15 @@ export async function vectorStoreSearch(query, topK = 5) {
     };
   });
 
-  const out = { results };
-  return { query, topK, json: out, raw: response };
+  const out = {
+    results,
+    mode,
+    // Items dropped because they stayed invalid after the repair attempts
+    ...(parsed.errors.length > 0 && { validation_errors: parsed.errors }),
+    ...(responses.length > 1 && { attempts: responses.length }),
+    ...(grounding.ungrounded > 0 && { ungrounded: { count: grounding.ungrounded, policy: defaults.ungrounded } }),
+  };
+  return { query, topK, json: out, raw: responses[responses.length - 1] };
   // Print and return usage statistics when provided by the API
   // const usage = response && response.usage ? response.usage : undefined;
   // if (usage) {
@@ -106,4 +364,4 @@ export async function vectorStoreSearch(query, topK = 5) {
   // return { query, topK, json: out, usage, raw: response };
 }
 
-export default { vectorStoreSearch };
+export default { VS_SEARCH_MODES, VS_RANKERS, vsSearchConfigFromEnv, vectorStoreSearch, fileSearchFilters };
@@ -0,0 +1,295 @@
+import http from 'http';
+import { createHmac } from 'crypto';
+import { resolveIndex, missingSettingMessage } from './indexes.js';
+import { loadEmbeddingStore } from './embedding_store.js';
+import { localIndexSettings, updateLocalIndex } from './local_index.js';
+import { fetchItem, applyContentRules, itemKey } from './wordpress.js';
+import { createOpenAIClient, vsChunkingFromEnv, upsertVectorStoreItem, removeVectorStoreItem } from './vector_store_files.js';
+import { loadManifest, saveManifest, recordUpload } from './vector_store_manifest.js';
+import { HttpError, readRawBody, sendJson, safeEqual, isLoopbackHost } from './http_utils.js';
+import { acquireIndexLock, describeHolder } from './index_lock.js';
+
+// Receives WordPress change notifications and updates single items in the
+// local embeddings store and the OpenAI vector store, so edits show up in
+// search without waiting for the next build-index run.
+//
+//   POST /webhook?index=<name>
+//
+// The JSON body must be signed with WEBHOOK_SECRET (per index via `env` in
+// indexes.json): HMAC-SHA256 of the raw body, hex or base64, optionally
+// prefixed with "sha256=", in X-Hub-Signature-256, X-WP-Webhook-Signature,
+// X-WC-Webhook-Signature or X-Webhook-Signature. Senders that cannot sign may
+// send `Authorization: Bearer <secret>` instead. A sender that also sends
+// X-Webhook-Timestamp (Unix seconds) signs "<timestamp>.<raw body>" instead,
+// and requests older or newer than WEBHOOK_TOLERANCE_SECONDS are refused, so a
+// captured request cannot be replayed later.
+//
+// Payloads of the common webhook plugins are understood: the event comes
+// from `action` / `event` / `hook` / `trigger` (or the X-WC-Webhook-Topic
+// header), the ID from `post_id` / `ID` / `id` / `post.ID`, the type from
+// `post_type` / `post.post_type` (default "post"), and `comment_id` /
+// `comment_ID` marks a comment. Delete and trash events
+// remove the item; anything else re-fetches it, and an item WordPress no
+// longer serves (or the index's status rules no longer allow) is removed.
+
+const SIGNATURE_HEADERS = ['x-hub-signature-256', 'x-wp-webhook-signature', 'x-wc-webhook-signature', 'x-webhook-signature'];
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+/**
+ * Read webhook receiver settings from environment variables
+ */
+export function webhookConfigFromEnv(env = process.env) {
+  return {
+    host: env.WEBHOOK_HOST || '127.0.0.1',
+    port: parseInt(env.WEBHOOK_PORT, 10) || 3002,
+    secret: env.WEBHOOK_SECRET || null,
+    toleranceSeconds: parseInt(env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+  };
+}
+
+/**
+ * True when the request carries a valid signature of `rawBody` (or the
+ * secret itself as a bearer token). With a timestamp header the signature
+ * covers "<timestamp>.<rawBody>" and the timestamp must be within
+ * `toleranceSeconds` of `now`.
+ */
+export function verifySignature(headers, rawBody, secret, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  if (!secret) return false;
+  const hmac = createHmac('sha256', secret);
+  const timestamp = headers[TIMESTAMP_HEADER];
+  if (timestamp !== undefined) {
+    if (!/^\d+$/.test(String(timestamp).trim()) || Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+    hmac.update(`${String(timestamp).trim()}.`);
+  }
+  const digest = hmac.update(rawBody).digest();
+  const expected = [digest.toString('hex'), digest.toString('base64')];
+
+  for (const name of SIGNATURE_HEADERS) {
+    const value = String(headers[name] || '').trim().replace(/^sha256=/i, '');
+    if (value && expected.some(candidate => safeEqual(value, candidate))) return true;
+  }
+  const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+  return Boolean(bearer) && safeEqual(bearer[1].trim(), secret);
+}
+
+/**
+ * Normalize a webhook payload into { action: 'upsert' | 'remove', postType, id }
+ * @throws {HttpError} 400 when no item ID can be found
+ */
+export function parseWebhookEvent(body, headers = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Webhook payload must be a JSON object');
+  }
+  const post = body.post && typeof body.post === 'object' ? body.post : {};
+  const commentId = body.comment_id ?? body.comment_ID ?? body.comment?.comment_ID;
+  const postType = commentId !== undefined ? 'comment' : String(body.post_type || post.post_type || 'post');
+  const id = Number(commentId ?? body.post_id ?? body.ID ?? body.id ?? post.ID ?? post.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new HttpError(400, 'Webhook payload has no post ID (post_id, ID, id or post.ID)');
+  }
+
+  const event = String(body.action || body.event || body.hook || body.trigger
+    || headers['x-wc-webhook-topic'] || 'update').toLowerCase();
+  return { action: /delete|trash/.test(event) ? 'remove' : 'upsert', event, postType, id };
+}
+
+/**
+ * True when the index contains items of this type at all
+ */
+function isIndexedType(wordpress, postType) {
+  if (postType === 'comment') return wordpress.includeComments;
+  return wordpress.postTypes.includes('all') || wordpress.postTypes.includes(postType);
+}
+
+// Per index: settings, lazily created OpenAI client and the tail of its job queue
+const contexts = new Map();
+// Aborted on shutdown, so jobs waiting for an index lock give up
+const lockWaits = new AbortController();
+
+function getContext(index) {
+  if (!contexts.has(index.name)) {
+    contexts.set(index.name, { settings: localIndexSettings(index), client: null, queue: Promise.resolve(), pending: new Map() });
+  }
+  return contexts.get(index.name);
+}
+
+/**
+ * Apply one event to the local store (when built) and the vector store (when configured)
+ */
+async function applyEvent(index, context, { action, postType, id }) {
+  const { settings } = context;
+  const { wordpress } = settings;
+  const key = itemKey(postType, id);
+  const post = action === 'upsert' ? await fetchItem(wordpress.postsUrl, postType, id, { headers: wordpress.headers }) : null;
+  const allowed = post ? applyContentRules([post], wordpress).length > 0 : false;
+  console.error(`Webhook [${index.name}] ${key}: ${allowed ? 'upsert' : 'remove'}${action === 'upsert' && !post ? ' (no longer served by WordPress)' : ''}`);
+
+  if (await loadEmbeddingStore(index.dataDir)) {
+    const { documents, total } = await updateLocalIndex(settings, post ? { posts: [post] } : { removedKeys: [key] });
+    console.error(`✅ Local index [${index.name}]: ${documents} documents for ${key} (${total} total)`);
+  } else {
+    console.error(`ℹ️  Local index [${index.name}] not built, skipped`);
+  }
+
+  const vectorStoreId = index.env.OPENAI_VECTOR_STORE_ID;
+  if (vectorStoreId) {
+    context.client ||= createOpenAIClient(index.env);
+    // Keep build-index-vs.js's manifest in step, or its next sync would upload the item again
+    const manifest = await loadManifest(index.dataDir, vectorStoreId);
+    if (allowed) {
+      const { fileId, replaced } = await upsertVectorStoreItem(context.client, vectorStoreId, post, manifest, {
+        chunkingStrategy: vsChunkingFromEnv(index.env),
+        onUpload: upload => recordUpload(index.dataDir, upload)
+      });
+      console.error(`✅ Vector store [${index.name}]: ${key} uploaded as ${fileId} (replaced ${replaced})`);
+    } else {
+      const removed = await removeVectorStoreItem(context.client, vectorStoreId, postType, id, manifest);
+      console.error(`✅ Vector store [${index.name}]: removed ${removed} file(s) for ${key}`);
+    }
+    if (manifest) await saveManifest(index.dataDir, manifest);
+  }
+}
+
+/**
+ * Queue an event. Jobs run one at a time per index, since every update
+ * rewrites the whole store, and each holds the index lock so they also wait
+ * for build-index.js / build-index-vs.js runs on the same data directory.
+ * Repeated events for an item that is still waiting (editors often save
+ * twice) collapse into the latest one.
+ */
+export function enqueueEvent(index, event) {
+  const context = getContext(index);
+  const key = itemKey(event.postType, event.id);
+  const waiting = context.pending.get(key);
+  if (waiting) {
+    waiting.event = event;
+    return false;
+  }
+
+  const job = { event };
+  context.pending.set(key, job);
+  context.queue = context.queue.then(async () => {
+    let release;
+    try {
+      release = await acquireIndexLock(index.dataDir, 'webhook', {
+        signal: lockWaits.signal,
+        onWait: holder => console.error(`⏳ Webhook [${index.name}] ${key}: waiting for the index lock held by ${describeHolder(holder)}`)
+      });
+    } catch (error) {
+      context.pending.delete(key);
+      console.error(`❌ Webhook [${index.name}] ${key} not applied:`, error.message);
+      return;
+    }
+    // Taken off the waiting list only now, so saves during a long build still collapse
+    context.pending.delete(key);
+    try {
+      await applyEvent(index, context, job.event);
+    } catch (error) {
+      console.error(`❌ Webhook [${index.name}] ${key} failed:`, error.message);
+    } finally {
+      await release();
+    }
+  });
+  return true;
+}
+
+/**
+ * Wait until every queued event has been processed; events still waiting
+ * for an index lock (held by a long build) are given up
+ */
+export async function drainQueues() {
+  lockWaits.abort();
+  await Promise.all([...contexts.values()].map(context => context.queue));
+}
+
+/**
+ * Create the request handler (exported separately so it can be mounted elsewhere)
+ * @param {Object} opts - See webhookConfigFromEnv
+ */
+export function createWebhookHandler(opts = webhookConfigFromEnv()) {
+  return async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (url.pathname !== '/webhook') throw new HttpError(404, 'Not found');
+      if (req.method !== 'POST') {
+        return sendJson(res, 405, { error: `Method ${req.method} not allowed` }, { Allow: 'POST' });
+      }
+
+      let index;
+      try {
+        index = resolveIndex(url.searchParams.get('index'));
+      } catch (error) {
+        throw new HttpError(404, error.message);
+      }
+
+      const rawBody = await readRawBody(req);
+      if (!verifySignature(req.headers, rawBody, index.env.WEBHOOK_SECRET || opts.secret, { toleranceSeconds: opts.toleranceSeconds })) {
+        throw new HttpError(401, 'Invalid or expired webhook signature');
+      }
+
+      let body;
+      try {
+        body = JSON.parse(rawBody.toString('utf8'));
+      } catch {
+        throw new HttpError(400, 'Request body is not valid JSON');
+      }
+      const event = parseWebhookEvent(body, req.headers);
+      const context = getContext(index);
+      if (!isIndexedType(context.settings.wordpress, event.postType)) {
+        return sendJson(res, 200, { status: 'ignored', reason: `${event.postType} items are not indexed`, index: index.name });
+      }
+      if (!context.settings.wordpress.postsUrl) {
+        throw new HttpError(503, missingSettingMessage(index, 'wordpress_posts_url'));
+      }
+
+      const queued = enqueueEvent(index, event);
+      return sendJson(res, 202, {
+        status: queued ? 'queued' : 'merged',
+        index: index.name,
+        action: event.action,
+        post_type: event.postType,
+        id: event.id
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendJson(res, error.status, { error: error.message });
+      }
+      console.error('Webhook error:', error.message);
+      return sendJson(res, 500, { error: error.message });
+    }
+  };
+}
+
+/**
+ * Start the webhook receiver
+ * @param {Object} opts - See webhookConfigFromEnv
+ * @returns {Promise<http.Server>}
+ */
+export async function startWebhookServer(opts = webhookConfigFromEnv()) {
+  const { host, port, secret } = opts;
+  if (!secret) {
+    throw new Error('Missing WEBHOOK_SECRET (payloads must be signed)');
+  }
+  if (!isLoopbackHost(host)) {
+    console.error(`ℹ️  Webhook receiver listens on ${host}; only signed payloads are accepted`);
+  }
+
+  const server = http.createServer(createWebhookHandler(opts));
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  console.error(`Webhook receiver listening on http://${host}:${port}/webhook`);
+  return server;
+}
+
+export default {
+  webhookConfigFromEnv,
+  verifySignature,
+  parseWebhookEvent,
+  enqueueEvent,
+  drainQueues,
+  createWebhookHandler,
+  startWebhookServer
+};
@@ -0,0 +1,424 @@
+// WordPress REST API access shared by the indexers: post type discovery,
+// paginated collection fetches with conditional requests, single-item
+// fetches, and comments normalized into the same shape as posts.
+//
+// WORDPRESS_POST_TYPES selects what gets indexed: a comma-separated list of
+// post type slugs (default "post"), e.g. "post,page,docs", or "all" for every
+// public type the site exposes over REST. WORDPRESS_INCLUDE_COMMENTS=true adds
+// approved comments.
+//
+// Requests are anonymous unless credentials are set: an Application Password
+// (WORDPRESS_USERNAME + WORDPRESS_APP_PASSWORD, sent as Basic auth) or
+// WORDPRESS_BEARER_TOKEN (JWT/OAuth plugins). WORDPRESS_STATUSES lists the
+// statuses an index may contain (default "publish"); anything else, such as
+// draft, private or future, needs credentials. WORDPRESS_PROTECTED_POSTS
+// decides what happens to password-protected posts: exclude (default),
+// redact (title only) or include.
+
+// Types that are never content worth searching
+const EXCLUDED_TYPES = new Set(['attachment', 'nav_menu_item']);
+export const POST_STATUSES = ['publish', 'future', 'draft', 'pending', 'private'];
+export const PROTECTED_POST_MODES = ['exclude', 'redact', 'include'];
+
+function toList(value, fallback) {
+  const items = String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : fallback;
+}
+
+/**
+ * Authorization header for the configured credentials, or null
+ */
+function authHeaderFromEnv(env) {
+  if (env.WORDPRESS_BEARER_TOKEN) return `Bearer ${env.WORDPRESS_BEARER_TOKEN}`;
+  if (env.WORDPRESS_USERNAME && env.WORDPRESS_APP_PASSWORD) {
+    return `Basic ${Buffer.from(`${env.WORDPRESS_USERNAME}:${env.WORDPRESS_APP_PASSWORD}`).toString('base64')}`;
+  }
+  return null;
+}
+
+/**
+ * Read content selection and access settings from environment variables
+ */
+export function wordpressConfigFromEnv(env = process.env) {
+  const authorization = authHeaderFromEnv(env);
+  return {
+    postsUrl: env.WORDPRESS_POSTS_URL,
+    postTypes: toList(env.WORDPRESS_POST_TYPES, ['post']),
+    includeComments: /^(1|true|yes)$/i.test(env.WORDPRESS_INCLUDE_COMMENTS || ''),
+    statuses: toList(env.WORDPRESS_STATUSES, ['publish']),
+    protectedPosts: env.WORDPRESS_PROTECTED_POSTS || 'exclude',
+    auth: authorization ? (authorization.startsWith('Bearer') ? 'bearer' : 'application-password') : null,
+    headers: authorization ? { Authorization: authorization } : {},
+  };
+}
+
+/**
+ * Throw when the settings cannot work (unknown values, or non-public
+ * statuses requested without credentials)
+ */
+export function validateWordPressConfig(config) {
+  if (!config.postsUrl) throw new Error('Missing WORDPRESS_POSTS_URL');
+  const unknown = config.statuses.filter(status => !POST_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown WORDPRESS_STATUSES value(s): ${unknown.join(', ')} (expected: ${POST_STATUSES.join(', ')})`);
+  }
+  if (!PROTECTED_POST_MODES.includes(config.protectedPosts)) {
+    throw new Error(`Unknown WORDPRESS_PROTECTED_POSTS "${config.protectedPosts}" (expected: ${PROTECTED_POST_MODES.join(', ')})`);
+  }
+  if (!config.auth && config.statuses.some(status => status !== 'publish')) {
+    throw new Error(`WORDPRESS_STATUSES=${config.statuses.join(',')} needs credentials: set WORDPRESS_USERNAME + WORDPRESS_APP_PASSWORD or WORDPRESS_BEARER_TOKEN`);
+  }
+}
+
+/**
+ * Query parameters selecting the configured statuses (none for the default)
+ */
+export function statusParams(config) {
+  return config.statuses.length === 1 && config.statuses[0] === 'publish'
+    ? {}
+    : { status: config.statuses.join(',') };
+}
+
+/**
+ * True for password-protected posts (WordPress flags the rendered fields)
+ */
+export function isPasswordProtected(post) {
+  return Boolean(post.content?.protected || post.excerpt?.protected || post.password);
+}
+
+/**
+ * Apply the status and password-protection rules to fetched items: drop
+ * statuses the index must not contain, and exclude or redact protected posts
+ * @returns {Object[]} Items safe to index
+ */
+export function applyContentRules(posts, config) {
+  const allowed = new Set(config.statuses);
+  const kept = [];
+  let wrongStatus = 0;
+  let excluded = 0;
+  let redacted = 0;
+
+  for (const post of posts) {
+    // Comments are fetched approved-only and carry status "publish"
+    if (!allowed.has(post.status || 'publish') && post.type !== 'comment') {
+      wrongStatus++;
+      continue;
+    }
+    if (isPasswordProtected(post) && config.protectedPosts !== 'include') {
+      if (config.protectedPosts === 'exclude') {
+        excluded++;
+        continue;
+      }
+      redacted++;
+      kept.push({
+        ...post,
+        content: { rendered: '', protected: true },
+        excerpt: { rendered: '', protected: true },
+      });
+      continue;
+    }
+    kept.push(post);
+  }
+
+  if (wrongStatus > 0) console.log(`Skipped ${wrongStatus} item(s) with a status outside ${config.statuses.join(', ')}`);
+  if (excluded > 0) console.log(`Skipped ${excluded} password-protected item(s)`);
+  if (redacted > 0) console.log(`Redacted ${redacted} password-protected item(s) to their titles`);
+  return kept;
+}
+
+/**
+ * Stable key for an indexed item. Posts, pages and custom post types share
+ * one ID space in WordPress; comments have their own.
+ */
+export function itemKey(postType, id) {
+  return `${postType === 'comment' ? 'comment' : 'post'}-${id}`;
+}
+
+/**
+ * Sibling route of the configured posts endpoint, e.g. `types` or `comments`
+ * (handles both /wp-json/wp/v2/posts and ?rest_route=/wp/v2/posts)
+ */
+function siblingRoute(postsUrl, route) {
+  const url = new URL(postsUrl);
+  const restRoute = url.searchParams.get('rest_route');
+  if (restRoute) {
+    url.search = '';
+    url.searchParams.set('rest_route', restRoute.replace(/\/[^/]+\/?$/, `/${route}`));
+  } else {
+    url.search = '';
+    url.pathname = url.pathname.replace(/\/[^/]+\/?$/, `/${route}`);
+  }
+  return url;
+}
+
+/**
+ * Page size configured on the posts URL, used for every collection
+ */
+export function configuredPageSize(postsUrl) {
+  return Number(new URL(postsUrl).searchParams.get('per_page')) || 100;
+}
+
+/**
+ * Resolve configured post type slugs to their REST collection URLs using
+ * /wp/v2/types. Only "post" needs no discovery: it is the configured URL.
+ * @returns {Promise<{ slug: string, name: string, url: string }[]>}
+ */
+export async function discoverPostTypes(postsUrl, postTypes = ['post'], { headers = {} } = {}) {
+  if (postTypes.length === 1 && postTypes[0] === 'post') {
+    return [{ slug: 'post', name: 'Posts', url: postsUrl }];
+  }
+
+  const typesUrl = siblingRoute(postsUrl, 'types');
+  const response = await fetch(typesUrl.toString(), { headers });
+  if (!response.ok) {
+    throw new Error(`Failed to discover post types from ${typesUrl}: HTTP ${response.status} ${response.statusText}`);
+  }
+  const types = Object.values(await response.json())
+    .filter(type => type.rest_base && !EXCLUDED_TYPES.has(type.slug) && !type.slug.startsWith('wp_'));
+
+  const wanted = postTypes.includes('all') ? types.map(type => type.slug) : postTypes;
+  return wanted.map(slug => {
+    const type = types.find(t => t.slug === slug);
+    if (!type) {
+      throw new Error(`Post type "${slug}" is not available over REST (available: ${types.map(t => t.slug).join(', ')})`);
+    }
+    // The collection link is authoritative; rest_base alone misses custom namespaces
+    const url = type._links?.['wp:items']?.[0]?.href
+      || siblingRoute(postsUrl, type.rest_base).toString();
+    return { slug, name: type.name || slug, url };
+  });
+}
+
+/**
+ * Fetch every page of a REST collection.
+ * The first page carries If-None-Match / If-Modified-Since when validators are
+ * given, so an unchanged collection answers 304 and nothing else is downloaded.
+ * @param {string} collectionUrl
+ * @param {Object} [opts]
+ * @param {Object} [opts.params] - Extra query parameters (e.g. modified_after, _embed)
+ * @param {number} [opts.perPage] - Page size (default: per_page on the URL, else 100)
+ * @param {Object} [opts.headers] - Extra request headers (e.g. Authorization)
+ * @param {string} [opts.etag]
+ * @param {string} [opts.lastModified]
+ * @param {boolean} [opts.strict] - Throw on a failed page instead of returning what was fetched
+ * @param {string} [opts.label] - What is being fetched, for logs
+ * @returns {Promise<{ items: Object[], notModified: boolean, etag?: string, lastModified?: string }>}
+ */
+export async function fetchCollection(collectionUrl, { params = {}, perPage, headers: extraHeaders = {}, etag, lastModified, strict = false, label = 'items' } = {}) {
+  const items = [];
+  perPage ||= configuredPageSize(collectionUrl);
+  let validators = { etag: undefined, lastModified: undefined };
+  let page = 1;
+
+  while (true) {
+    const url = new URL(collectionUrl);
+    url.searchParams.set('page', String(page));
+    url.searchParams.set('per_page', String(perPage));
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+    }
+    console.log(`Fetching ${label} (page ${page})...`);
+
+    const headers = { ...extraHeaders };
+    if (page === 1) {
+      if (etag) headers['If-None-Match'] = etag;
+      if (lastModified) headers['If-Modified-Since'] = lastModified;
+    }
+
+    try {
+      const response = await fetch(url.toString(), { headers });
+      if (response.status === 304) {
+        console.log(`WordPress answered 304 Not Modified for ${label}`);
+        return { items: [], notModified: true, etag, lastModified };
+      }
+      if (!response.ok) {
+        if (response.status === 400 && page > 1) {
+          // No more pages
+          break;
+        }
+        if (response.status === 401 || response.status === 403) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText} (check the WordPress credentials and that the user may read these items)`);
+        }
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      if (page === 1) {
+        validators = {
+          etag: response.headers.get('etag') || undefined,
+          lastModified: response.headers.get('last-modified') || undefined
+        };
+      }
+
+      const batch = await response.json();
+      if (!Array.isArray(batch) || batch.length === 0) {
+        break;
+      }
+
+      items.push(...batch);
+      console.log(`Fetched ${batch.length} ${label} from page ${page}`);
+
+      if (batch.length < perPage) {
+        // Last page
+        break;
+      }
+      page++;
+    } catch (error) {
+      console.error(`Error fetching ${label} page ${page}:`, error.message);
+      if (strict) throw error;
+      break;
+    }
+  }
+
+  return { items, notModified: false, ...validators };
+}
+
+/**
+ * Shape an approved comment like a post so it flows through the same
+ * document pipeline; `parent_post` is the ID of the commented post
+ */
+export function commentToPost(comment) {
+  const parentTitle = comment._embedded?.up?.[0]?.title?.rendered || `#${comment.post}`;
+  return {
+    id: comment.id,
+    type: 'comment',
+    status: comment.status === 'approved' ? 'publish' : comment.status,
+    date: comment.date,
+    date_gmt: comment.date_gmt,
+    modified: comment.date,
+    modified_gmt: comment.date_gmt,
+    link: comment.link,
+    title: { rendered: `${comment.author_name || 'Comment'} on ${parentTitle}` },
+    content: comment.content,
+    excerpt: { rendered: '' },
+    author: comment.author || null,
+    parent_post: comment.post,
+    _embedded: { author: [{ name: comment.author_name }] },
+  };
+}
+
+/**
+ * Fetch approved comments (newest-first pages), optionally only those posted after a date
+ */
+export async function fetchComments(postsUrl, { after, strict = false, headers = {} } = {}) {
+  const { items } = await fetchCollection(siblingRoute(postsUrl, 'comments').toString(), {
+    // Authenticated moderators would otherwise also see held and spam comments
+    params: { _embed: 'up', after, status: 'approve' },
+    headers,
+    perPage: configuredPageSize(postsUrl),
+    strict,
+    label: 'comments'
+  });
+  return items.map(commentToPost);
+}
+
+/**
+ * Keys (see itemKey) of every item the index should currently contain:
+ * the configured types and statuses after the password rules, plus approved
+ * comments when enabled. Only IDs and the fields the rules need are
+ * requested, so this is cheap enough to run on every indexing run and tells
+ * which indexed items were deleted, unpublished or otherwise dropped since.
+ * Any failed page throws, since a partial list would look like deletions.
+ * @param {Object} config - From wordpressConfigFromEnv
+ * @returns {Promise<Set<string>>}
+ */
+export async function fetchLiveKeys(config) {
+  const { headers } = config;
+  const perPage = configuredPageSize(config.postsUrl);
+  const types = await discoverPostTypes(config.postsUrl, config.postTypes, { headers });
+  const items = [];
+
+  for (const type of types) {
+    const { items: batch } = await fetchCollection(type.url, {
+      params: { _fields: 'id,type,status,content.protected', ...statusParams(config) },
+      perPage,
+      headers,
+      strict: true,
+      label: `${type.slug} IDs`
+    });
+    items.push(...batch.map(item => ({ ...item, type: item.type || type.slug })));
+  }
+  if (config.includeComments) {
+    const { items: comments } = await fetchCollection(siblingRoute(config.postsUrl, 'comments').toString(), {
+      params: { _fields: 'id', status: 'approve' },
+      perPage,
+      headers,
+      strict: true,
+      label: 'comment IDs'
+    });
+    items.push(...comments.map(comment => ({ id: comment.id, type: 'comment' })));
+  }
+
+  return new Set(applyContentRules(items, config).map(item => itemKey(item.type, item.id)));
+}
+
+/**
+ * URL of one item in a REST collection (handles ?rest_route= collections too)
+ */
+function itemRoute(collectionUrl, id) {
+  const url = new URL(collectionUrl);
+  const restRoute = url.searchParams.get('rest_route');
+  url.search = '';
+  if (restRoute) {
+    url.searchParams.set('rest_route', `${restRoute.replace(/\/$/, '')}/${id}`);
+  } else {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/${id}`;
+  }
+  return url;
+}
+
+/**
+ * Fetch a single post, page, custom post type item or comment by ID, shaped
+ * like the items of fetchCollection / fetchComments.
+ * Resolves to null when WordPress no longer serves the item to these
+ * credentials (deleted, trashed, unpublished, unapproved), so callers can
+ * drop it from the index.
+ * @param {string} postsUrl - Configured posts endpoint
+ * @param {string} postType - Post type slug, or "comment"
+ * @param {number|string} id
+ * @param {Object} [opts]
+ * @param {Object} [opts.headers] - Extra request headers (e.g. Authorization)
+ * @returns {Promise<Object|null>}
+ */
+export async function fetchItem(postsUrl, postType, id, { headers = {} } = {}) {
+  let url;
+  if (postType === 'comment') {
+    url = itemRoute(siblingRoute(postsUrl, 'comments').toString(), id);
+    url.searchParams.set('_embed', 'up');
+  } else {
+    const [type] = await discoverPostTypes(postsUrl, [postType], { headers });
+    url = itemRoute(type.url, id);
+    url.searchParams.set('_embed', 'author,wp:term');
+  }
+
+  console.log(`Fetching ${postType} ${id}...`);
+  const response = await fetch(url.toString(), { headers });
+  // Anonymous requests for trashed or unpublished items answer 401/403
+  if ([401, 403, 404, 410].includes(response.status)) return null;
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${postType} ${id}: HTTP ${response.status} ${response.statusText}`);
+  }
+
+  const item = await response.json();
+  if (postType === 'comment') {
+    return item.status === 'approved' ? commentToPost(item) : null;
+  }
+  return { ...item, type: item.type || postType };
+}
+
+export default {
+  POST_STATUSES,
+  PROTECTED_POST_MODES,
+  wordpressConfigFromEnv,
+  validateWordPressConfig,
+  statusParams,
+  isPasswordProtected,
+  applyContentRules,
+  itemKey,
+  configuredPageSize,
+  discoverPostTypes,
+  fetchCollection,
+  fetchComments,
+  fetchItem,
+  fetchLiveKeys,
+  commentToPost
+};
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+import { config } from 'dotenv';
+import { startRestServer, restConfigFromEnv } from '../lib/rest_api.js';
+
+config();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--host') {
+      args.host = argv[i + 1];
+      i++;
+    } else if (a === '--port') {
+      args.port = parseInt(argv[i + 1], 10);
+      i++;
+    } else if (a === '--help' || a === '-h') {
+      args.help = true;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { help, ...overrides } = parseArgs(process.argv);
+  if (help) {
+    console.log(`Usage:\n  node scripts/api-server.js [--host 127.0.0.1] [--port 3001]\n\nEndpoints:\n  GET|POST /search      Semantic/keyword/hybrid search (same JSON as search-cli.js --json)\n  GET|POST /vs-search   OpenAI Vector Store search\n  GET      /health      Configuration and index status\n  GET      /posts/:id   One indexed post with its chunks\n\nEnvironment:\n  API_HOST, API_PORT, API_AUTH_TOKEN (bearer token), API_CORS_ORIGIN\n\nExamples:\n  curl "http://127.0.0.1:3001/search?query=AI&top_k=5&mode=hybrid"\n  curl -X POST http://127.0.0.1:3001/search -H 'Content-Type: application/json' -d '{"query":"AI","categories":["Tech"]}'`);
+    process.exit(0);
+  }
+
+  const opts = { ...restConfigFromEnv(), ...Object.fromEntries(Object.entries(overrides).filter(([, v]) => v)) };
+  try {
+    await startRestServer(opts);
+  } catch (err) {
+    console.error('Failed to start REST API:', err?.message || err);
+    process.exit(1);
+  }
+}
+
+main();
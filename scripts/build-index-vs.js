@@ -1,197 +1,269 @@
 #!/usr/bin/env node
 import { config } from 'dotenv';
-import OpenAI from 'openai';
-import fs from 'fs/promises';
-import path from 'path';
+import { resolveIndex, indexNameFromArgv, missingSettingMessage } from '../lib/indexes.js';
+import {
+  wordpressConfigFromEnv, validateWordPressConfig, discoverPostTypes, fetchCollection, fetchComments,
+  configuredPageSize, statusParams, applyContentRules, itemKey
+} from '../lib/wordpress.js';
+import {
+  createOpenAIClient, itemDocument, uploadVectorStoreItem, waitForVectorStoreFiles, deleteVectorStoreFiles,
+  staticChunkingStrategy, vsChunkingFromEnv, chunkingLabel
+} from '../lib/vector_store_files.js';
+import { loadManifest, saveManifest, rebuildManifest, pruneManifest, recordUpload } from '../lib/vector_store_manifest.js';
+import { requestConfigFromEnv, settleWithConcurrency } from '../lib/openai_requests.js';
+import { withIndexLock, describeHolder } from '../lib/index_lock.js';
 
 config();
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_ORGANIZATION = process.env.OPENAI_ORGANIZATION;
-const OPENAI_PROJECT = process.env.OPENAI_PROJECT;
-const VECTOR_STORE_ID = process.env.OPENAI_VECTOR_STORE_ID;
-const WORDPRESS_POSTS_URL = process.env.WORDPRESS_POSTS_URL;
+// --index <name> selects a named index; its settings override the environment
+let INDEX;
+try {
+  INDEX = resolveIndex(indexNameFromArgv(process.argv));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const OPENAI_API_KEY = INDEX.env.OPENAI_API_KEY;
+const VECTOR_STORE_ID = INDEX.env.OPENAI_VECTOR_STORE_ID;
+const WORDPRESS = wordpressConfigFromEnv(INDEX.env);
+const WORDPRESS_POSTS_URL = WORDPRESS.postsUrl;
 
 if (!OPENAI_API_KEY) {
   console.error('❌ Missing OPENAI_API_KEY in .env');
   process.exit(1);
 }
 if (!VECTOR_STORE_ID) {
-  console.error('❌ Missing OPENAI_VECTOR_STORE_ID in .env');
+  console.error(`❌ ${missingSettingMessage(INDEX, 'vector_store_id')}`);
   process.exit(1);
 }
 if (!WORDPRESS_POSTS_URL) {
-  console.error('❌ Missing WORDPRESS_POSTS_URL in .env');
+  console.error(`❌ ${missingSettingMessage(INDEX, 'wordpress_posts_url')}`);
   process.exit(1);
 }
 
-const client = new OpenAI({
-  apiKey: OPENAI_API_KEY,
-  organization: OPENAI_ORGANIZATION,
-  project: OPENAI_PROJECT,
-});
+const client = createOpenAIClient(INDEX.env);
 
-const TMP_DIR = path.join('data', 'tmp_uploads');
-
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-function stripHtml(html) {
-  return String(html || '')
-    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
-    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/&[a-zA-Z0-9#]+;/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
+const DATA_DIR = INDEX.dataDir;
+// Save progress this often during long uploads, so an interrupted sync resumes
+const MANIFEST_SAVE_EVERY = 20;
+const CONCURRENCY = requestConfigFromEnv(INDEX.env).concurrency;
+// Webhook updates hold the index lock briefly; anything longer is another sync
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
 
 async function fetchAllPosts() {
-  console.log('Fetching WordPress posts for Vector Store indexing...');
+  validateWordPressConfig(WORDPRESS);
+  const { headers } = WORDPRESS;
+  const types = await discoverPostTypes(WORDPRESS_POSTS_URL, WORDPRESS.postTypes, { headers });
+  console.log(`Fetching WordPress content for Vector Store indexing (types: ${types.map(type => type.slug).join(', ')}${WORDPRESS.includeComments ? ', comments' : ''}; statuses: ${WORDPRESS.statuses.join(', ')}; ${WORDPRESS.auth ? `auth: ${WORDPRESS.auth}` : 'anonymous'})...`);
   const all = [];
-  let page = 1;
-  const base = new URL(WORDPRESS_POSTS_URL);
-  const configuredPerPage = Number(base.searchParams.get('per_page')) || 100;
-
-  while (true) {
-    const url = new URL(base.toString());
-    // Always set current page; respect configured per_page if present
-    url.searchParams.set('page', String(page));
-    if (!base.searchParams.has('per_page')) url.searchParams.set('per_page', String(configuredPerPage));
-
-    console.log(`Fetching page ${page}...`);
-    const res = await fetch(url.toString());
-    if (!res.ok) {
-      // WordPress returns 400 when page exceeds total pages
-      if (res.status === 400 && page > 1) break;
-      throw new Error(`Failed to fetch posts: ${res.status} ${res.statusText}`);
-    }
-    const posts = await res.json();
-    if (!Array.isArray(posts) || posts.length === 0) break;
-    all.push(...posts);
-    if (posts.length < configuredPerPage) break; // last page
-    page += 1;
-    await sleep(100);
+  for (const type of types) {
+    const { items } = await fetchCollection(type.url, {
+      // Terms are embedded for the category attributes
+      params: { _embed: 'wp:term', ...statusParams(WORDPRESS) },
+      perPage: configuredPageSize(WORDPRESS_POSTS_URL),
+      headers,
+      strict: true,
+      label: type.slug === 'post' ? 'posts' : `${type.slug} items`
+    });
+    all.push(...items.map(item => ({ ...item, type: item.type || type.slug })));
+  }
+  if (WORDPRESS.includeComments) {
+    all.push(...await fetchComments(WORDPRESS_POSTS_URL, { strict: true, headers }));
   }
-  console.log(`Total posts fetched: ${all.length}`);
-  return all;
+  console.log(`Total items fetched: ${all.length}`);
+  return applyContentRules(all, WORDPRESS);
 }
 
-function toJsonDoc(post) {
-  const title = stripHtml(post.title?.rendered || post.title || '');
-  const link = post.link || '';
-  const excerpt = stripHtml(post.excerpt?.rendered || post.excerpt || '');
-  const content = stripHtml(post.content?.rendered || post.content || '');
-  const id = post.id || post.slug || null;
-  const slug = post.slug || null;
-  const date = post.date || null;
-  const doc = { id, slug, title, link, excerpt, content, date };
-  return JSON.stringify(doc, null, 2);
-}
+/**
+ * Compare the live items with the manifest: new or changed items (by content
+ * hash) and items chunked differently are uploaded, manifest items that are
+ * no longer live are removed
+ */
+function planSync(posts, manifest, chunkingStrategy) {
+  const chunking = chunkingLabel(chunkingStrategy);
+  const live = new Map(posts.map(post => [itemKey(post.type, post.id), post]));
+  const uploads = [];
+  let unchanged = 0;
 
-async function ensureTmpDir() {
-  await fs.mkdir(TMP_DIR, { recursive: true });
-}
+  for (const [key, post] of live) {
+    const entry = manifest.items[key];
+    if (!entry) {
+      uploads.push({ key, post, reason: 'new' });
+    } else if (entry.hash !== itemDocument(post).hash) {
+      uploads.push({ key, post, reason: 'changed' });
+    } else if ((entry.chunking || chunkingLabel(null)) !== chunking) {
+      // Manifests from before chunking was configurable only had auto-chunked files
+      uploads.push({ key, post, reason: 'rechunk' });
+    } else {
+      unchanged++;
+    }
+  }
 
-async function writeTempFiles(posts) {
-  console.log('Writing temporary text files...');
-  const files = [];
-  for (const post of posts) {
-    const id = post.id || post.slug || Math.random().toString(36).slice(2);
-    const safe = String(id).toString();
-    const filename = `${safe}.json`;
-    const filePath = path.join(TMP_DIR, filename);
-    const json = toJsonDoc(post);
-    await fs.writeFile(filePath, json, 'utf8');
-    files.push({ filePath, filename });
+  let stale = Object.keys(manifest.items).filter(key => !live.has(key));
+  if (live.size === 0 && stale.length > 0) {
+    // More likely a misconfigured endpoint or credentials than an empty site
+    console.log(`⚠️  WordPress lists no items for this index; keeping all ${stale.length} Vector Store files`);
+    stale = [];
   }
-  console.log(`Prepared ${files.length} files`);
-  return files;
+  return { uploads, unchanged, stale };
 }
 
-async function uploadFiles(files) {
-  console.log('Uploading files to OpenAI Files API...');
-  const fileIds = [];
-  const fsNode = await import('fs');
-  let idx = 0;
-  for (const f of files) {
-    idx += 1;
-    try {
-      const stream = fsNode.createReadStream(f.filePath);
-      // The OpenAI API accepts only { file, purpose } here; filename is inferred from the stream
-      const file = await client.files.create({ file: stream, purpose: 'assistants' });
-      fileIds.push(file.id);
-      if (idx % 20 === 0) console.log(`Uploaded ${idx}/${files.length}`);
-      await sleep(100);
-    } catch (e) {
-      console.error('Upload failed for', f.filename, e.message);
-      throw e;
+/**
+ * The manifest to sync against: the saved one with entries for vanished
+ * files dropped, or one rebuilt from the store's file listing
+ */
+async function prepareManifest(rebuild) {
+  let manifest = rebuild ? null : await loadManifest(DATA_DIR, VECTOR_STORE_ID);
+  if (manifest) {
+    const { missing, duplicates, untracked } = await pruneManifest(client, manifest);
+    if (missing.length > 0) {
+      console.log(`ℹ️  ${missing.length} manifest entries are no longer in the Vector Store and will be uploaded again`);
+    }
+    if (duplicates.length > 0) {
+      console.log(`ℹ️  ${duplicates.length} Vector Store file(s) of indexed items are not in the manifest (left by an interrupted sync) and will be deleted`);
+    }
+    if (untracked > 0) {
+      console.log(`⚠️  ${untracked} Vector Store file(s) were not uploaded by this tool (left alone)`);
     }
+    return { manifest, duplicates };
   }
-  console.log(`Uploaded ${fileIds.length} files`);
-  return fileIds;
-}
 
-async function addFilesToVectorStoreBatch(fileIds) {
-  console.log(`Adding ${fileIds.length} files to Vector Store ${VECTOR_STORE_ID} via file batch...`);
-  const resp = await fetch(`https://api.openai.com/v1/vector_stores/${VECTOR_STORE_ID}/file_batches`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json',
-      'OpenAI-Beta': 'assistants=v2',
-      ...(OPENAI_ORGANIZATION && { 'OpenAI-Organization': OPENAI_ORGANIZATION }),
-      ...(OPENAI_PROJECT && { 'OpenAI-Project': OPENAI_PROJECT }),
-    },
-    body: JSON.stringify({ file_ids: fileIds })
-  });
-  if (!resp.ok) {
-    const txt = await resp.text();
-    throw new Error(`Batch create failed: ${resp.status} ${resp.statusText} ${txt}`);
-  }
-  const batch = await resp.json();
-  console.log('File batch created:', batch.id, 'status:', batch.status);
-  return batch;
+  console.log(rebuild ? 'Rebuilding the manifest from the Vector Store file listing...' : 'No manifest yet, building it from the Vector Store file listing...');
+  const { manifest: rebuilt, duplicates, untracked } = await rebuildManifest(client, VECTOR_STORE_ID);
+  console.log(`Found ${Object.keys(rebuilt.items).length} item(s), ${duplicates.length} duplicate upload(s)${untracked.length > 0 ? `, ${untracked.length} file(s) not from this tool (left alone)` : ''}`);
+  return { manifest: rebuilt, duplicates };
 }
 
-async function waitForBatchCompletion(batchId, timeoutMs = 15 * 60 * 1000) {
-  const start = Date.now();
-  while (true) {
-    const resp = await fetch(`https://api.openai.com/v1/vector_stores/${VECTOR_STORE_ID}/file_batches/${batchId}`, {
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'OpenAI-Beta': 'assistants=v2',
-        ...(OPENAI_ORGANIZATION && { 'OpenAI-Organization': OPENAI_ORGANIZATION }),
-        ...(OPENAI_PROJECT && { 'OpenAI-Project': OPENAI_PROJECT }),
-      }
-    });
-    if (!resp.ok) {
-      const txt = await resp.text();
-      throw new Error(`Batch retrieve failed: ${resp.status} ${resp.statusText} ${txt}`);
-    }
-    const data = await resp.json();
-    const { status, file_counts } = data;
-    console.log(`Batch status: ${status} (completed: ${file_counts?.completed} / total: ${file_counts?.total})`);
-    if (status === 'completed') return data;
-    if (status === 'failed' || status === 'cancelled' || status === 'expired') {
-      throw new Error(`Batch ${status}. Details: ${JSON.stringify(data)}`);
+function parseArgs(argv) {
+  const args = { dryRun: false, rebuildManifest: false, help: false, maxChunkTokens: undefined, chunkOverlapTokens: undefined };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--dry-run') {
+      args.dryRun = true;
+    } else if (a === '--rebuild-manifest') {
+      args.rebuildManifest = true;
+    } else if (a === '--max-chunk-tokens') {
+      args.maxChunkTokens = Number(argv[i + 1]);
+      i++;
+    } else if (a === '--chunk-overlap-tokens') {
+      args.chunkOverlapTokens = Number(argv[i + 1]);
+      i++;
+    } else if (a === '--index') {
+      i++; // resolved at startup
+    } else if (a === '--help' || a === '-h') {
+      args.help = true;
     }
-    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for batch completion');
-    await sleep(1500);
   }
+  return args;
 }
 
 async function main() {
-  console.log('Starting Vector Store indexing (no local embeddings)...');
-  console.log(`Using Vector Store: ${VECTOR_STORE_ID}`);
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    console.log(`Usage:\n  node scripts/build-index-vs.js [--index <name>] [--dry-run] [--rebuild-manifest]\n    [--max-chunk-tokens 800] [--chunk-overlap-tokens 400]\n\nUploads new and changed posts as JSON files to the Vector Store, replaces their\nprevious files, and removes the files of posts that were deleted or unpublished\nin WordPress. What was uploaded is tracked in <data dir>/vector-store-manifest.json.\n\nOptions:\n  --index              Named index from indexes.json (default: the default index)\n  --dry-run            Show what would be uploaded and removed without changing anything\n  --rebuild-manifest   Reconstruct the manifest from the Vector Store's file listing\n                       (also removes duplicate uploads of the same post)\n  --max-chunk-tokens   Static chunk size for attached files, 100-4096 (default:\n                       VS_CHUNK_MAX_TOKENS, else OpenAI's auto chunking)\n  --chunk-overlap-tokens  Overlap between chunks, at most half the chunk size\n                       (default: VS_CHUNK_OVERLAP_TOKENS, else min(400, size/2))\n                       Files chunked differently are uploaded again\n  -h, --help           Show this help message`);
+    process.exit(0);
+  }
 
-  await ensureTmpDir();
+  const chunkingStrategy = args.maxChunkTokens !== undefined
+    ? staticChunkingStrategy(args.maxChunkTokens, args.chunkOverlapTokens)
+    : vsChunkingFromEnv(INDEX.env);
+
+  console.log('Starting Vector Store sync (no local embeddings)...');
+  console.log(`Using Vector Store: ${VECTOR_STORE_ID} (index: ${INDEX.name}, chunking: ${chunkingStrategy ? `${chunkingLabel(chunkingStrategy)} tokens` : 'auto'})`);
+
+  if (args.dryRun) return sync(args, chunkingStrategy);
+  // Held for the whole sync, so webhook updates do not interleave with its manifest writes
+  return withIndexLock(DATA_DIR, 'build-index-vs.js', () => sync(args, chunkingStrategy), {
+    timeoutMs: LOCK_TIMEOUT_MS,
+    onWait: holder => console.log(`⏳ Waiting for the index lock held by ${describeHolder(holder)}...`)
+  });
+}
+
+/**
+ * Upload new and changed items, then remove replaced, stale and duplicate files
+ */
+async function sync(args, chunkingStrategy) {
   const posts = await fetchAllPosts();
-  const files = await writeTempFiles(posts);
-  const fileIds = await uploadFiles(files);
-  const batch = await addFilesToVectorStoreBatch(fileIds);
-  await waitForBatchCompletion(batch.id);
+  const { manifest, duplicates } = await prepareManifest(args.rebuildManifest);
+  const { uploads, unchanged, stale } = planSync(posts, manifest, chunkingStrategy);
+  const added = uploads.filter(upload => upload.reason === 'new').length;
+  const rechunked = uploads.filter(upload => upload.reason === 'rechunk').length;
+  console.log(`📊 ${added} new, ${uploads.length - added - rechunked} changed, ${rechunked ? `${rechunked} re-chunked, ` : ''}${unchanged} unchanged, ${stale.length} deleted or unpublished${duplicates.length > 0 ? `, ${duplicates.length} duplicate file(s)` : ''}`);
+  if (stale.length > 0) {
+    console.log(`🗑️  ${args.dryRun ? 'Would remove' : 'Removing'} ${stale.length} deleted or unpublished item(s):`);
+    for (const key of stale) console.log(`   - ${key} (${manifest.items[key].filename}, ${manifest.items[key].file_id})`);
+  }
+
+  if (args.dryRun) {
+    for (const { key, reason } of uploads) console.log(`   + ${key} (${reason})`);
+    console.log(`ℹ️  Dry run: would upload ${uploads.length} item(s) and remove ${stale.length + duplicates.length} file(s); nothing was changed.`);
+    return;
+  }
+  if (args.rebuildManifest) {
+    console.log(`💾 Manifest saved to ${await saveManifest(DATA_DIR, manifest)}`);
+  }
+
+  // Upload first and delete replaced files only once the new ones are
+  // searchable, so items never drop out of search during a sync. Uploads
+  // run OPENAI_CONCURRENCY at a time; one that fails after its retries keeps
+  // the previous version and is tried again on the next sync.
+  const replaced = [];
+  let finished = 0;
+  // Saves are chained so concurrent uploads never write the manifest at once
+  let saving = Promise.resolve();
+  const results = await settleWithConcurrency(uploads, CONCURRENCY, async ({ key, post }) => {
+    const previous = manifest.items[key];
+    try {
+      manifest.items[key] = await uploadVectorStoreItem(client, VECTOR_STORE_ID, post, {
+        chunkingStrategy,
+        onUpload: upload => recordUpload(DATA_DIR, upload)
+      });
+    } catch (e) {
+      console.error('Upload failed for', key, e.message);
+      throw e;
+    }
+    replaced.push({ key, previous });
+    if (++finished % MANIFEST_SAVE_EVERY === 0) {
+      console.log(`Uploaded ${finished}/${uploads.length}`);
+      saving = saving.then(() => saveManifest(DATA_DIR, manifest));
+      await saving;
+    }
+  });
+  const uploadFailures = results.filter(result => result.status === 'rejected').length;
+
+  const failed = new Set(await waitForVectorStoreFiles(client, VECTOR_STORE_ID, replaced.map(({ key }) => manifest.items[key].file_id)));
+  const obsolete = [...duplicates];
+  for (const { key, previous } of replaced) {
+    if (failed.has(manifest.items[key].file_id)) {
+      // Keep serving the previous version; the next sync retries the upload
+      obsolete.push(manifest.items[key].file_id);
+      if (previous) manifest.items[key] = previous;
+      else delete manifest.items[key];
+    } else if (previous) {
+      obsolete.push(previous.file_id);
+    }
+  }
+  for (const key of stale) {
+    obsolete.push(manifest.items[key].file_id);
+    delete manifest.items[key];
+  }
+
+  if (obsolete.length > 0) {
+    console.log(`Deleting ${obsolete.length} replaced, removed or duplicate file(s)...`);
+    await deleteVectorStoreFiles(client, VECTOR_STORE_ID, obsolete);
+  }
+  const manifestFile = await saveManifest(DATA_DIR, manifest);
 
-  console.log('✅ Vector Store indexing completed. Files are embedded by OpenAI.');
+  if (uploadFailures > 0) {
+    console.log(`⚠️  ${uploadFailures} upload(s) failed and will be retried on the next sync`);
+  }
+  if (failed.size > 0) {
+    console.log(`⚠️  ${failed.size} file(s) failed processing and will be retried on the next sync`);
+  }
+  console.log('✅ Vector Store sync completed. Files are embedded by OpenAI.');
+  console.log(`📊 Uploaded ${replaced.length - failed.size} item(s), removed ${stale.length}, deleted ${obsolete.length} file(s) in total (${Object.keys(manifest.items).length} items in the store)`);
+  console.log(`💾 Manifest saved to ${manifestFile}`);
 }
 
 main().catch(err => {
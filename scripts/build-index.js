@@ -1,235 +1,303 @@
 #!/usr/bin/env node
 
-import OpenAI from 'openai';
 import { config } from 'dotenv';
-import fs from 'fs/promises';
 import path from 'path';
+import {
+  localIndexSettings, incompatibilityReason, processPostsToDocuments, generateEmbeddings,
+  mergeIndex, saveEmbeddings, buildKeywordIndexFile, buildAnnIndex
+} from '../lib/local_index.js';
+import { loadHnswIndex } from '../lib/hnsw.js';
+import { VECTORS_FILENAME, readEmbeddingStore } from '../lib/embedding_store.js';
+import { resolveIndex, indexNameFromArgv } from '../lib/indexes.js';
+import { acquireIndexLock, describeHolder } from '../lib/index_lock.js';
+import {
+  validateWordPressConfig, discoverPostTypes, fetchCollection, fetchComments,
+  configuredPageSize, statusParams, applyContentRules, itemKey, fetchLiveKeys
+} from '../lib/wordpress.js';
 
 // Load environment variables
 config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  organization: process.env.OPENAI_ORGANIZATION,
-  project: process.env.OPENAI_PROJECT,
-});
-
-const EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
-const WORDPRESS_POSTS_URL = process.env.WORDPRESS_POSTS_URL;
-const DATA_DIR = './data';
-const EMBEDDINGS_FILE = path.join(DATA_DIR, 'embeddings.json');
-
-/**
- * Strip HTML tags and clean text
- */
-function stripHtml(html) {
-  return String(html || '')
-    .replace(/<[^>]+>/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+// --index <name> selects a named index; its settings override the environment
+let INDEX;
+try {
+  INDEX = resolveIndex(indexNameFromArgv(process.argv));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
 }
 
+const SETTINGS = localIndexSettings(INDEX);
+const { embeddingProvider, chunking: CHUNKING } = SETTINGS;
+const EMBEDDING_MODEL = embeddingProvider.model;
+const WORDPRESS = SETTINGS.wordpress;
+const WORDPRESS_POSTS_URL = WORDPRESS.postsUrl;
+const DATA_DIR = INDEX.dataDir;
+const EMBEDDINGS_FILE = path.join(DATA_DIR, VECTORS_FILENAME);
+// Webhook updates hold the index lock briefly; anything longer is another build
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
 /**
- * Fetch WordPress posts with pagination
+ * Fetch the configured post types (and approved comments when enabled).
+ * When `modifiedAfter` is given only items changed since then are requested,
+ * and the first page of each collection carries the validators from the last
+ * run, so an unchanged collection answers 304 and nothing else is downloaded.
+ * @param {Object} [opts]
+ * @param {string} [opts.modifiedAfter] - Only items modified after this (site-local) time
+ * @param {string} [opts.commentsAfter] - Only comments posted after this time
+ * @param {Object} [opts.validators] - post type -> { etag, last_modified } from the last run
  */
-async function fetchWordPressPosts() {
-  console.log('Fetching WordPress posts...');
-  const allPosts = [];
-  let page = 1;
-  const perPage = 100;
-
-  while (true) {
-    const url = `${WORDPRESS_POSTS_URL}?page=${page}&per_page=${perPage}`;
-    console.log(`Fetching page ${page}...`);
-    
-    try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        if (response.status === 400 && page > 1) {
-          // No more pages
-          break;
-        }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+async function fetchWordPressContent({ modifiedAfter, commentsAfter, validators = {} } = {}) {
+  validateWordPressConfig(WORDPRESS);
+  const { headers } = WORDPRESS;
+  const types = await discoverPostTypes(WORDPRESS_POSTS_URL, WORDPRESS.postTypes, { headers });
+  console.log(`${modifiedAfter ? `Fetching WordPress content modified after ${modifiedAfter}` : 'Fetching WordPress content'} (types: ${types.map(type => type.slug).join(', ')}${WORDPRESS.includeComments ? ', comments' : ''}; statuses: ${WORDPRESS.statuses.join(', ')}; ${WORDPRESS.auth ? `auth: ${WORDPRESS.auth}` : 'anonymous'})...`);
+  const posts = [];
+  const nextValidators = {};
+  let notModified = true;
 
-      const posts = await response.json();
-      if (!posts || posts.length === 0) {
-        break;
-      }
+  for (const type of types) {
+    const result = await fetchCollection(type.url, {
+      // Embed author and terms so taxonomy names come back without extra requests
+      params: { _embed: 'author,wp:term', modified_after: modifiedAfter, ...statusParams(WORDPRESS) },
+      perPage: configuredPageSize(WORDPRESS_POSTS_URL),
+      headers,
+      etag: validators[type.slug]?.etag,
+      lastModified: validators[type.slug]?.last_modified,
+      // A partial incremental fetch would silently skip changes, so fail loudly instead
+      strict: Boolean(modifiedAfter),
+      label: type.slug === 'post' ? 'posts' : `${type.slug} items`
+    });
+    nextValidators[type.slug] = { etag: result.etag, last_modified: result.lastModified };
+    if (!result.notModified) notModified = false;
+    posts.push(...result.items.map(item => ({ ...item, type: item.type || type.slug })));
+  }
 
-      allPosts.push(...posts);
-      console.log(`Fetched ${posts.length} posts from page ${page}`);
-      
-      if (posts.length < perPage) {
-        // Last page
-        break;
-      }
-      page++;
-    } catch (error) {
-      console.error(`Error fetching page ${page}:`, error.message);
-      break;
-    }
+  if (WORDPRESS.includeComments) {
+    const comments = await fetchComments(WORDPRESS_POSTS_URL, { after: commentsAfter, strict: Boolean(modifiedAfter), headers });
+    if (comments.length > 0) notModified = false;
+    posts.push(...comments);
   }
 
-  console.log(`Total posts fetched: ${allPosts.length}`);
-  return allPosts;
+  console.log(`Total items fetched: ${posts.length}`);
+  return { posts, notModified, validators: nextValidators };
 }
 
 /**
- * Process posts into documents
+ * Load the existing index, or null when there is none usable for incremental runs
  */
-function processPostsToDocuments(posts) {
-  console.log('Processing posts into documents...');
-  const documents = [];
-
-  for (const post of posts) {
-    const title = stripHtml(post.title?.rendered || '');
-    const excerpt = stripHtml(post.excerpt?.rendered || '');
-    const content = stripHtml(post.content?.rendered || '');
-    
-    // Combine title and content for embedding
-    const text = `${title}\n\n${excerpt || content}`.trim();
-    
-    if (!text || text.length < 10) {
-      console.log(`Skipping post ${post.id} - insufficient content`);
-      continue;
+async function loadExistingIndex() {
+  try {
+    const store = await readEmbeddingStore(DATA_DIR);
+    if (!store) return null;
+    const reason = incompatibilityReason(store.meta, SETTINGS);
+    if (reason) {
+      console.log(`${reason}, falling back to a full rebuild`);
+      return null;
     }
+    return store;
+  } catch (error) {
+    console.log(`Could not read existing index (${error.message}), falling back to a full rebuild`);
+    return null;
+  }
+}
 
-    // Limit text length to avoid token limits
-    const maxLength = 8000;
-    const finalText = text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
-
-    const document = {
-      id: `post-${post.id}`,
-      text: finalText,
-      metadata: {
-        post_id: post.id,
-        title: title,
-        excerpt: excerpt || content.substring(0, 300) + '...',
-        link: post.link || `https://www.yaoyingying.com/?p=${post.id}`,
-        wp_date: post.date,
-        modified: post.modified,
-        status: post.status
-      }
-    };
+/**
+ * Latest `modified` timestamp among indexed posts (WordPress site-local time,
+ * which is what the REST API's `modified_after` compares against)
+ */
+function latestModified(documents) {
+  let latest;
+  for (const doc of documents) {
+    if (doc.metadata?.post_type === 'comment') continue;
+    const modified = doc.metadata?.modified;
+    if (modified && (!latest || modified > latest)) latest = modified;
+  }
+  return latest;
+}
 
-    documents.push(document);
+/**
+ * Latest comment date among indexed documents, for fetching only newer comments
+ */
+function latestCommentDate(documents) {
+  let latest;
+  for (const doc of documents) {
+    const date = doc.metadata?.post_type === 'comment' ? doc.metadata.wp_date : null;
+    if (date && (!latest || date > latest)) latest = date;
   }
+  return latest;
+}
 
-  console.log(`Processed ${documents.length} documents`);
-  return documents;
+/**
+ * Keys of indexed items that WordPress no longer lists for this index
+ * (deleted, unpublished, made private, type or comment removed), with the
+ * title of each for the removal summary
+ * @returns {Promise<{ key: string, title: string }[]>}
+ */
+async function findStaleItems(documents) {
+  console.log('Checking indexed items against the live WordPress content...');
+  const live = await fetchLiveKeys(WORDPRESS);
+  const indexed = new Map();
+  for (const doc of documents) {
+    const key = itemKey(doc.metadata?.post_type, doc.metadata?.post_id);
+    if (!indexed.has(key)) indexed.set(key, doc.metadata?.title || '');
+  }
+  if (live.size === 0 && indexed.size > 0) {
+    // More likely a misconfigured endpoint or credentials than an empty site
+    console.log(`⚠️  WordPress lists no items for this index; keeping all ${indexed.size} indexed items`);
+    return [];
+  }
+  return [...indexed].filter(([key]) => !live.has(key)).map(([key, title]) => ({ key, title }));
 }
 
 /**
- * Generate embeddings for documents
+ * Log the stale items being (or, for a dry run, to be) removed
  */
-async function generateEmbeddings(documents) {
-  console.log(`Generating embeddings for ${documents.length} documents...`);
-  const embeddings = [];
-  const batchSize = 100; // OpenAI embeddings API batch limit
-  
-  for (let i = 0; i < documents.length; i += batchSize) {
-    const batch = documents.slice(i, i + batchSize);
-    const batchTexts = batch.map(doc => doc.text);
-    
-    console.log(`Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(documents.length / batchSize)} (${batch.length} documents)...`);
-    
-    try {
-      const response = await openai.embeddings.create({
-        model: EMBEDDING_MODEL,
-        input: batchTexts,
-      });
-      
-      const batchEmbeddings = response.data.map(item => item.embedding);
-      embeddings.push(...batchEmbeddings);
-      
-      console.log(`  Generated ${batchEmbeddings.length} embeddings`);
-      
-      // Small delay to avoid rate limits
-      if (i + batchSize < documents.length) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-    } catch (error) {
-      console.error(`Error generating embeddings for batch ${Math.floor(i / batchSize) + 1}:`, error.message);
-      throw error;
-    }
+function logRemovals(stale, dryRun) {
+  if (stale.length === 0) {
+    console.log('No deleted or unpublished items to remove');
+    return;
   }
-  
-  console.log(`Generated ${embeddings.length} embeddings total`);
-  return embeddings;
+  console.log(`🗑️  ${dryRun ? 'Would remove' : 'Removing'} ${stale.length} deleted or unpublished item(s):`);
+  for (const { key, title } of stale) console.log(`   - ${key}${title ? ` ${title}` : ''}`);
 }
 
 /**
- * Save embeddings to local file
+ * Parse CLI arguments
  */
-async function saveEmbeddings(documents, embeddings) {
-  console.log('Saving embeddings to local file...');
-  
-  // Ensure data directory exists
-  try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-  } catch (error) {
-    // Directory might already exist
+function parseArgs(argv) {
+  const args = { full: false, dryRun: false, hnsw: /^(1|true|yes)$/i.test(INDEX.env.HNSW_ENABLED || ''), help: false };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--full') {
+      args.full = true;
+    } else if (a === '--dry-run') {
+      args.dryRun = true;
+    } else if (a === '--hnsw') {
+      args.hnsw = true;
+    } else if (a === '--no-hnsw') {
+      args.hnsw = false;
+    } else if (a === '--index') {
+      i++; // resolved at startup
+    } else if (a === '--help' || a === '-h') {
+      args.help = true;
+    }
   }
-  
-  const data = {
-    created_at: new Date().toISOString(),
-    model: EMBEDDING_MODEL,
-    total_documents: documents.length,
-    documents: documents,
-    embeddings: embeddings
-  };
-  
-  await fs.writeFile(EMBEDDINGS_FILE, JSON.stringify(data, null, 2));
-  console.log(`Saved embeddings to ${EMBEDDINGS_FILE}`);
+  return args;
 }
 
 /**
- * Main indexing function
+ * Main indexing function.
+ * Runs incrementally against the existing index unless `full` is set or there
+ * is no compatible index yet. Incremental runs also remove items that were
+ * deleted or unpublished since; `dryRun` only reports what would change.
  */
-async function buildIndex() {
+async function buildIndex({ full = false, hnsw = false, dryRun = false } = {}) {
+  let release;
   try {
-    console.log('Starting WordPress content indexing...');
-    console.log(`Using embedding model: ${EMBEDDING_MODEL}`);
+    console.log(`Starting WordPress content indexing (index: ${INDEX.name})...`);
+    console.log(`Using embedding model: ${embeddingProvider.name}/${EMBEDDING_MODEL}`);
     console.log(`Output file: ${EMBEDDINGS_FILE}`);
 
-    // Fetch WordPress posts
-    const posts = await fetchWordPressPosts();
-    if (posts.length === 0) {
+    // Held from reading the existing index to writing the new one, so webhook
+    // updates in between are not overwritten
+    if (!dryRun) {
+      release = await acquireIndexLock(DATA_DIR, 'build-index.js', {
+        timeoutMs: LOCK_TIMEOUT_MS,
+        onWait: holder => console.log(`⏳ Waiting for the index lock held by ${describeHolder(holder)}...`)
+      });
+    }
+
+    const existing = full ? null : await loadExistingIndex();
+    const modifiedAfter = existing ? (existing.meta.sync?.max_modified || latestModified(existing.documents)) : undefined;
+    console.log(`Mode: ${existing ? 'incremental' : 'full'}${dryRun ? ' (dry run)' : ''}`);
+
+    // Fetch WordPress content; indexes from before post type support kept one
+    // set of validators for the posts endpoint
+    const sync = existing?.meta.sync;
+    const { posts, notModified, validators } = await fetchWordPressContent(existing ? {
+      modifiedAfter,
+      commentsAfter: latestCommentDate(existing.documents),
+      validators: sync?.validators || { post: { etag: sync?.etag, last_modified: sync?.last_modified } }
+    } : {});
+
+    // A full rebuild only contains live items; incremental runs never see
+    // deletions in the modified_after results, so compare against every ID
+    const stale = existing ? await findStaleItems(existing.documents) : [];
+    if (existing) logRemovals(stale, dryRun);
+
+    if (dryRun) {
+      console.log(`ℹ️  Dry run: would re-embed ${posts.length} new or changed item(s) and remove ${stale.length}; nothing was written.`);
+      return;
+    }
+    if ((notModified || (existing && posts.length === 0)) && stale.length === 0) {
+      console.log('✅ Index is up to date, nothing to re-embed.');
+      if (hnsw && !(await loadHnswIndex(DATA_DIR, existing))) {
+        await buildAnnIndex(DATA_DIR, SETTINGS.hnsw);
+      }
+      return;
+    }
+    if (posts.length === 0 && !existing) {
       console.log('No posts found. Exiting.');
       return;
     }
 
-    // Process posts into documents
-    const documents = processPostsToDocuments(posts);
-    if (documents.length === 0) {
+    // Process posts into documents; items dropped by the status and
+    // password rules still count as changed, so their old documents go away
+    const documents = processPostsToDocuments(applyContentRules(posts, WORDPRESS), CHUNKING);
+    if (documents.length === 0 && !existing) {
       console.log('No valid documents to index. Exiting.');
       return;
     }
 
     // Generate embeddings
-    const embeddings = await generateEmbeddings(documents);
+    const embeddings = documents.length > 0 ? await generateEmbeddings(documents, embeddingProvider, { concurrency: SETTINGS.requests.concurrency, dataDir: DATA_DIR }) : [];
     
     if (embeddings.length !== documents.length) {
       throw new Error(`Mismatch: ${documents.length} documents but ${embeddings.length} embeddings`);
     }
 
+    // Keep the vectors of unchanged posts when running incrementally; stale
+    // items count as changed without new documents, which removes them
+    const changedKeys = new Set([...posts.map(post => itemKey(post.type, post.id)), ...stale.map(item => item.key)]);
+    const index = existing ? mergeIndex(existing, changedKeys, documents, embeddings) : { documents, embeddings };
+    const maxModified = [modifiedAfter, ...posts.filter(post => post.type !== 'comment').map(post => post.modified)]
+      .filter(Boolean)
+      .reduce((latest, modified) => (modified > latest ? modified : latest), '');
+
     // Save to local file
-    await saveEmbeddings(documents, embeddings);
+    await saveEmbeddings(SETTINGS, index.documents, index.embeddings, { validators, max_modified: maxModified || undefined });
+    await buildKeywordIndexFile(DATA_DIR);
+
+    // Optional ANN index; search falls back to the exact scan without it
+    if (hnsw) {
+      await buildAnnIndex(DATA_DIR, SETTINGS.hnsw);
+    }
 
     console.log('✅ Indexing completed successfully!');
-    console.log(`📊 Indexed ${documents.length} documents from ${posts.length} WordPress posts`);
-    console.log(`� Embeddings saved to ${EMBEDDINGS_FILE}`);
+    if (existing) {
+      console.log(`📊 Re-embedded ${documents.length} documents from ${posts.length} new or changed WordPress posts, removed ${stale.length} deleted or unpublished (${index.documents.length} documents total)`);
+    } else {
+      console.log(`📊 Indexed ${documents.length} documents from ${posts.length} WordPress posts`);
+    }
+    console.log(`💾 Embeddings saved to ${EMBEDDINGS_FILE}`);
     console.log(`🔍 Ready for semantic search!`);
 
   } catch (error) {
     console.error('❌ Indexing failed:', error.message);
     console.error(error.stack);
     process.exit(1);
+  } finally {
+    await release?.();
   }
 }
 
 // Run the indexing if this script is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  buildIndex();
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    console.log(`Usage:\n  node scripts/build-index.js [--index <name>] [--full] [--dry-run] [--hnsw|--no-hnsw]\n\nBy default only posts that are new or modified since the last run are re-embedded,\nand posts deleted or unpublished in WordPress are removed.\n\nOptions:\n  --index      Named index from indexes.json (default: the default index)\n  --full       Ignore the existing index and re-embed every post\n  --dry-run    Show what would be re-embedded and removed without writing anything\n  --hnsw       Also build the HNSW ANN index (default: HNSW_ENABLED)\n  --no-hnsw    Skip the HNSW index even when HNSW_ENABLED is set\n  -h, --help   Show this help message`);
+    process.exit(0);
+  }
+  buildIndex({ full: args.full, hnsw: args.hnsw, dryRun: args.dryRun });
 }
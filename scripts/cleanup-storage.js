@@ -3,242 +3,189 @@
 import { config } from 'dotenv';
 import { promises as fs } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { resolveIndex, indexNameFromArgv, missingSettingMessage } from '../lib/indexes.js';
+import { createOpenAIClient, listVectorStoreItems } from '../lib/vector_store_files.js';
+import { loadManifest, saveManifest, loadUploadLog, compactUploadLog } from '../lib/vector_store_manifest.js';
+import { formatBytes, confirm } from '../lib/cli_utils.js';
 
 // Load environment variables
 config();
 
-const VECTOR_STORE_ID = process.env.OPENAI_VECTOR_STORE_ID;
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const DEFAULT_TMP_DIR = path.resolve(__dirname, '../data/tmp_uploads');
+// --index <name> selects a named index; its settings override the environment
+let INDEX;
+try {
+  INDEX = resolveIndex(indexNameFromArgv(process.argv));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const VECTOR_STORE_ID = INDEX.env.OPENAI_VECTOR_STORE_ID;
+const DEFAULT_TMP_DIR = path.resolve(INDEX.dataDir, 'tmp_uploads');
+const DEFAULT_REPORT_FILE = path.join(INDEX.dataDir, 'cleanup-report.json');
+// Files storage is shared by the whole organization/project, so only files
+// of this purpose are ever considered
+const DEFAULT_PURPOSE = 'assistants';
 
 /**
- * Delete files from Vector Store
- * @param {Object} opts
- * @param {boolean} opts.onlyTxt - if true, delete only files whose original filename ends with .txt
+ * Work out what a cleanup would delete. Files storage is limited to files
+ * this index uploaded: in its upload log or manifest, or attached to its
+ * vector store (or, with allFiles, every file of the purpose), narrowed by
+ * purpose and, as an extra filter, filename prefix. Everything else is
+ * listed as kept.
+ * @returns {Promise<Object>} Plan with vectorStoreFiles, files, kept and localFiles
  */
-async function deleteVectorStoreFiles({ onlyTxt = false } = {}) {
-  console.log(`Deleting files from Vector Store: ${VECTOR_STORE_ID}`);
-  
-  try {
-    // List all files in the vector store
-    const listResponse = await fetch(`https://api.openai.com/v1/vector_stores/${VECTOR_STORE_ID}/files`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'OpenAI-Beta': 'assistants=v2',
-        ...(process.env.OPENAI_ORGANIZATION && { 'OpenAI-Organization': process.env.OPENAI_ORGANIZATION }),
-        ...(process.env.OPENAI_PROJECT && { 'OpenAI-Project': process.env.OPENAI_PROJECT })
-      }
-    });
-
-    if (!listResponse.ok) {
-      const errorText = await listResponse.text();
-      throw new Error(`Failed to list vector store files: ${listResponse.status} ${errorText}`);
-    }
-
-    const { data: files } = await listResponse.json();
-    console.log(`Found ${files.length} files in vector store`);
-
-    if (files.length === 0) {
-      console.log('No files to delete in vector store');
-      return [];
-    }
+async function planCleanup(client, opts) {
+  const { vsTxtOnly, allFiles, purpose, prefix, deleteTxt, txtDir } = opts;
+  const matchesPrefix = filename => !prefix || String(filename || '').startsWith(prefix);
+  const plan = { vectorStoreFiles: [], files: [], kept: [], localFiles: [] };
+
+  // Vector store attachments (every page of the listing)
+  let attached = [];
+  if (VECTOR_STORE_ID) {
+    console.log(`Listing files in Vector Store: ${VECTOR_STORE_ID}`);
+    attached = await listVectorStoreItems(client, VECTOR_STORE_ID);
+    console.log(`Found ${attached.length} files in vector store`);
+    plan.vectorStoreFiles = attached
+      .filter(item => !vsTxtOnly || String(item.filename || '').toLowerCase().endsWith('.txt'))
+      .filter(item => matchesPrefix(item.filename))
+      .map(item => ({ file_id: item.fileId, filename: item.filename, key: item.key }));
+  }
 
-    // Helper to fetch filename from Files API for filtering
-    async function fetchFilenameForVectorStoreFile(vsFile) {
-      const fileId = vsFile.file_id || vsFile.id;
-      if (!fileId) return undefined;
-      try {
-        const fr = await fetch(`https://api.openai.com/v1/files/${fileId}`, {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-            ...(process.env.OPENAI_ORGANIZATION && { 'OpenAI-Organization': process.env.OPENAI_ORGANIZATION }),
-            ...(process.env.OPENAI_PROJECT && { 'OpenAI-Project': process.env.OPENAI_PROJECT })
-          }
-        });
-        if (!fr.ok) return undefined;
-        const meta = await fr.json();
-        return meta?.filename;
-      } catch {
-        return undefined;
+  // Files storage
+  if (!vsTxtOnly) {
+    const manifest = VECTOR_STORE_ID ? await loadManifest(INDEX.dataDir, VECTOR_STORE_ID) : null;
+    const ours = new Set([
+      ...(await loadUploadLog(INDEX.dataDir)).keys(),
+      ...Object.values(manifest?.items || {}).map(entry => entry.file_id),
+      ...attached.map(item => item.fileId)
+    ]);
+    console.log(`Listing ${purpose} files in OpenAI Files storage...`);
+    for await (const file of client.files.list({ purpose, limit: 10000 })) {
+      const entry = { file_id: file.id, filename: file.filename, purpose: file.purpose, bytes: file.bytes || 0 };
+      if (!allFiles && !ours.has(file.id)) {
+        plan.kept.push({ ...entry, reason: 'not uploaded by this index (not in its upload log, manifest or vector store)' });
+      } else if (!matchesPrefix(file.filename)) {
+        plan.kept.push({ ...entry, reason: `filename does not start with "${prefix}"` });
+      } else {
+        plan.files.push(entry);
       }
     }
+    console.log(`Found ${plan.files.length + plan.kept.length} ${purpose} files in storage, ${plan.files.length} in scope`);
+  }
 
-    // Delete files from vector store
-    const deletedFiles = [];
-    for (const file of files) {
-      // If onlyTxt is enabled, skip non-.txt based on filename
-      if (onlyTxt) {
-        const filename = await fetchFilenameForVectorStoreFile(file);
-        if (!filename || !filename.toLowerCase().endsWith('.txt')) {
-          continue;
-        }
-      }
-      try {
-        const deleteResponse = await fetch(`https://api.openai.com/v1/vector_stores/${VECTOR_STORE_ID}/files/${file.id}`, {
-          method: 'DELETE',
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-            'OpenAI-Beta': 'assistants=v2',
-            ...(process.env.OPENAI_ORGANIZATION && { 'OpenAI-Organization': process.env.OPENAI_ORGANIZATION }),
-            ...(process.env.OPENAI_PROJECT && { 'OpenAI-Project': process.env.OPENAI_PROJECT })
-          }
-        });
-
-        if (deleteResponse.ok) {
-          console.log(`  ✅ Deleted vector store file: ${file.id}`);
-          deletedFiles.push(file.id);
-        } else {
-          const errorText = await deleteResponse.text();
-          console.error(`  ❌ Failed to delete vector store file ${file.id}: ${errorText}`);
-        }
-      } catch (error) {
-        console.error(`  ❌ Error deleting vector store file ${file.id}:`, error.message);
+  // Leftover local upload files
+  if (deleteTxt) {
+    const dir = path.resolve(txtDir || DEFAULT_TMP_DIR);
+    try {
+      for (const ent of await fs.readdir(dir, { withFileTypes: true })) {
+        if (ent.isFile() && ent.name.toLowerCase().endsWith('.txt')) plan.localFiles.push({ path: path.join(dir, ent.name) });
       }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      console.log(`Directory ${dir} not found, skipping .txt cleanup.`);
     }
-
-    return deletedFiles;
-  } catch (error) {
-    console.error('Error deleting vector store files:', error.message);
-    return [];
   }
+  return plan;
+}
+
+function printPlan(plan, { purpose, prefix, allFiles, deleteStore }) {
+  const bytes = plan.files.reduce((sum, file) => sum + file.bytes, 0);
+  console.log('\n📋 Cleanup plan:');
+  console.log(`  Scope: ${allFiles ? `every ${purpose} file` : `${purpose} files of index ${INDEX.name}`}${prefix ? `, filenames starting with "${prefix}"` : ''}`);
+  console.log(`  Vector Store files to detach: ${plan.vectorStoreFiles.length}`);
+  console.log(`  Uploaded files to delete: ${plan.files.length} (${formatBytes(bytes)})`);
+  for (const file of plan.files.slice(0, 20)) console.log(`    - ${file.file_id} ${file.filename} (${formatBytes(file.bytes)})`);
+  if (plan.files.length > 20) console.log(`    ... and ${plan.files.length - 20} more`);
+  console.log(`  Files kept (out of scope): ${plan.kept.length}`);
+  console.log(`  Local .txt files to delete: ${plan.localFiles.length}`);
+  if (deleteStore && VECTOR_STORE_ID) console.log(`  Vector Store to delete: ${VECTOR_STORE_ID}`);
 }
 
 /**
- * Delete all uploaded files from OpenAI Files storage
+ * Run one deletion and record its outcome on the entry
  */
-async function deleteUploadedFiles() {
-  console.log('Deleting files from OpenAI Files storage...');
-  
+async function attempt(entry, fn, label) {
   try {
-    // List all files
-    const listResponse = await fetch('https://api.openai.com/v1/files', {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        ...(process.env.OPENAI_ORGANIZATION && { 'OpenAI-Organization': process.env.OPENAI_ORGANIZATION }),
-        ...(process.env.OPENAI_PROJECT && { 'OpenAI-Project': process.env.OPENAI_PROJECT })
-      }
-    });
-
-    if (!listResponse.ok) {
-      const errorText = await listResponse.text();
-      throw new Error(`Failed to list files: ${listResponse.status} ${errorText}`);
+    await fn();
+    entry.status = 'deleted';
+    console.log(`  ✅ Deleted ${label}`);
+  } catch (error) {
+    if (error.status === 404) {
+      entry.status = 'already_gone';
+      return;
     }
+    entry.status = 'failed';
+    entry.error = error.message;
+    console.error(`  ❌ Failed to delete ${label}: ${error.message}`);
+  }
+}
 
-    const { data: files } = await listResponse.json();
-    console.log(`Found ${files.length} files in storage`);
+/**
+ * Delete everything in the plan, recording each outcome on its entry
+ */
+async function executeCleanup(client, plan) {
+  if (plan.vectorStoreFiles.length > 0) console.log(`\nDetaching files from Vector Store: ${VECTOR_STORE_ID}`);
+  for (const file of plan.vectorStoreFiles) {
+    await attempt(file, () => client.vectorStores.files.delete(file.file_id, { vector_store_id: VECTOR_STORE_ID }), `vector store file: ${file.file_id}`);
+  }
 
-    if (files.length === 0) {
-      console.log('No files to delete in storage');
-      return [];
-    }
+  if (plan.files.length > 0) console.log('\nDeleting files from OpenAI Files storage...');
+  for (const file of plan.files) {
+    await attempt(file, () => client.files.delete(file.file_id), `file: ${file.file_id} (${file.filename})`);
+  }
 
-    // Delete each file
-    const deletedFiles = [];
-    for (const file of files) {
-      try {
-        const deleteResponse = await fetch(`https://api.openai.com/v1/files/${file.id}`, {
-          method: 'DELETE',
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-            ...(process.env.OPENAI_ORGANIZATION && { 'OpenAI-Organization': process.env.OPENAI_ORGANIZATION }),
-            ...(process.env.OPENAI_PROJECT && { 'OpenAI-Project': process.env.OPENAI_PROJECT })
-          }
-        });
+  for (const file of plan.localFiles) {
+    await attempt(file, () => fs.unlink(file.path), path.basename(file.path));
+  }
 
-        if (deleteResponse.ok) {
-          console.log(`  ✅ Deleted file: ${file.id} (${file.filename})`);
-          deletedFiles.push(file.id);
-        } else {
-          const errorText = await deleteResponse.text();
-          console.error(`  ❌ Failed to delete file ${file.id}: ${errorText}`);
-        }
-      } catch (error) {
-        console.error(`  ❌ Error deleting file ${file.id}:`, error.message);
-      }
+  // Detached items are no longer in the store; the next sync uploads them again
+  const manifest = VECTOR_STORE_ID ? await loadManifest(INDEX.dataDir, VECTOR_STORE_ID) : null;
+  if (manifest) {
+    const detached = new Set(plan.vectorStoreFiles.filter(file => file.status !== 'failed').map(file => file.file_id));
+    for (const [key, entry] of Object.entries(manifest.items)) {
+      if (detached.has(entry.vector_store_file_id)) delete manifest.items[key];
     }
-
-    return deletedFiles;
-  } catch (error) {
-    console.error('Error deleting uploaded files:', error.message);
-    return [];
+    await saveManifest(INDEX.dataDir, manifest);
   }
+
+  // Deleted files need no more tracking
+  const deleted = new Set(plan.files.filter(file => file.status !== 'failed').map(file => file.file_id));
+  if (deleted.size > 0) await compactUploadLog(INDEX.dataDir, upload => !deleted.has(upload.file_id));
 }
 
 /**
- * Delete the Vector Store itself (optional)
+ * Delete the Vector Store itself (--delete-store)
  */
-async function deleteVectorStore() {
+async function deleteVectorStore(client) {
   console.log(`Deleting Vector Store: ${VECTOR_STORE_ID}`);
-  
   try {
-    const deleteResponse = await fetch(`https://api.openai.com/v1/vector_stores/${VECTOR_STORE_ID}`, {
-      method: 'DELETE',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'OpenAI-Beta': 'assistants=v2',
-        ...(process.env.OPENAI_ORGANIZATION && { 'OpenAI-Organization': process.env.OPENAI_ORGANIZATION }),
-        ...(process.env.OPENAI_PROJECT && { 'OpenAI-Project': process.env.OPENAI_PROJECT })
-      }
-    });
-
-    if (deleteResponse.ok) {
-      console.log(`✅ Deleted Vector Store: ${VECTOR_STORE_ID}`);
-      return true;
-    } else {
-      const errorText = await deleteResponse.text();
-      console.error(`❌ Failed to delete Vector Store: ${errorText}`);
-      return false;
-    }
+    await client.vectorStores.delete(VECTOR_STORE_ID);
+    console.log(`✅ Deleted Vector Store: ${VECTOR_STORE_ID}`);
+    return true;
   } catch (error) {
-    console.error('Error deleting Vector Store:', error.message);
+    console.error(`❌ Failed to delete Vector Store: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Delete all local .txt files under the specified directory (non-recursive)
+ * Write what was (and was not) deleted as JSON
  */
-async function deleteLocalTxtFiles(dir = DEFAULT_TMP_DIR) {
-  const targetDir = path.resolve(dir);
-  console.log(`Deleting local .txt files in: ${targetDir}`);
-
-  try {
-    const entries = await fs.readdir(targetDir, { withFileTypes: true });
-    let count = 0;
-    for (const ent of entries) {
-      if (ent.isFile() && ent.name.toLowerCase().endsWith('.txt')) {
-        const fp = path.join(targetDir, ent.name);
-        try {
-          await fs.unlink(fp);
-          console.log(`  🗑️  Deleted: ${ent.name}`);
-          count++;
-        } catch (err) {
-          console.error(`  ❌ Failed to delete ${ent.name}: ${err.message}`);
-        }
-      }
-    }
-    if (count === 0) console.log('No .txt files found.');
-    return count;
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      console.log('Directory not found, skipping .txt cleanup.');
-      return 0;
-    }
-    console.error('Error deleting .txt files:', err.message);
-    return 0;
-  }
+async function writeReport(file, report) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(report, null, 2));
+  console.log(`💾 Report saved to ${file}`);
 }
 
 /**
  * Parse CLI arguments
  */
 function parseArgs(argv) {
-  const args = { deleteTxt: false, txtDir: undefined, help: false, vsTxtOnly: false };
+  const args = {
+    deleteTxt: false, txtDir: undefined, help: false, vsTxtOnly: false, allFiles: false,
+    purpose: DEFAULT_PURPOSE, prefix: undefined, dryRun: false, yes: false, report: DEFAULT_REPORT_FILE, deleteStore: false
+  };
   for (let i = 2; i < argv.length; i++) {
     const a = argv[i];
     if (a === '--delete-txt' || a === '--rm-txt') {
@@ -248,6 +195,25 @@ function parseArgs(argv) {
     } else if (a === '--txt-dir') {
       args.txtDir = argv[i + 1];
       i++;
+    } else if (a === '--all-files') {
+      args.allFiles = true;
+    } else if (a === '--purpose') {
+      args.purpose = argv[i + 1];
+      i++;
+    } else if (a === '--prefix') {
+      args.prefix = argv[i + 1];
+      i++;
+    } else if (a === '--delete-store') {
+      args.deleteStore = true;
+    } else if (a === '--dry-run') {
+      args.dryRun = true;
+    } else if (a === '--yes' || a === '-y') {
+      args.yes = true;
+    } else if (a === '--report') {
+      args.report = argv[i + 1];
+      i++;
+    } else if (a === '--index') {
+      i++; // resolved at startup
     } else if (a === '--help' || a === '-h') {
       args.help = true;
     }
@@ -259,65 +225,96 @@ function parseArgs(argv) {
  * Main cleanup function
  */
 async function cleanup(opts = {}) {
-  const { deleteTxt = false, txtDir, vsTxtOnly = false } = opts;
+  const { dryRun = false, yes = false, vsTxtOnly = false, deleteTxt = false, deleteStore = false } = opts;
+  const report = {
+    index: INDEX.name,
+    vector_store_id: VECTOR_STORE_ID || null,
+    started_at: new Date().toISOString(),
+    dry_run: dryRun,
+    scope: { purpose: opts.purpose, prefix: opts.prefix || null, all_files: opts.allFiles, vs_txt_only: vsTxtOnly, delete_store: deleteStore }
+  };
   try {
-    console.log('🧹 Starting OpenAI storage cleanup...');
-    console.log(`Vector Store ID: ${VECTOR_STORE_ID}`);
+    console.log(`🧹 Starting OpenAI storage cleanup${dryRun ? ' (dry run)' : ''}...`);
+    console.log(`Index: ${INDEX.name}, Vector Store ID: ${VECTOR_STORE_ID}`);
 
+    if (!INDEX.env.OPENAI_API_KEY) {
+      throw new Error('Missing OPENAI_API_KEY');
+    }
+    if (deleteStore && vsTxtOnly) {
+      throw new Error('--delete-store removes every file of the Vector Store and cannot be combined with --vs-txt-only');
+    }
     if (!VECTOR_STORE_ID) {
-      console.log('⚠️  No OPENAI_VECTOR_STORE_ID found, skipping vector store cleanup');
+      console.log(`⚠️  ${missingSettingMessage(INDEX, 'vector_store_id')}, skipping vector store cleanup`);
     }
-
-    // Step 1: Delete files from Vector Store
-    let vectorStoreFiles = [];
-    if (VECTOR_STORE_ID) {
-      vectorStoreFiles = await deleteVectorStoreFiles({ onlyTxt: vsTxtOnly });
+    if (opts.allFiles) {
+      console.log(`⚠️  --all-files: every ${opts.purpose} file in the account is in scope, including files of other applications`);
     }
 
-    // Step 2: Delete files from Files storage (skip when only targeting .txt in Vector Store)
-    let uploadedFiles = [];
-    if (!vsTxtOnly) {
-      uploadedFiles = await deleteUploadedFiles();
+    const client = createOpenAIClient(INDEX.env);
+    const plan = await planCleanup(client, opts);
+    printPlan(plan, opts);
+    Object.assign(report, {
+      vector_store_files: plan.vectorStoreFiles,
+      files: plan.files,
+      kept: plan.kept,
+      local_files: plan.localFiles
+    });
+
+    const total = plan.vectorStoreFiles.length + plan.files.length + plan.localFiles.length;
+    const deletesStore = deleteStore && Boolean(VECTOR_STORE_ID);
+    let confirmed = false;
+    if (dryRun) {
+      console.log('\nℹ️  Dry run: nothing was deleted');
+    } else if (total === 0 && !deletesStore) {
+      console.log('\n✅ No files found to delete.');
     } else {
-      console.log('\nℹ️  Skipping OpenAI Files storage deletion because --vs-txt-only is set');
+      confirmed = yes || await confirm(`\nDelete ${total} file(s)${deletesStore ? ' and the Vector Store' : ''} listed above?`);
+      if (confirmed) {
+        await executeCleanup(client, plan);
+      } else {
+        console.log('Aborted, nothing was deleted');
+      }
     }
-
-    // Step 2.5: Optionally delete local .txt files
-    let localTxtDeleted = 0;
-    if (deleteTxt) {
-      localTxtDeleted = await deleteLocalTxtFiles(txtDir || DEFAULT_TMP_DIR);
+    for (const entry of [...plan.vectorStoreFiles, ...plan.files, ...plan.localFiles]) {
+      entry.status ||= dryRun ? 'would_delete' : 'not_deleted';
     }
 
-    // Step 3: Optionally delete the Vector Store itself
+    // Delete the Vector Store itself only when asked to
     let vectorStoreDeleted = false;
-    if (VECTOR_STORE_ID) {
-      console.log('\n❓ Delete the Vector Store itself? (This will require creating a new one)');
-      // For now, we'll skip this step - user can uncomment if needed
-      // vectorStoreDeleted = await deleteVectorStore();
-      console.log('ℹ️  Keeping Vector Store (uncomment deleteVectorStore() call to remove it)');
+    let storeFailed = false;
+    if (deletesStore && confirmed) {
+      console.log('');
+      vectorStoreDeleted = await deleteVectorStore(client);
+      storeFailed = !vectorStoreDeleted;
+      if (vectorStoreDeleted) {
+        console.log(`ℹ️  Create a new one before the next sync: node scripts/vector-store.js create --name <name> --write-config${INDEX.isDefault ? '' : ` --index ${INDEX.name}`}`);
+      }
     }
+    report.vector_store_deleted = vectorStoreDeleted;
 
     // Summary
-    console.log('\n📊 Cleanup Summary:');
-    console.log(`  Vector Store files deleted: ${vectorStoreFiles.length}${vsTxtOnly ? ' (only .txt)' : ''}`);
-    console.log(`  Uploaded files deleted: ${uploadedFiles.length}${vsTxtOnly ? ' (skipped due to --vs-txt-only)' : ''}`);
+    const count = (list, status) => list.filter(entry => entry.status === status).length;
+    const done = dryRun ? 'would_delete' : 'deleted';
+    console.log(`\n📊 Cleanup Summary${dryRun ? ' (dry run)' : ''}:`);
+    console.log(`  Vector Store files ${dryRun ? 'to detach' : 'detached'}: ${count(plan.vectorStoreFiles, done)}${vsTxtOnly ? ' (only .txt)' : ''}`);
+    console.log(`  Uploaded files ${dryRun ? 'to delete' : 'deleted'}: ${count(plan.files, done)}${vsTxtOnly ? ' (skipped due to --vs-txt-only)' : ''}`);
+    console.log(`  Files kept (out of scope): ${plan.kept.length}`);
     if (deleteTxt) {
-      console.log(`  Local .txt files deleted: ${localTxtDeleted}`);
+      console.log(`  Local .txt files ${dryRun ? 'to delete' : 'deleted'}: ${count(plan.localFiles, done)}`);
     } else {
       console.log('  Local .txt files deleted: (skipped)');
     }
-    console.log(`  Vector Store deleted: ${vectorStoreDeleted ? 'Yes' : 'No'}`);
-    
-    if (uploadedFiles.length > 0 || vectorStoreFiles.length > 0) {
-      console.log('\n✅ Cleanup completed successfully!');
-      console.log('💡 You can now run the indexing script again when your API quota is restored.');
-    } else {
-      console.log('\n✅ No files found to delete.');
-    }
+    const failed = count(plan.vectorStoreFiles, 'failed') + count(plan.files, 'failed') + count(plan.localFiles, 'failed');
+    if (failed > 0) console.log(`  ❌ Failed: ${failed} (see report)`);
+    console.log(`  Vector Store deleted: ${vectorStoreDeleted ? 'Yes' : dryRun && deletesStore ? 'No (would delete)' : 'No'}`);
 
+    report.finished_at = new Date().toISOString();
+    await writeReport(opts.report, report);
+    if (failed > 0 || storeFailed) process.exit(1);
   } catch (error) {
     console.error('❌ Cleanup failed:', error.message);
-    console.error(error.stack);
+    report.error = error.message;
+    await writeReport(opts.report, report).catch(() => {});
     process.exit(1);
   }
 }
@@ -326,8 +323,8 @@ async function cleanup(opts = {}) {
 if (import.meta.url === `file://${process.argv[1]}`) {
   const args = parseArgs(process.argv);
   if (args.help) {
-    console.log(`Usage:\n  node scripts/cleanup-storage.js [--vs-txt-only] [--delete-txt] [--txt-dir <path>]\n\nOptions:\n  --vs-txt-only      Delete only .txt files from the Vector Store (server-side)\n  --delete-txt       Delete all local .txt files (default dir: data/tmp_uploads)\n  --txt-dir <path>   Override the directory to search for local .txt files\n  -h, --help         Show this help message`);
+    console.log(`Usage:\n  node scripts/cleanup-storage.js [--index <name>] [--dry-run] [--yes] [--prefix <name>] [--purpose assistants]\n    [--vs-txt-only] [--delete-txt] [--txt-dir <path>] [--all-files] [--delete-store] [--report <file>]\n\nDetaches every file from the index's Vector Store and deletes the uploaded files this\nindex uploaded (in its upload log or manifest, or attached to its Vector Store). Other files in\nthe account are never touched unless --all-files is given.\n\nOptions:\n  --index <name>     Named index from indexes.json (default: the default index)\n  --dry-run          List what would be deleted, delete nothing\n  -y, --yes          Delete without asking (required when not run from a terminal)\n  --prefix <name>    Extra filter within that scope: only filenames starting with this\n                     prefix (uploads are named <post_id>.json or comment-<id>.json)\n  --purpose <name>   Files API purpose to consider (default: ${DEFAULT_PURPOSE})\n  --vs-txt-only      Delete only .txt files from the Vector Store (server-side)\n  --delete-txt       Delete all local .txt files (default dir: data/tmp_uploads)\n  --txt-dir <path>   Override the directory to search for local .txt files\n  --all-files        Every file of the purpose, including files of other applications\n  --delete-store     Also delete the Vector Store itself (a new one is needed before the next sync)\n  --report <file>    Where to write the JSON report (default: ${DEFAULT_REPORT_FILE})\n  -h, --help         Show this help message`);
     process.exit(0);
   }
-  cleanup({ deleteTxt: args.deleteTxt, txtDir: args.txtDir, vsTxtOnly: args.vsTxtOnly });
+  cleanup(args);
 }
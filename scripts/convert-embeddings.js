@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+import { config } from 'dotenv';
+import path from 'path';
+import { readLegacyEmbeddings, writeEmbeddingStore, LEGACY_FILENAME } from '../lib/embedding_store.js';
+import { resolveIndex, indexNameFromArgv } from '../lib/indexes.js';
+
+config();
+
+// --index <name> selects a named index; its settings override the environment
+let INDEX;
+try {
+  INDEX = resolveIndex(indexNameFromArgv(process.argv));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const DATA_DIR = INDEX.dataDir;
+
+/**
+ * Parse CLI arguments
+ */
+function parseArgs(argv) {
+  const args = { input: path.join(DATA_DIR, LEGACY_FILENAME), outDir: DATA_DIR, help: false };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--input' || a === '-i') {
+      args.input = argv[i + 1];
+      i++;
+    } else if (a === '--out-dir' || a === '-o') {
+      args.outDir = argv[i + 1];
+      i++;
+    } else if (a === '--index') {
+      i++; // resolved at startup
+    } else if (a === '--help' || a === '-h') {
+      args.help = true;
+    }
+  }
+  return args;
+}
+
+/**
+ * Convert a legacy JSON index into the binary store
+ */
+async function convert({ input, outDir }) {
+  try {
+    console.log(`Reading legacy index: ${input}`);
+    const { meta, documents, vectors, dimensions, count } = await readLegacyEmbeddings(input);
+    const embeddings = Array.from({ length: count }, (_, i) => vectors.subarray(i * dimensions, (i + 1) * dimensions));
+
+    const { created_at, total_documents, normalized, ...rest } = meta;
+    const written = await writeEmbeddingStore(outDir, {
+      documents,
+      vectors: embeddings,
+      meta: { ...rest, converted_from: input, source_created_at: created_at }
+    });
+
+    console.log(`✅ Converted ${count} documents (${dimensions} dimensions)`);
+    console.log(`  Vectors:  ${written.vectorsPath}`);
+    console.log(`  Metadata: ${written.metaPath}`);
+    console.log(`💡 ${input} is no longer read once the binary store exists; you can delete it.`);
+  } catch (error) {
+    console.error('❌ Conversion failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run conversion if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    console.log(`Usage:\n  node scripts/convert-embeddings.js [--index <name>] [--input <file>] [--out-dir <dir>]\n\nConverts a legacy JSON embeddings index into embeddings.bin + embeddings.meta.json.\n\nOptions:\n  --index <name>         Named index from indexes.json; its data directory is the default\n                         for both options below (default index: data)\n  -i, --input <file>     Legacy JSON index (default: <data dir>/embeddings.json)\n  -o, --out-dir <dir>    Directory for the binary store (default: <data dir>)\n  -h, --help             Show this help message`);
+    process.exit(0);
+  }
+  convert(args);
+}
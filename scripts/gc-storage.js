@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+
+import { config } from 'dotenv';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { resolveIndex, listIndexes, indexNameFromArgv } from '../lib/indexes.js';
+import { loadEmbeddingStore } from '../lib/embedding_store.js';
+import { itemKey } from '../lib/wordpress.js';
+import { createOpenAIClient, listVectorStoreFiles, keyFromFilename, deleteVectorStoreFiles } from '../lib/vector_store_files.js';
+import { loadManifest, saveManifest, loadUploadLog, compactUploadLog } from '../lib/vector_store_manifest.js';
+import { formatBytes, confirm } from '../lib/cli_utils.js';
+
+// Garbage collection for OpenAI storage: finds what the indexing scripts
+// left behind by cross-referencing the Files API, the vector store file
+// lists of every configured index, the manifests and the local index.
+//
+//   unattached  uploaded for a configured index (in its upload log) at least
+//               --min-age hours ago, but attached to no configured vector store
+//   orphaned    attached, but the post is gone from the local index, or a
+//               superseded upload of an item the manifest maps to another file
+//   failed      vector store files whose processing failed or was cancelled
+//   tmp_uploads leftovers of the old temp-file upload in <data_dir>/tmp_uploads
+//
+// Nothing is deleted unless --delete names the categories to remove.
+
+config();
+
+// --index <name> selects a named index; its settings override the environment
+let INDEX;
+try {
+  INDEX = resolveIndex(indexNameFromArgv(process.argv));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const VECTOR_STORE_ID = INDEX.env.OPENAI_VECTOR_STORE_ID;
+// With --json, progress goes to stderr so stdout stays parseable
+const log = process.argv.includes('--json') ? console.error : console.log;
+const CATEGORIES = ['unattached', 'orphaned', 'failed', 'tmp_uploads'];
+// Younger files may belong to a sync that has uploaded but not yet attached them
+const DEFAULT_MIN_AGE_HOURS = 24;
+const DESCRIPTIONS = {
+  unattached: 'Uploaded for an index, attached to no vector store',
+  orphaned: 'Attached, post no longer indexed',
+  failed: 'Failed in the vector store',
+  tmp_uploads: 'Local temp upload files',
+};
+
+/**
+ * Vector store file IDs in use by any configured index (attached or tracked
+ * in its manifest), so files of other indexes are never called unattached
+ */
+async function filesInUse(client) {
+  const inUse = new Set();
+  const stores = new Set(listIndexes().map(index => index.env.OPENAI_VECTOR_STORE_ID).filter(Boolean));
+  for (const vectorStoreId of stores) {
+    for (const fileId of (await listVectorStoreFiles(client, vectorStoreId)).keys()) inUse.add(fileId);
+  }
+  for (const index of listIndexes()) {
+    const manifest = await loadManifest(index.dataDir, index.env.OPENAI_VECTOR_STORE_ID).catch(() => null);
+    for (const entry of Object.values(manifest?.items || {})) inUse.add(entry.file_id);
+  }
+  return inUse;
+}
+
+/**
+ * Files uploaded for any configured index: its upload log and the files its
+ * manifest tracks. Only these can be unattached garbage; other files in the
+ * account belong to other applications (or to syncs from before the log).
+ */
+async function uploadedFiles() {
+  const uploaded = new Set();
+  for (const index of listIndexes()) {
+    for (const fileId of (await loadUploadLog(index.dataDir)).keys()) uploaded.add(fileId);
+    const manifest = await loadManifest(index.dataDir, index.env.OPENAI_VECTOR_STORE_ID).catch(() => null);
+    for (const entry of Object.values(manifest?.items || {})) uploaded.add(entry.file_id);
+  }
+  return uploaded;
+}
+
+/**
+ * Keys of the items in the local index, and when it was built; null when it is not built
+ */
+async function localIndexKeys() {
+  const store = await loadEmbeddingStore(INDEX.dataDir).catch(() => null);
+  if (!store) return null;
+  const keys = new Set(store.documents
+    .filter(doc => doc.metadata?.post_id !== undefined)
+    .map(doc => itemKey(doc.metadata.post_type, doc.metadata.post_id)));
+  return { keys, builtAt: Date.parse(store.meta.created_at) / 1000 || 0 };
+}
+
+async function listTmpUploads() {
+  const dir = path.resolve(INDEX.dataDir, 'tmp_uploads');
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return Promise.all(entries.filter(ent => ent.isFile()).map(async ent => {
+      const file = path.join(dir, ent.name);
+      return { path: file, filename: ent.name, bytes: (await fs.stat(file)).size };
+    }));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Find garbage in every category
+ * @param {Object} options
+ * @param {number} options.minAgeHours - Unattached files must be at least this old
+ * @returns {Promise<{ garbage: Object<string, Object[]>, listing: Object }>} category -> entries with
+ *   file_id/path, filename, bytes and reason; the IDs of all files in Files storage and when they were listed
+ */
+async function findGarbage(client, { minAgeHours }) {
+  const garbage = Object.fromEntries(CATEGORIES.map(category => [category, []]));
+  const listedAt = new Date().toISOString();
+
+  log('Listing OpenAI Files storage...');
+  const files = new Map();
+  for await (const file of client.files.list({ purpose: 'assistants', limit: 10000 })) files.set(file.id, file);
+
+  log('Listing vector store files of every configured index...');
+  const inUse = await filesInUse(client);
+  const uploaded = await uploadedFiles();
+  const cutoff = Date.now() / 1000 - minAgeHours * 3600;
+  let young = 0;
+  for (const file of files.values()) {
+    if (inUse.has(file.id) || !uploaded.has(file.id)) continue;
+    if (file.created_at > cutoff) {
+      young += 1;
+      continue;
+    }
+    garbage.unattached.push({ file_id: file.id, filename: file.filename, bytes: file.bytes || 0, reason: 'not attached to any configured vector store' });
+  }
+  if (young > 0) log(`ℹ️  ${young} unattached upload(s) younger than ${minAgeHours}h skipped (a sync may still attach them)`);
+
+  if (VECTOR_STORE_ID) {
+    const attached = await listVectorStoreFiles(client, VECTOR_STORE_ID);
+    const manifest = await loadManifest(INDEX.dataDir, VECTOR_STORE_ID);
+    const local = await localIndexKeys();
+    if (!local) log(`ℹ️  Local index of ${INDEX.name} not built; orphan detection uses the manifest only`);
+
+    for (const file of attached.values()) {
+      const filename = files.get(file.id)?.filename || null;
+      const entry = { file_id: file.id, filename, bytes: file.usage_bytes || files.get(file.id)?.bytes || 0 };
+      const attributes = file.attributes || {};
+      const key = attributes.post_id !== undefined ? itemKey(attributes.post_type, attributes.post_id) : keyFromFilename(filename);
+
+      if (file.status === 'failed' || file.status === 'cancelled') {
+        garbage.failed.push({ ...entry, reason: `${file.status}${file.last_error ? `: ${file.last_error.message}` : ''}` });
+      } else if (!key) {
+        continue; // Not uploaded by this tool
+      } else if (manifest?.items[key] && manifest.items[key].file_id !== file.id) {
+        garbage.orphaned.push({ ...entry, key, reason: `superseded by ${manifest.items[key].file_id}` });
+      } else if (local && !local.keys.has(key) && file.created_at < local.builtAt) {
+        // Only files older than the local index: newer posts may not be indexed locally yet
+        garbage.orphaned.push({ ...entry, key, reason: 'post not in the local index' });
+      }
+    }
+  }
+
+  garbage.tmp_uploads = (await listTmpUploads()).map(file => ({ ...file, reason: 'no longer used by build-index-vs.js' }));
+  return { garbage, listing: { stored: new Set(files.keys()), listedAt } };
+}
+
+function printGarbage(garbage) {
+  console.log(`\n🗑️  Storage garbage for index ${INDEX.name}${VECTOR_STORE_ID ? ` (Vector Store ${VECTOR_STORE_ID})` : ''}:`);
+  for (const category of CATEGORIES) {
+    const entries = garbage[category];
+    const bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    console.log(`\n  ${category} — ${DESCRIPTIONS[category]}: ${entries.length} (${formatBytes(bytes)})`);
+    for (const entry of entries.slice(0, 20)) {
+      console.log(`    - ${entry.file_id ? `${entry.file_id} ${entry.filename || '(unnamed)'}` : entry.path} (${formatBytes(entry.bytes)}) ${entry.reason}`);
+    }
+    if (entries.length > 20) console.log(`    ... and ${entries.length - 20} more`);
+  }
+}
+
+/**
+ * Delete the garbage of the given categories; manifest entries pointing at
+ * deleted files are dropped, so the next sync uploads those items again, and
+ * the upload logs forget files that are gone from Files storage
+ * @param {{ stored: Set<string>, listedAt: string }} listing - From findGarbage
+ * @returns {Promise<{ deleted: number, failed: number }>}
+ */
+async function deleteGarbage(client, garbage, categories, { stored, listedAt }) {
+  let deleted = 0;
+  let failed = 0;
+  const gone = new Set();
+  const record = async (entry, fn) => {
+    try {
+      await fn();
+      deleted += 1;
+      if (entry.file_id) gone.add(entry.file_id);
+      console.log(`  ✅ Deleted ${entry.file_id || entry.path}`);
+    } catch (error) {
+      failed += 1;
+      console.error(`  ❌ Failed to delete ${entry.file_id || entry.path}: ${error.message}`);
+    }
+  };
+
+  for (const category of categories) {
+    if (garbage[category].length > 0) console.log(`\nDeleting ${category}...`);
+    for (const entry of garbage[category]) {
+      if (category === 'tmp_uploads') {
+        await record(entry, () => fs.unlink(entry.path));
+      } else if (category === 'unattached') {
+        await record(entry, () => client.files.delete(entry.file_id));
+      } else {
+        await record(entry, () => deleteVectorStoreFiles(client, VECTOR_STORE_ID, [entry.file_id]));
+      }
+    }
+  }
+
+  const manifest = VECTOR_STORE_ID ? await loadManifest(INDEX.dataDir, VECTOR_STORE_ID) : null;
+  if (manifest && (categories.includes('failed') || categories.includes('orphaned'))) {
+    const removed = new Set([...garbage.failed, ...garbage.orphaned].map(entry => entry.file_id));
+    for (const [key, entry] of Object.entries(manifest.items)) {
+      if (removed.has(entry.file_id)) delete manifest.items[key];
+    }
+    await saveManifest(INDEX.dataDir, manifest);
+  }
+
+  // Uploads recorded after the listing are kept: their files were not in it yet
+  const keep = upload => (stored.has(upload.file_id) && !gone.has(upload.file_id)) || upload.uploaded_at >= listedAt;
+  for (const index of listIndexes()) await compactUploadLog(index.dataDir, keep);
+  return { deleted, failed };
+}
+
+/**
+ * Parse CLI arguments
+ */
+function parseArgs(argv) {
+  const args = { delete: [], yes: false, json: false, minAgeHours: DEFAULT_MIN_AGE_HOURS, help: false };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--delete') {
+      args.delete.push(...String(argv[i + 1] || '').split(',').map(v => v.trim()).filter(Boolean));
+      i++;
+    } else if (a === '--min-age') {
+      args.minAgeHours = Number(argv[i + 1]);
+      i++;
+    } else if (a === '--yes' || a === '-y') {
+      args.yes = true;
+    } else if (a === '--json') {
+      args.json = true;
+    } else if (a === '--index') {
+      i++; // resolved at startup
+    } else if (a === '--help' || a === '-h') {
+      args.help = true;
+    }
+  }
+  if (args.delete.includes('all')) args.delete = [...CATEGORIES];
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    console.log(`Usage:\n  node scripts/gc-storage.js [--index <name>] [--json] [--min-age <hours>] [--delete <category,...>|all] [--yes]\n\nLists OpenAI storage this tool left behind, grouped by category with sizes:\n${CATEGORIES.map(category => `  ${category.padEnd(12)} ${DESCRIPTIONS[category]}`).join('\n')}\n\nOptions:\n  --index <name>        Named index from indexes.json (default: the default index)\n  --json                Print the findings as JSON\n  --min-age <hours>     Unattached uploads must be at least this old (default: ${DEFAULT_MIN_AGE_HOURS})\n  --delete <categories> Delete these categories (comma-separated, or "all")\n  -y, --yes             Delete without asking (required when not run from a terminal)\n  -h, --help            Show this help message`);
+    process.exit(0);
+  }
+  const unknown = args.delete.filter(category => !CATEGORIES.includes(category));
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown category: ${unknown.join(', ')} (expected: ${CATEGORIES.join(', ')}, all)`);
+    process.exit(1);
+  }
+  if (!(args.minAgeHours >= 0)) {
+    console.error('❌ --min-age must be a number of hours (0 or more)');
+    process.exit(1);
+  }
+  if (!INDEX.env.OPENAI_API_KEY) {
+    console.error('❌ Missing OPENAI_API_KEY in .env');
+    process.exit(1);
+  }
+
+  try {
+    const client = createOpenAIClient(INDEX.env);
+    const { garbage, listing } = await findGarbage(client, { minAgeHours: args.minAgeHours });
+    if (args.json) {
+      console.log(JSON.stringify({ index: INDEX.name, vector_store_id: VECTOR_STORE_ID || null, min_age_hours: args.minAgeHours, ...garbage }, null, 2));
+    } else {
+      printGarbage(garbage);
+    }
+    if (args.delete.length === 0) return;
+
+    const total = args.delete.reduce((sum, category) => sum + garbage[category].length, 0);
+    if (total === 0) {
+      console.log('\n✅ Nothing to delete.');
+      return;
+    }
+    if (!args.yes && !await confirm(`\nDelete ${total} item(s) in ${args.delete.join(', ')}?`)) {
+      console.log('Aborted, nothing was deleted');
+      return;
+    }
+    const { deleted, failed } = await deleteGarbage(client, garbage, args.delete, listing);
+    console.log(`\n📊 Deleted ${deleted} item(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+    if (failed > 0) process.exit(1);
+  } catch (error) {
+    console.error('❌ Garbage collection failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+import { config } from 'dotenv';
+import { readEmbeddingStore, vectorAt, dotAt } from '../lib/embedding_store.js';
+import { buildHnsw, searchHnsw, loadHnswIndex, hnswFromEnv } from '../lib/hnsw.js';
+import { resolveIndex, indexNameFromArgv } from '../lib/indexes.js';
+
+config();
+
+// --index <name> selects a named index; its settings override the environment
+let INDEX;
+try {
+  INDEX = resolveIndex(indexNameFromArgv(process.argv));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const DATA_DIR = INDEX.dataDir;
+
+/**
+ * Parse CLI arguments
+ */
+function parseArgs(argv) {
+  const defaults = hnswFromEnv(INDEX.env);
+  const args = {
+    queries: 100,
+    k: 10,
+    efValues: [16, 32, 64, 128, 256],
+    rebuild: false,
+    M: defaults.M,
+    efConstruction: defaults.efConstruction,
+    help: false
+  };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--queries') {
+      args.queries = Number(argv[i + 1]) || args.queries;
+      i++;
+    } else if (a === '--k' || a === '--topk') {
+      args.k = Number(argv[i + 1]) || args.k;
+      i++;
+    } else if (a === '--ef') {
+      args.efValues = String(argv[i + 1]).split(',').map(Number).filter(v => v > 0);
+      i++;
+    } else if (a === '--rebuild') {
+      args.rebuild = true;
+    } else if (a === '--M') {
+      args.M = Number(argv[i + 1]) || args.M;
+      i++;
+    } else if (a === '--ef-construction') {
+      args.efConstruction = Number(argv[i + 1]) || args.efConstruction;
+      i++;
+    } else if (a === '--index') {
+      i++; // resolved at startup
+    } else if (a === '--help' || a === '-h') {
+      args.help = true;
+    }
+  }
+  return args;
+}
+
+/**
+ * Exact top-k indices by dot product
+ */
+function exactTopK(store, query, k) {
+  const scored = [];
+  for (let i = 0; i < store.count; i++) scored.push({ index: i, score: dotAt(store, i, query) });
+  return scored.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+/**
+ * Compare HNSW results with the exact scan, using stored vectors as queries
+ */
+async function measureRecall(opts) {
+  const { queries, k, efValues, rebuild, M, efConstruction } = opts;
+  try {
+    const store = await readEmbeddingStore(DATA_DIR);
+    if (!store || store.count === 0) {
+      console.log(`No embeddings found in ${DATA_DIR}. Run: node scripts/build-index.js${INDEX.isDefault ? '' : ` --index ${INDEX.name}`}`);
+      process.exit(1);
+    }
+
+    let graph = rebuild ? null : await loadHnswIndex(DATA_DIR, store);
+    if (!graph) {
+      console.log(`${rebuild ? 'Building' : 'No matching HNSW index on disk, building'} a temporary graph (M=${M}, efConstruction=${efConstruction})...`);
+      const startTime = Date.now();
+      graph = buildHnsw(store, { M, efConstruction });
+      console.log(`Built in ${Date.now() - startTime}ms (not saved; use build-index.js --hnsw to persist)`);
+    } else {
+      console.log(`Using HNSW index from ${DATA_DIR} (M=${graph.M}, efConstruction=${graph.efConstruction})`);
+    }
+
+    // Evenly spaced sample of stored vectors as queries
+    const sampleSize = Math.min(queries, store.count);
+    const sample = Array.from({ length: sampleSize }, (_, i) => Math.floor(i * store.count / sampleSize));
+
+    let exactTime = 0;
+    const truth = sample.map(index => {
+      const startTime = process.hrtime.bigint();
+      const top = exactTopK(store, vectorAt(store, index), k);
+      exactTime += Number(process.hrtime.bigint() - startTime) / 1e6;
+      return new Set(top.map(hit => hit.index));
+    });
+
+    console.log(`\n📊 Recall@${k} over ${sampleSize} queries (${store.count} vectors, ${store.dimensions} dimensions)`);
+    console.log(`  exact scan:      recall 1.000  avg ${(exactTime / sampleSize).toFixed(2)}ms`);
+    for (const ef of efValues) {
+      let found = 0;
+      let annTime = 0;
+      sample.forEach((index, q) => {
+        const startTime = process.hrtime.bigint();
+        const top = searchHnsw(graph, store, vectorAt(store, index), k, ef);
+        annTime += Number(process.hrtime.bigint() - startTime) / 1e6;
+        found += top.filter(hit => truth[q].has(hit.index)).length;
+      });
+      const recall = found / (sampleSize * Math.min(k, store.count));
+      console.log(`  efSearch=${String(ef).padEnd(5)} recall ${recall.toFixed(3)}  avg ${(annTime / sampleSize).toFixed(2)}ms`);
+    }
+    console.log('\n💡 Set HNSW_EF_SEARCH to the smallest efSearch with acceptable recall.');
+  } catch (error) {
+    console.error('❌ Recall measurement failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    console.log(`Usage:\n  node scripts/hnsw-recall.js [--index <name>] [--queries 100] [--k 10] [--ef 16,32,64,128,256] [--rebuild --M 16 --ef-construction 200]\n\nMeasures HNSW recall against the exact scan, using stored vectors as queries.\n\nOptions:\n  --index <name>          Named index from indexes.json (default: the default index)\n  --queries <n>           Number of sampled queries (default: 100)\n  --k, --topk <n>         Neighbors compared per query (default: 10)\n  --ef <list>             Comma-separated efSearch values to try\n  --rebuild               Build a temporary graph instead of using the saved one\n  --M <n>                 M for a temporary graph (default: HNSW_M or 16)\n  --ef-construction <n>   efConstruction for a temporary graph (default: HNSW_EF_CONSTRUCTION or 200)\n  -h, --help              Show this help message`);
+    process.exit(0);
+  }
+  measureRecall(args);
+}
@@ -5,7 +5,7 @@ import { semanticSearch, formatSearchResults } from '../lib/search.js';
 config();
 
 function parseArgs(argv) {
-  const args = { top_k: 10, query: '', format: 'json', pretty: false };
+  const args = { top_k: 10, query: '', format: 'json', pretty: false, mode: undefined, index: undefined, filters: {} };
   const rest = [];
   for (let i = 2; i < argv.length; i++) {
     const a = argv[i];
@@ -13,6 +13,30 @@ function parseArgs(argv) {
       const v = Number(argv[i + 1]);
       if (!Number.isNaN(v)) args.top_k = v;
       i++;
+    } else if (a === '--mode') {
+      args.mode = argv[i + 1];
+      i++;
+    } else if (a === '--index') {
+      args.index = argv[i + 1];
+      i++;
+    } else if (a === '--from') {
+      args.filters.date_from = argv[i + 1];
+      i++;
+    } else if (a === '--to') {
+      args.filters.date_to = argv[i + 1];
+      i++;
+    } else if (a === '--category') {
+      args.filters.categories = [...(args.filters.categories || []), argv[i + 1]];
+      i++;
+    } else if (a === '--tag') {
+      args.filters.tags = [...(args.filters.tags || []), argv[i + 1]];
+      i++;
+    } else if (a === '--author') {
+      args.filters.author = argv[i + 1];
+      i++;
+    } else if (a === '--type') {
+      args.filters.post_type = argv[i + 1];
+      i++;
     } else if (a === '--json') {
       args.format = 'json';
     } else if (a === '--text') {
@@ -30,14 +54,14 @@ function parseArgs(argv) {
 }
 
 async function main() {
-  const { query, top_k, help, format, pretty } = parseArgs(process.argv);
+  const { query, top_k, help, format, pretty, mode, index, filters } = parseArgs(process.argv);
   if (help || !query) {
-    console.log(`Usage:\n  node scripts/search-cli.js "<your query>" [--topk 5] [--json|--text] [--pretty]\n\nFlags:\n  --topk, --top_k   Number of results (default: 10)\n  --json            Output raw JSON (default)\n  --text            Output human-readable text\n  --pretty          Pretty-print JSON (works with --json)\n\nExamples:\n  node scripts/search-cli.js "AI 技术"\n  node scripts/search-cli.js "人工智能 应用" --topk 5 --json --pretty\n  node scripts/search-cli.js "ChinaJoy" --text`);
+    console.log(`Usage:\n  node scripts/search-cli.js "<your query>" [--topk 5] [--mode vector|keyword|hybrid] [--index <name>] [filters] [--json|--text] [--pretty]\n\nFlags:\n  --topk, --top_k   Number of results (default: 10)\n  --mode            Ranking mode: vector, keyword (BM25) or hybrid (default: SEARCH_MODE or vector)\n  --index           Named index from indexes.json (default: the default index)\n\nFilters (applied before ranking):\n  --from <date>     Posts published on or after YYYY-MM-DD\n  --to <date>       Posts published on or before YYYY-MM-DD\n  --category <name> Posts in this category (repeatable, any match)\n  --tag <name>      Posts with this tag (repeatable, any match)\n  --author <name>   Posts by this author\n  --type <type>     Post type, e.g. post or page\n\nOutput:\n  --json            Output raw JSON (default)\n  --text            Output human-readable text\n  --pretty          Pretty-print JSON (works with --json)\n\nExamples:\n  node scripts/search-cli.js "AI 技术"\n  node scripts/search-cli.js "人工智能 应用" --topk 5 --json --pretty\n  node scripts/search-cli.js "AI" --from 2023-01-01 --to 2023-12-31 --category Tech\n  node scripts/search-cli.js "ChinaJoy" --text --mode hybrid`);
     process.exit(help ? 0 : 1);
   }
 
   try {
-    const results = await semanticSearch(query, top_k);
+    const results = await semanticSearch(query, top_k, { mode, filters, index });
     if (format === 'text') {
       const text = formatSearchResults(results);
       console.log(text);
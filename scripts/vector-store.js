@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+import { config } from 'dotenv';
+import { promises as fs } from 'fs';
+import { resolveIndex, updateIndexConfig, indexNameFromArgv, missingSettingMessage } from '../lib/indexes.js';
+import { createOpenAIClient, staticChunkingStrategy, vsChunkingFromEnv, chunkingLabel } from '../lib/vector_store_files.js';
+import { loadManifest } from '../lib/vector_store_manifest.js';
+import { formatBytes } from '../lib/cli_utils.js';
+
+// Vector store lifecycle: create a store (name, expiration, chunking),
+// inspect one, list them, and point the active config at a store.
+//
+//   node scripts/vector-store.js create --name "Blog" --expires-days 30 --max-chunk-tokens 600 --write-config
+//   node scripts/vector-store.js inspect [--id vs_...]
+//   node scripts/vector-store.js list
+//   node scripts/vector-store.js use vs_...
+//
+// OpenAI applies a chunking strategy when files are attached, not per store,
+// so --write-config also stores the chunk sizes for build-index-vs.js.
+
+config();
+
+// --index <name> selects a named index; its settings override the environment
+let INDEX;
+try {
+  INDEX = resolveIndex(indexNameFromArgv(process.argv));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const ENV_FILE = '.env';
+
+function formatTime(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : '-';
+}
+
+/**
+ * Set variables in a dotenv file, replacing existing (also commented-out)
+ * lines and appending the rest
+ */
+async function updateEnvFile(file, values) {
+  let text = '';
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const lines = text.split('\n');
+  for (const [name, value] of Object.entries(values)) {
+    const line = `${name}=${value}`;
+    const at = lines.findIndex(existing => new RegExp(`^\\s*#?\\s*${name}=`).test(existing));
+    if (at >= 0) lines[at] = line;
+    else lines.splice(lines[lines.length - 1] === '' ? lines.length - 1 : lines.length, 0, line);
+  }
+  await fs.writeFile(file, lines.join('\n'));
+  return file;
+}
+
+/**
+ * Point the active index at a vector store (and chunk sizes): its entry in
+ * indexes.json when one is configured, otherwise .env
+ */
+async function writeConfig(vectorStoreId, chunkingStrategy) {
+  const chunk = chunkingStrategy?.static;
+  const file = updateIndexConfig(INDEX.name, {
+    vector_store_id: vectorStoreId,
+    ...(chunk && { vs_chunk_max_tokens: chunk.max_chunk_size_tokens, vs_chunk_overlap_tokens: chunk.chunk_overlap_tokens })
+  }) || await updateEnvFile(ENV_FILE, {
+    OPENAI_VECTOR_STORE_ID: vectorStoreId,
+    ...(chunk && { VS_CHUNK_MAX_TOKENS: chunk.max_chunk_size_tokens, VS_CHUNK_OVERLAP_TOKENS: chunk.chunk_overlap_tokens })
+  });
+  console.log(`💾 ${file}: index ${INDEX.name} now uses ${vectorStoreId}`);
+}
+
+async function createStore(client, args) {
+  if (!args.name) throw new Error('create needs --name');
+  const chunkingStrategy = args.maxChunkTokens !== undefined
+    ? staticChunkingStrategy(args.maxChunkTokens, args.chunkOverlapTokens)
+    : null;
+  if (args.expiresDays !== undefined && !(Number.isInteger(args.expiresDays) && args.expiresDays >= 1 && args.expiresDays <= 365)) {
+    throw new Error(`--expires-days must be 1-365 (got ${args.expiresDays})`);
+  }
+
+  const store = await client.vectorStores.create({
+    name: args.name,
+    ...(args.expiresDays !== undefined && { expires_after: { anchor: 'last_active_at', days: args.expiresDays } }),
+    metadata: { index: INDEX.name, ...(chunkingStrategy && { chunking: chunkingLabel(chunkingStrategy) }) }
+  });
+  console.log(`✅ Created Vector Store ${store.id} ("${store.name}")`);
+  if (args.expiresDays !== undefined) console.log(`   Expires after ${args.expiresDays} day(s) without use`);
+  console.log(`   Chunking: ${chunkingStrategy ? `${chunkingLabel(chunkingStrategy)} tokens (max/overlap)` : 'auto'}`);
+
+  if (args.writeConfig) {
+    await writeConfig(store.id, chunkingStrategy);
+  } else {
+    console.log(`ℹ️  Set OPENAI_VECTOR_STORE_ID=${store.id}${chunkingStrategy ? ` VS_CHUNK_MAX_TOKENS=${chunkingStrategy.static.max_chunk_size_tokens} VS_CHUNK_OVERLAP_TOKENS=${chunkingStrategy.static.chunk_overlap_tokens}` : ''} (or pass --write-config)`);
+  }
+  return store;
+}
+
+async function inspectStore(client, args) {
+  const vectorStoreId = args.id || INDEX.env.OPENAI_VECTOR_STORE_ID;
+  if (!vectorStoreId) throw new Error(`No vector store: pass --id (${missingSettingMessage(INDEX, 'vector_store_id')})`);
+  const store = await client.vectorStores.retrieve(vectorStoreId);
+  const manifest = await loadManifest(INDEX.dataDir, vectorStoreId).catch(() => null);
+  if (args.json) {
+    console.log(JSON.stringify({ ...store, manifest_items: manifest ? Object.keys(manifest.items).length : null }, null, 2));
+    return;
+  }
+
+  const counts = store.file_counts || {};
+  console.log(`📊 Vector Store ${store.id}${store.name ? ` ("${store.name}")` : ''}`);
+  console.log(`  Status: ${store.status}`);
+  console.log(`  Files: ${counts.total ?? 0} total, ${counts.completed ?? 0} completed, ${counts.in_progress ?? 0} in progress, ${counts.failed ?? 0} failed, ${counts.cancelled ?? 0} cancelled`);
+  console.log(`  Usage: ${formatBytes(store.usage_bytes)}`);
+  console.log(`  Created: ${formatTime(store.created_at)}, last active: ${formatTime(store.last_active_at)}`);
+  console.log(`  Expiration: ${store.expires_after ? `${store.expires_after.days} day(s) after ${store.expires_after.anchor}, at ${formatTime(store.expires_at)}` : 'never'}`);
+  if (vectorStoreId === INDEX.env.OPENAI_VECTOR_STORE_ID) {
+    const chunkingStrategy = vsChunkingFromEnv(INDEX.env);
+    console.log(`  Chunking for new files (index ${INDEX.name}): ${chunkingStrategy ? `${chunkingLabel(chunkingStrategy)} tokens` : 'auto'}`);
+  }
+  console.log(`  Manifest: ${manifest ? `${Object.keys(manifest.items).length} item(s)` : 'none for this store'}`);
+}
+
+async function listStores(client, args) {
+  const stores = [];
+  for await (const store of client.vectorStores.list({ limit: 100 })) stores.push(store);
+  if (args.json) {
+    console.log(JSON.stringify(stores, null, 2));
+    return;
+  }
+  if (stores.length === 0) console.log('No vector stores');
+  for (const store of stores) {
+    const active = store.id === INDEX.env.OPENAI_VECTOR_STORE_ID ? ' ← active' : '';
+    console.log(`${store.id}  ${store.name || '(unnamed)'}  ${store.status}, ${store.file_counts?.total ?? 0} files, ${formatBytes(store.usage_bytes)}${active}`);
+  }
+}
+
+async function useStore(client, args) {
+  if (!args.id) throw new Error('use needs a vector store ID');
+  const store = await client.vectorStores.retrieve(args.id);
+  await writeConfig(store.id, null);
+}
+
+const COMMANDS = { create: createStore, inspect: inspectStore, list: listStores, use: useStore };
+
+/**
+ * Parse CLI arguments
+ */
+function parseArgs(argv) {
+  const args = { command: undefined, id: undefined, json: false, writeConfig: false, help: false };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--name') {
+      args.name = argv[i + 1];
+      i++;
+    } else if (a === '--id') {
+      args.id = argv[i + 1];
+      i++;
+    } else if (a === '--expires-days') {
+      args.expiresDays = Number(argv[i + 1]);
+      i++;
+    } else if (a === '--max-chunk-tokens') {
+      args.maxChunkTokens = Number(argv[i + 1]);
+      i++;
+    } else if (a === '--chunk-overlap-tokens') {
+      args.chunkOverlapTokens = Number(argv[i + 1]);
+      i++;
+    } else if (a === '--write-config') {
+      args.writeConfig = true;
+    } else if (a === '--json') {
+      args.json = true;
+    } else if (a === '--index') {
+      i++; // resolved at startup
+    } else if (a === '--help' || a === '-h') {
+      args.help = true;
+    } else if (!args.command) {
+      args.command = a;
+    } else if (!args.id) {
+      args.id = a;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help || !COMMANDS[args.command]) {
+    console.log(`Usage:\n  node scripts/vector-store.js create --name <name> [--expires-days N] [--max-chunk-tokens N] [--chunk-overlap-tokens N] [--write-config]\n  node scripts/vector-store.js inspect [--id vs_...] [--json]\n  node scripts/vector-store.js list [--json]\n  node scripts/vector-store.js use <vs_...>\n\nOptions:\n  --index <name>            Named index from indexes.json (default: the default index)\n  --expires-days N          Delete the store after N days without use (1-365)\n  --max-chunk-tokens N      Static chunk size for files attached to it (100-4096)\n  --chunk-overlap-tokens N  Overlap between chunks, at most half the chunk size\n  --write-config            Write the new ID (and chunk sizes) into indexes.json or .env\n  --json                    Print the API response as JSON\n  -h, --help                Show this help message`);
+    process.exit(args.help ? 0 : 1);
+  }
+  if (!INDEX.env.OPENAI_API_KEY) {
+    console.error('❌ Missing OPENAI_API_KEY in .env');
+    process.exit(1);
+  }
+
+  try {
+    await COMMANDS[args.command](createOpenAIClient(INDEX.env), args);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
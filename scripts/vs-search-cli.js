@@ -5,7 +5,7 @@ import { vectorStoreSearch } from '../lib/vector_store_search.js';
 config();
 
 function parseArgs(argv) {
-  const args = { top_k: 5, query: '' };
+  const args = { top_k: 5, query: '', index: undefined, filters: {}, options: {} };
   const rest = [];
   for (let i = 2; i < argv.length; i++) {
     const a = argv[i];
@@ -13,6 +13,35 @@ function parseArgs(argv) {
       const v = Number(argv[i + 1]);
       if (!Number.isNaN(v)) args.top_k = v;
       i++;
+    } else if (a === '--index') {
+      args.index = argv[i + 1];
+      i++;
+    } else if (a === '--from') {
+      args.filters.date_from = argv[i + 1];
+      i++;
+    } else if (a === '--to') {
+      args.filters.date_to = argv[i + 1];
+      i++;
+    } else if (a === '--category') {
+      args.filters.categories = [...(args.filters.categories || []), argv[i + 1]];
+      i++;
+    } else if (a === '--type') {
+      args.filters.post_type = argv[i + 1];
+      i++;
+    } else if (a === '--mode') {
+      args.options.mode = argv[i + 1];
+      i++;
+    } else if (a === '--direct') {
+      args.options.mode = 'direct';
+    } else if (a === '--min-score') {
+      const v = Number(argv[i + 1]);
+      if (!Number.isNaN(v)) args.options.min_score = v;
+      i++;
+    } else if (a === '--ranker') {
+      args.options.ranker = argv[i + 1];
+      i++;
+    } else if (a === '--rewrite') {
+      args.options.rewrite_query = true;
     } else if (a === '--help' || a === '-h') {
       args.help = true;
     } else {
@@ -24,14 +53,14 @@ function parseArgs(argv) {
 }
 
 async function main() {
-  const { query, top_k, help } = parseArgs(process.argv);
+  const { query, top_k, help, index, filters, options } = parseArgs(process.argv);
   if (help || !query) {
-    console.log(`Usage:\n  node scripts/vs-search-cli.js "<your query>" [--topk 5]\n\nExamples:\n  node scripts/vs-search-cli.js "AI 技术"\n  node scripts/vs-search-cli.js "ChinaJoy" --topk 3`);
+    console.log(`Usage:\n  node scripts/vs-search-cli.js "<your query>" [--topk 5] [--index <name>]\n    [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--category <name>]... [--type post]\n    [--mode llm|direct | --direct] [--min-score 0.5] [--ranker auto|none] [--rewrite]\n\nFilters use the file attributes set by build-index-vs.js.\n--direct searches the vector store without a model: real scores and chunk text.\n--rewrite lets OpenAI rewrite the query first (direct mode only).\n\nExamples:\n  node scripts/vs-search-cli.js "AI 技术"\n  node scripts/vs-search-cli.js "ChinaJoy" --topk 3\n  node scripts/vs-search-cli.js "ChinaJoy" --index travel\n  node scripts/vs-search-cli.js "游戏" --category 游戏 --from 2024-01-01\n  node scripts/vs-search-cli.js "AI 技术" --direct --min-score 0.4`);
     process.exit(help ? 0 : 1);
   }
 
   try {
-    const { json } = await vectorStoreSearch(query, top_k);
+    const { json } = await vectorStoreSearch(query, top_k, { index, filters, ...options });
     console.log(JSON.stringify(json, null, 2));
   } catch (err) {
     console.error('Vector Store search failed:', err?.message || err);
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+import { config } from 'dotenv';
+import { startWebhookServer, webhookConfigFromEnv, drainQueues } from '../lib/webhook.js';
+
+config();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--host') {
+      args.host = argv[i + 1];
+      i++;
+    } else if (a === '--port') {
+      args.port = parseInt(argv[i + 1], 10);
+      i++;
+    } else if (a === '--help' || a === '-h') {
+      args.help = true;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { help, ...overrides } = parseArgs(process.argv);
+  if (help) {
+    console.log(`Usage:\n  node scripts/webhook-server.js [--host 127.0.0.1] [--port 3002]\n\nEndpoint:\n  POST /webhook[?index=name]   Signed WordPress change notification; the post is\n                               re-fetched, re-embedded and upserted (or removed) in\n                               the local index and the vector store\n\nEnvironment:\n  WEBHOOK_SECRET (required), WEBHOOK_HOST, WEBHOOK_PORT\n\nExample:\n  BODY='{"action":"update","post_id":123,"post_type":"post"}'\n  SIG=$(printf '%s' "$BODY" | openssl dgst -sha256 -hmac "$WEBHOOK_SECRET" | cut -d' ' -f2)\n  curl -X POST http://127.0.0.1:3002/webhook -H 'Content-Type: application/json' -H "X-Hub-Signature-256: sha256=$SIG" -d "$BODY"`);
+    process.exit(0);
+  }
+
+  const opts = { ...webhookConfigFromEnv(), ...Object.fromEntries(Object.entries(overrides).filter(([, v]) => v)) };
+  let server;
+  try {
+    server = await startWebhookServer(opts);
+  } catch (err) {
+    console.error('Failed to start webhook receiver:', err?.message || err);
+    process.exit(1);
+  }
+
+  // Finish queued updates before exiting, so the store is never left half-applied
+  const shutdown = () => {
+    server.close();
+    drainQueues().finally(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main();
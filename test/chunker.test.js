@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, chunkingFromEnv, estimateTokens, DEFAULT_CHUNKING } from '../lib/chunker.js';
+
+const words = (count, word = 'word') => Array.from({ length: count }, (_, i) => `${word}${i}`).join(' ');
+
+test('estimateTokens: CJK characters and other words count as one each', () => {
+  assert.equal(estimateTokens('Hello, world!'), 2);
+  assert.equal(estimateTokens('人工智能'), 4);
+  assert.equal(estimateTokens('使用 GPT-4o 生成摘要'), 7);
+  assert.equal(estimateTokens('한국어 かな'), 5);
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens(null), 0);
+});
+
+test('chunkText: empty input and short texts', () => {
+  assert.deepEqual(chunkText(''), []);
+  assert.deepEqual(chunkText('  \n\n  '), []);
+  assert.deepEqual(chunkText(null), []);
+  assert.deepEqual(chunkText('  One paragraph.  '), ['One paragraph.']);
+  assert.deepEqual(chunkText('First.\n\nSecond.'), ['First.\n\nSecond.']);
+});
+
+test('chunkText: paragraphs are grouped up to maxTokens', () => {
+  const text = [words(4, 'a'), words(4, 'b'), words(4, 'c')].join('\n\n');
+  assert.deepEqual(chunkText(text, { maxTokens: 8 }), [
+    `${words(4, 'a')}\n\n${words(4, 'b')}`,
+    words(4, 'c')
+  ]);
+  assert.deepEqual(chunkText(text, { maxTokens: 4 }), [words(4, 'a'), words(4, 'b'), words(4, 'c')]);
+});
+
+test('chunkText: headings start a chunk and travel with the next paragraph', () => {
+  const text = ['Intro text.', '# Part one', '## Details', 'Body of part one.', '# Part two', 'Body of part two.'].join('\n\n');
+  assert.deepEqual(chunkText(text, { maxTokens: 100 }), [
+    'Intro text.',
+    '# Part one\n\n## Details\n\nBody of part one.',
+    '# Part two\n\nBody of part two.'
+  ]);
+  // A heading is kept with its paragraph even when that goes over the limit
+  assert.deepEqual(chunkText(`# Title\n\n${words(5)}`, { maxTokens: 5 }), [`# Title\n\n${words(5)}`]);
+});
+
+test('chunkText: a paragraph over the limit falls back to overlapping windows', () => {
+  const long = words(10);
+  const chunks = chunkText(`Before.\n\n${long}\n\nAfter.`, { maxTokens: 4, overlapTokens: 1 });
+  assert.deepEqual(chunks, ['Before.', 'word0 word1 word2 word3', 'word3 word4 word5 word6', 'word6 word7 word8 word9', 'After.']);
+
+  // The heading in front of it goes into the first window
+  const headed = chunkText(`# Heading\n\n${long}`, { maxTokens: 4, overlapTokens: 0 });
+  assert.deepEqual(headed, ['# Heading\n\nword0 word1 word2 word3', 'word4 word5 word6 word7', 'word8 word9']);
+});
+
+test('chunkText: token windows ignore paragraphs', () => {
+  const text = `${words(3, 'a')}\n\n# Heading\n${words(3, 'b')}`;
+  assert.deepEqual(chunkText(text, { strategy: 'tokens', maxTokens: 4, overlapTokens: 2 }), [
+    'a0 a1 a2 #',
+    'a2 # Heading b0',
+    'Heading b0 b1 b2'
+  ]);
+  // CJK text is split by character, and an overlap of maxTokens or more still moves forward
+  assert.deepEqual(chunkText('一二三四五', { strategy: 'tokens', maxTokens: 2, overlapTokens: 5 }), ['一二', '二三', '三四', '四五']);
+  assert.deepEqual(chunkText(words(3), { strategy: 'tokens', maxTokens: 3 }), [words(3)]);
+});
+
+test('chunkText: unknown strategies throw', () => {
+  assert.throws(() => chunkText('text', { strategy: 'sentences' }), /Unknown chunking strategy: sentences/);
+});
+
+test('chunkingFromEnv: defaults and overrides', () => {
+  assert.deepEqual(chunkingFromEnv({}), DEFAULT_CHUNKING);
+  assert.deepEqual(chunkingFromEnv({ CHUNK_STRATEGY: 'tokens', CHUNK_MAX_TOKENS: '200', CHUNK_OVERLAP_TOKENS: '0' }), { strategy: 'tokens', maxTokens: 200, overlapTokens: 0 });
+  assert.deepEqual(chunkingFromEnv({ CHUNK_MAX_TOKENS: 'many', CHUNK_OVERLAP_TOKENS: '' }), DEFAULT_CHUNKING);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate, isValidDate, dateRange } from '../lib/dates.js';
+import { buildMetadataFilter } from '../lib/search.js';
+import { fileSearchFilters } from '../lib/vector_store_search.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('parseDate: dates and date-times, UTC unless a zone is given', () => {
+  assert.equal(parseDate('2024-03-01'), Date.UTC(2024, 2, 1));
+  assert.equal(parseDate('2024-03-01T09:30:15'), Date.UTC(2024, 2, 1, 9, 30, 15));
+  assert.equal(parseDate('2024-03-01 09:30'), Date.UTC(2024, 2, 1, 9, 30));
+  assert.equal(parseDate('2024-03-01T09:30:15.250Z'), Date.UTC(2024, 2, 1, 9, 30, 15, 250));
+  assert.equal(parseDate('2024-03-01T09:30:00+08:00'), Date.UTC(2024, 2, 1, 1, 30));
+  assert.equal(parseDate('2024-03-01T09:30:00-0530'), Date.UTC(2024, 2, 1, 15, 0));
+});
+
+test('parseDate: rejects impossible and malformed dates', () => {
+  for (const value of ['2024-02-30', '2023-02-29', '2024-13-01', '2024-03-01T24:00', '2024-03-01T10:60', '2024-3-1', '01/03/2024', 'yesterday', '', null, 20240301]) {
+    assert.equal(parseDate(value), null, String(value));
+    assert.equal(isValidDate(value), false);
+  }
+  assert.equal(parseDate('2024-02-29'), Date.UTC(2024, 1, 29));
+});
+
+test('dateRange: a date-only date_to includes the whole day', () => {
+  assert.deepEqual(dateRange({}), { from: null, to: null });
+  assert.deepEqual(dateRange({ date_from: '2024-03-01', date_to: '2024-03-31' }), { from: Date.UTC(2024, 2, 1), to: Date.UTC(2024, 2, 31) + DAY_MS - 1 });
+  assert.deepEqual(dateRange({ date_to: '2024-03-31T12:00:00Z' }), { from: null, to: Date.UTC(2024, 2, 31, 12) });
+  assert.throws(() => dateRange({ date_from: '2024-02-30' }), { name: 'SearchError', code: 'invalid_input', message: /date_from/ });
+  assert.throws(() => dateRange({ date_to: 'soon' }), { name: 'SearchError', code: 'invalid_input', message: /date_to/ });
+});
+
+test('buildMetadataFilter: dates compare against the GMT publish date', () => {
+  assert.equal(buildMetadataFilter({}), null);
+  assert.equal(buildMetadataFilter(), null);
+
+  const filter = buildMetadataFilter({ date_from: '2024-01-01', date_to: '2024-01-31' });
+  // Published 2024-01-01 07:30 site-local (UTC+8), which is still 2023 in GMT
+  assert.equal(filter({ wp_date: '2024-01-01T07:30:00', wp_date_gmt: '2023-12-31T23:30:00' }), false);
+  assert.equal(filter({ wp_date: '2024-01-31T23:59:59', wp_date_gmt: '2024-01-31T15:59:59' }), true);
+  // Indexes without GMT dates, and drafts that never had one, use the site-local date
+  assert.equal(filter({ wp_date: '2024-01-15T12:00:00' }), true);
+  assert.equal(filter({ wp_date: '2024-02-01T00:00:00', wp_date_gmt: null }), false);
+  // Posts without a readable date never match a date filter
+  assert.equal(filter({}), false);
+  assert.equal(filter({ wp_date: 'unknown' }), false);
+  assert.throws(() => buildMetadataFilter({ date_from: '2024-02-30' }), { code: 'invalid_input' });
+});
+
+test('buildMetadataFilter: taxonomy, author and post type', () => {
+  const metadata = { categories: ['Tech News'], category_ids: [3], tags: ['AI'], tag_ids: [7], author: 'Yao', post_type: 'post' };
+  const matches = filters => buildMetadataFilter(filters)(metadata);
+
+  assert.equal(matches({ categories: ['tech news'] }), true);
+  assert.equal(matches({ categories: 'Games, 3' }), true);
+  assert.equal(matches({ categories: ['Games'] }), false);
+  assert.equal(matches({ tags: ['ai', 'ml'] }), true);
+  assert.equal(matches({ tags: ['7'] }), true);
+  assert.equal(matches({ author: ' yao ' }), true);
+  assert.equal(matches({ author: 'Lin' }), false);
+  assert.equal(matches({ post_type: ['page', 'POST'] }), true);
+  assert.equal(matches({ post_type: 'page' }), false);
+  // Different conditions must all hold
+  assert.equal(matches({ categories: ['Tech News'], tags: ['Games'] }), false);
+  // Items without a post type are posts
+  assert.equal(buildMetadataFilter({ post_type: 'post' })({}), true);
+});
+
+test('fileSearchFilters: attribute filters for file_search', () => {
+  assert.equal(fileSearchFilters({}), undefined);
+  assert.equal(fileSearchFilters(), undefined);
+  assert.deepEqual(fileSearchFilters({ date_from: '2024-03-01' }), { type: 'gte', key: 'date', value: Date.UTC(2024, 2, 1) / 1000 });
+  assert.deepEqual(fileSearchFilters({ date_from: '2024-03-01', date_to: '2024-03-01', categories: ['Tech News', 'AI'], post_type: 'page' }), {
+    type: 'and',
+    filters: [
+      { type: 'gte', key: 'date', value: Date.UTC(2024, 2, 1) / 1000 },
+      { type: 'lte', key: 'date', value: Date.UTC(2024, 2, 2) / 1000 - 1 },
+      { type: 'or', filters: [{ type: 'eq', key: 'cat_tech news', value: true }, { type: 'eq', key: 'cat_ai', value: true }] },
+      { type: 'eq', key: 'post_type', value: 'page' }
+    ]
+  });
+  assert.throws(() => fileSearchFilters({ date_to: '2024-13-01' }), { name: 'SearchError', code: 'invalid_input' });
+});
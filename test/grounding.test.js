@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalUrl, fileSearchHits, fileCitations, buildGroundingCatalog, groundResults } from '../lib/grounding.js';
+
+test('canonicalUrl: scheme, www, fragment, trailing slash and tracking parameters do not matter', () => {
+  assert.equal(canonicalUrl('https://www.Example.com/2024/ai/#comments'), 'example.com/2024/ai');
+  assert.equal(canonicalUrl('http://example.com/2024/ai?utm_source=feed'), 'example.com/2024/ai');
+  assert.equal(canonicalUrl(' https://example.com/%E4%BA%BA%E5%B7%A5/ '), 'example.com/人工');
+  assert.equal(canonicalUrl('https://example.com/%E4%ZZ'), 'example.com/%E4%ZZ');
+  // Post IDs in the query are kept, whichever parameter carries them
+  assert.equal(canonicalUrl('https://example.com/?p=101&utm_source=feed'), 'example.com?p=101');
+  assert.equal(canonicalUrl('https://example.com/?page_id=7'), 'example.com?p=7');
+  for (const value of ['not a url', '/2024/ai/', '', null, undefined]) {
+    assert.equal(canonicalUrl(value), null, String(value));
+  }
+});
+
+const response = {
+  output: [
+    {
+      type: 'file_search_call',
+      results: [
+        { file_id: 'file-1', filename: '101.json', score: 0.5, text: 'AI 辅助诊断', attributes: { post_id: 101, post_type: 'post', title: 'AI 医疗', link: 'https://www.example.com/ai-health/', date: Date.UTC(2024, 0, 2) / 1000 } },
+        { file_id: 'file-1', filename: '101.json', score: 0.9, text: '人工智能在医疗中的应用', attributes: { post_id: 101, post_type: 'post' } }
+      ]
+    },
+    { type: 'file_search_call' },
+    {
+      type: 'message',
+      content: [{ type: 'output_text', text: '…', annotations: [{ type: 'file_citation', file_id: 'file-3', filename: '103.json' }, { type: 'url_citation', url: 'https://example.com' }] }]
+    }
+  ]
+};
+
+// Post 101 was retrieved, 102 is only in the local store, 103 only in the manifest
+const catalog = buildGroundingCatalog({
+  hits: fileSearchHits(response),
+  documents: [{ metadata: { post_id: 102, post_type: 'post', title: 'ChinaJoy 2024', link: 'https://example.com/chinajoy/', wp_date: '2024-07-26T10:00:00' } }],
+  manifest: { items: { 'post-103': { post_id: 103, post_type: 'post', file_id: 'file-3', filename: '103.json' } } }
+});
+
+test('fileSearchHits and fileCitations: read from the response output', () => {
+  assert.deepEqual(fileSearchHits(response).map(hit => hit.score), [0.5, 0.9]);
+  assert.deepEqual(fileCitations(response), [{ type: 'file_citation', file_id: 'file-3', filename: '103.json' }]);
+  assert.deepEqual(fileSearchHits(null), []);
+  assert.deepEqual(fileCitations({}), []);
+});
+
+test('groundResults: known posts by cited file, link or title, with the real permalink', () => {
+  const { results, ungrounded } = groundResults([
+    { title: 'AI in healthcare', link: 'https://example.com/made-up-slug/', source: '101.json', summary: '…' },
+    { title: 'ChinaJoy', link: 'http://EXAMPLE.com/chinajoy#top' },
+    { title: ' chinajoy  2024 ' },
+    { title: 'Post 101 again', link: 'https://example.com/?p=101' }
+  ], catalog, []);
+
+  assert.equal(ungrounded, 0);
+  assert.equal(results.length, 2);
+  assert.deepEqual(results[0], {
+    title: 'AI 医疗',
+    link: 'https://www.example.com/ai-health/',
+    source: '101.json',
+    summary: '…',
+    post_id: 101,
+    post_type: 'post',
+    date: '2024-01-02',
+    grounded: true,
+    // Without file_citation annotations the best retrieved chunk is cited
+    citations: [{ file_id: 'file-1', filename: '101.json', chunk: '人工智能在医疗中的应用', chunk_score: 0.9 }]
+  });
+  // Found by its link; the same post by title is merged into it
+  assert.equal(results[1].post_id, 102);
+  assert.equal(results[1].title, 'ChinaJoy 2024');
+  assert.equal(results[1].link, 'https://example.com/chinajoy/');
+  assert.equal(results[1].date, '2024-07-26');
+  assert.deepEqual(results[1].citations, []);
+});
+
+test('groundResults: cites the files the answer cited', () => {
+  const { results } = groundResults([{ title: 'Sourdough', link: 'https://example.com/bread/', source: '103.json' }], catalog, fileCitations(response));
+  assert.equal(results[0].post_id, 103);
+  assert.equal(results[0].title, 'Sourdough');
+  // A post known only from the manifest has no permalink to give
+  assert.equal(results[0].link, undefined);
+  assert.deepEqual(results[0].citations, [{ file_id: 'file-3', filename: '103.json' }]);
+});
+
+test('groundResults: ungrounded items are dropped, or flagged with an unverified link', () => {
+  const items = [
+    { title: 'Made up', link: 'https://example.com/made-up/', source: 'missing.json' },
+    { title: 'ChinaJoy 2024' },
+    { title: 'No link either' }
+  ];
+  const dropped = groundResults(items, catalog, []);
+  assert.equal(dropped.ungrounded, 2);
+  assert.deepEqual(dropped.results.map(result => result.post_id), [102]);
+
+  const flagged = groundResults(items, catalog, [], 'flag');
+  assert.equal(flagged.ungrounded, 2);
+  assert.deepEqual(flagged.results[0], { title: 'Made up', source: 'missing.json', unverified_link: 'https://example.com/made-up/', grounded: false });
+  assert.equal(flagged.results[1].grounded, true);
+  assert.deepEqual(flagged.results[2], { title: 'No link either', grounded: false });
+});
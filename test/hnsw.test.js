@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildHnsw, searchHnsw, writeHnswIndex, loadHnswIndex, hnswFromEnv, DEFAULT_HNSW } from '../lib/hnsw.js';
+
+// Seeded random unit vectors, so recall is the same on every run
+function randomUnitVectors(count, dimensions, seed) {
+  let state = seed;
+  const random = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const vectors = new Float32Array(count * dimensions);
+  for (let i = 0; i < count; i++) {
+    let norm = 0;
+    for (let d = 0; d < dimensions; d++) {
+      const value = random() * 2 - 1;
+      vectors[i * dimensions + d] = value;
+      norm += value * value;
+    }
+    for (let d = 0; d < dimensions; d++) vectors[i * dimensions + d] /= Math.sqrt(norm);
+  }
+  return vectors;
+}
+
+function exactTopK(store, query, k) {
+  const scored = [];
+  for (let i = 0; i < store.count; i++) {
+    let score = 0;
+    for (let d = 0; d < store.dimensions; d++) score += store.vectors[i * store.dimensions + d] * query[d];
+    scored.push({ index: i, score });
+  }
+  return scored.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+const DIMENSIONS = 24;
+const store = { count: 800, dimensions: DIMENSIONS, vectors: randomUnitVectors(800, DIMENSIONS, 7), meta: { created_at: '2024-01-01T00:00:00.000Z' } };
+const queries = randomUnitVectors(40, DIMENSIONS, 99);
+const graph = buildHnsw(store, { M: 12, efConstruction: 100 });
+
+test('searchHnsw: recall@10 against the exact scan', () => {
+  const k = 10;
+  let found = 0;
+  for (let q = 0; q < 40; q++) {
+    const query = queries.subarray(q * DIMENSIONS, (q + 1) * DIMENSIONS);
+    const exact = new Set(exactTopK(store, query, k).map(hit => hit.index));
+    const approx = searchHnsw(graph, store, query, k, 64);
+    assert.equal(approx.length, k);
+    for (let i = 1; i < approx.length; i++) assert.ok(approx[i - 1].score >= approx[i].score);
+    found += approx.filter(hit => exact.has(hit.index)).length;
+  }
+  const recall = found / (40 * k);
+  assert.ok(recall >= 0.95, `recall ${recall}`);
+});
+
+test('searchHnsw: a node finds itself, scores are exact dot products', () => {
+  for (const i of [0, 123, 799]) {
+    const query = store.vectors.subarray(i * DIMENSIONS, (i + 1) * DIMENSIONS);
+    const [best] = searchHnsw(graph, store, query, 1);
+    assert.equal(best.index, i);
+    assert.ok(Math.abs(best.score - exactTopK(store, query, 1)[0].score) < 1e-6);
+  }
+});
+
+test('buildHnsw: deterministic, with bounded neighbor lists', () => {
+  const again = buildHnsw(store, { M: 12, efConstruction: 100 });
+  assert.deepEqual(again.neighbors, graph.neighbors);
+  graph.neighbors.forEach(layers => layers.forEach((list, layer) => {
+    assert.ok(list.length <= (layer === 0 ? 24 : 12));
+  }));
+  assert.deepEqual(searchHnsw(buildHnsw({ ...store, count: 0 }), store, queries.subarray(0, DIMENSIONS), 5), []);
+});
+
+test('writeHnswIndex / loadHnswIndex: round trip, tied to the store build', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-hnsw-test-'));
+  try {
+    assert.equal(await loadHnswIndex(dir, store), null);
+    await writeHnswIndex(dir, graph, store);
+    const loaded = await loadHnswIndex(dir, store);
+    assert.deepEqual(loaded.neighbors, graph.neighbors);
+    assert.equal(loaded.entryPoint, graph.entryPoint);
+    assert.equal(await loadHnswIndex(dir, { ...store, meta: { created_at: '2024-02-01T00:00:00.000Z' } }), null);
+    assert.equal(await loadHnswIndex(dir, { ...store, count: 10 }), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('hnswFromEnv: defaults and overrides', () => {
+  assert.deepEqual(hnswFromEnv({}), DEFAULT_HNSW);
+  assert.deepEqual(hnswFromEnv({ HNSW_M: '8', HNSW_EF_CONSTRUCTION: '50', HNSW_EF_SEARCH: '20' }), { ...DEFAULT_HNSW, M: 8, efConstruction: 50, efSearch: 20 });
+});
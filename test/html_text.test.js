@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { decodeEntities, stripShortcodes, htmlToText, htmlToMarkdown } from '../lib/html_text.js';
+
+// Every fixtures/html_text/<name>.html is converted and compared with <name>.md
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'html_text');
+
+for (const file of fs.readdirSync(FIXTURES).filter(name => name.endsWith('.html')).sort()) {
+  const name = path.basename(file, '.html');
+  test(`htmlToMarkdown: ${name}`, () => {
+    const html = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+    const expected = fs.readFileSync(path.join(FIXTURES, `${name}.md`), 'utf8').replace(/\n$/, '');
+    assert.equal(htmlToMarkdown(html), expected);
+  });
+}
+
+test('decodeEntities: named, numeric, Windows-1252 and unknown entities', () => {
+  assert.equal(decodeEntities('&amp;&lt;&gt;&quot;&apos;&nbsp;&hellip;'), '&<>"\' …');
+  assert.equal(decodeEntities('&#8220;&#x201D;&#x1F600;'), '“”😀');
+  assert.equal(decodeEntities('&#146;&#150;&#128;'), '’–€');
+  assert.equal(decodeEntities('&bogus; &#0; & alone'), '&bogus; &#0; & alone');
+});
+
+test('stripShortcodes: keeps enclosed text and bracketed prose', () => {
+  assert.equal(stripShortcodes('[caption id="1"]Text[/caption]'), 'Text');
+  assert.equal(stripShortcodes('[gallery] [video src="a.mp4" /] [sic] [1]'), '  [sic] [1]');
+  assert.equal(stripShortcodes('[note]Kept[/note] [note] too'), 'Kept  too');
+});
+
+test('htmlToText: one line without tags, comments or scripts', () => {
+  assert.equal(htmlToText('<p>Hello &#8211; <em>世</em>界 &hellip; [&hellip;]</p>'), 'Hello – 世界 … […]');
+  assert.equal(htmlToText('<!-- wp:paragraph --><h2>标题</h2><p>正文<br>第二行</p><script>x()</script>'), '标题 正文 第二行');
+  assert.equal(htmlToText(''), '');
+  assert.equal(htmlToText(null), '');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, buildKeywordIndex, searchKeyword, DEFAULT_BM25 } from '../lib/keyword_index.js';
+
+const doc = (text, title = '') => ({ text, metadata: { title } });
+
+test('tokenize: lowercase words and CJK bigrams', () => {
+  assert.deepEqual(tokenize('Hello, World! don’t re-index v1.2'), ['hello', 'world', 'don’t', 're-index', 'v1.2']);
+  assert.deepEqual(tokenize('人工智能'), ['人工', '工智', '智能']);
+  assert.deepEqual(tokenize('AI 技术 与 ChinaJoy'), ['技术', '与', 'ai', 'chinajoy']);
+  assert.deepEqual(tokenize('ＡＩ　カタカナ'), ['カタ', 'タカ', 'カナ', 'ai']);
+  assert.deepEqual(tokenize(''), []);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('buildKeywordIndex: postings, lengths and average length include the title', () => {
+  const index = buildKeywordIndex([doc('apple banana'), doc('apple apple cherry', 'Fruit')]);
+  assert.equal(index.count, 2);
+  assert.deepEqual(index.docLengths, [2, 4]);
+  assert.equal(index.avgdl, 3);
+  assert.deepEqual(index.postings.apple, [0, 1, 1, 2]);
+  assert.deepEqual(index.postings.fruit, [1, 1]);
+});
+
+test('searchKeyword: BM25 scores', () => {
+  const index = buildKeywordIndex([doc('apple banana'), doc('apple apple cherry'), doc('cherry')]);
+  const { k1, b } = DEFAULT_BM25;
+  const idf = Math.log(1 + (3 - 2 + 0.5) / (2 + 0.5));
+  const bm25 = (tf, length) => idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * length / index.avgdl));
+
+  const results = searchKeyword(index, 'Apple');
+  assert.deepEqual(results.map(result => result.index), [1, 0]);
+  assert.ok(Math.abs(results[0].score - bm25(2, 3)) < 1e-12);
+  assert.ok(Math.abs(results[1].score - bm25(1, 2)) < 1e-12);
+
+  // Only documents sharing a term are returned, at most k of them
+  assert.deepEqual(searchKeyword(index, 'durian'), []);
+  assert.equal(searchKeyword(index, 'apple cherry', 1).length, 1);
+  // A repeated query term counts once
+  assert.deepEqual(searchKeyword(index, 'apple apple'), results);
+});
+
+test('searchKeyword: Chinese terms match through bigrams without segmentation', () => {
+  const index = buildKeywordIndex([doc('人工智能正在改变医疗'), doc('智慧城市建设'), doc('Artificial intelligence')]);
+  assert.deepEqual(searchKeyword(index, '智能').map(result => result.index), [0]);
+  assert.deepEqual(searchKeyword(index, '人工智能 城市').map(result => result.index), [0, 1]);
+  assert.deepEqual(searchKeyword(index, 'INTELLIGENCE').map(result => result.index), [2]);
+});
@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { startMcpHttpServer, mcpHttpConfigFromEnv } from '../lib/mcp_http.js';
+
+// Both transports against a server with a single echo tool, behind bearer auth
+const TOKEN = 'secret-token';
+let httpServer;
+let base;
+
+function createServer() {
+  const server = new McpServer({ name: 'test', version: '1.0.0' });
+  server.registerTool('echo', { description: 'Echo the text', inputSchema: { text: z.string() } },
+    async ({ text }) => ({ content: [{ type: 'text', text }] }));
+  return server;
+}
+
+before(async () => {
+  httpServer = await startMcpHttpServer(createServer, { host: '127.0.0.1', port: 0, authToken: TOKEN, sessionIdleMs: 60000 });
+  base = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+after(() => {
+  httpServer.closeAllConnections();
+  httpServer.close();
+});
+
+const auth = { Authorization: `Bearer ${TOKEN}` };
+const INITIALIZE = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'raw', version: '1' } } };
+const postMcp = (body, headers = {}) => fetch(`${base}/mcp`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream', ...headers },
+  body: JSON.stringify(body)
+});
+
+test('mcpHttpConfigFromEnv: defaults and overrides', () => {
+  assert.deepEqual(mcpHttpConfigFromEnv({}), { host: '127.0.0.1', port: 3000, authToken: null, sessionIdleMs: 30 * 60 * 1000 });
+  assert.deepEqual(mcpHttpConfigFromEnv({ MCP_HTTP_HOST: '0.0.0.0', MCP_HTTP_PORT: '8080', MCP_AUTH_TOKEN: 'x', MCP_SESSION_IDLE_MINUTES: '5' }),
+    { host: '0.0.0.0', port: 8080, authToken: 'x', sessionIdleMs: 5 * 60 * 1000 });
+});
+
+test('startMcpHttpServer: bearer auth on every route', async () => {
+  for (const headers of [{}, { Authorization: 'Bearer wrong' }, { Authorization: TOKEN }]) {
+    const response = await postMcp(INITIALIZE, headers);
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+  }
+  assert.equal((await fetch(`${base}/sse`)).status, 401);
+  assert.equal((await fetch(`${base}/other`, { headers: auth })).status, 404);
+});
+
+test('startMcpHttpServer: requests without a valid session', async () => {
+  const noSession = await postMcp({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, auth);
+  assert.equal(noSession.status, 400);
+  assert.match((await noSession.json()).error.message, /no valid session ID/);
+  assert.equal((await postMcp({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { ...auth, 'mcp-session-id': 'unknown' })).status, 404);
+  assert.equal((await fetch(`${base}/messages?sessionId=unknown`, { method: 'POST', headers: auth, body: '{}' })).status, 404);
+  const notJson = await fetch(`${base}/mcp`, { method: 'POST', headers: { ...auth, 'content-type': 'application/json' }, body: '{' });
+  assert.equal(notJson.status, 400);
+});
+
+test('startMcpHttpServer: Streamable HTTP session, closed with DELETE', async () => {
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(`${base}/mcp`), { requestInit: { headers: auth } });
+  await client.connect(transport);
+  const sessionId = transport.sessionId;
+  assert.ok(sessionId);
+
+  assert.deepEqual((await client.listTools()).tools.map(tool => tool.name), ['echo']);
+  const result = await client.callTool({ name: 'echo', arguments: { text: '你好' } });
+  assert.deepEqual(result.content, [{ type: 'text', text: '你好' }]);
+
+  await transport.terminateSession();
+  await client.close();
+  const closed = await postMcp({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, { ...auth, 'mcp-session-id': sessionId });
+  assert.equal(closed.status, 404);
+});
+
+test('startMcpHttpServer: HTTP+SSE fallback', async () => {
+  const client = new Client({ name: 'sse-client', version: '1.0.0' });
+  const transport = new SSEClientTransport(new URL(`${base}/sse`), {
+    eventSourceInit: { fetch: (url, init) => fetch(url, { ...init, headers: { ...init?.headers, ...auth } }) },
+    requestInit: { headers: auth }
+  });
+  await client.connect(transport);
+  const result = await client.callTool({ name: 'echo', arguments: { text: 'sse' } });
+  assert.deepEqual(result.content, [{ type: 'text', text: 'sse' }]);
+  await client.close();
+});
@@ -0,0 +1,163 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+  requestConfigFromEnv, parseResetDuration, retryAfterMs, backoffMs, createRequestFetch, settleWithConcurrency
+} from '../lib/openai_requests.js';
+
+// A local server answers each request with the next scripted reply; short
+// delays keep the retries fast
+const FAST = { maxRetries: 3, concurrency: 4, tokensPerMinute: 0, baseDelayMs: 5, maxDelayMs: 20 };
+let server;
+let baseURL;
+let replies = [];
+let received = 0;
+let inFlight = 0;
+let maxInFlight = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    received += 1;
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    const { status = 200, headers = {}, body = '{}', delayMs = 0 } = replies.shift() || {};
+    setTimeout(() => {
+      inFlight -= 1;
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(body);
+    }, delayMs);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => server.close());
+
+// Every test gets its own limiter (limiters are shared per endpoint and key)
+let keys = 0;
+function scripted(list, config = FAST) {
+  replies = list;
+  received = 0;
+  maxInFlight = 0;
+  return createRequestFetch({ baseURL, apiKey: `key-${++keys}` }, config);
+}
+
+test('requestConfigFromEnv: defaults and overrides', () => {
+  assert.deepEqual(requestConfigFromEnv({}), { maxRetries: 5, concurrency: 4, tokensPerMinute: 0, baseDelayMs: 500, maxDelayMs: 60000 });
+  const config = requestConfigFromEnv({ OPENAI_MAX_RETRIES: '0', OPENAI_CONCURRENCY: '0', OPENAI_TOKENS_PER_MINUTE: '90000' });
+  assert.deepEqual([config.maxRetries, config.concurrency, config.tokensPerMinute], [0, 1, 90000]);
+  assert.equal(requestConfigFromEnv({ OPENAI_MAX_RETRIES: '-1' }).maxRetries, 5);
+});
+
+test('parseResetDuration and retryAfterMs', () => {
+  assert.equal(parseResetDuration('6m0s'), 360000);
+  assert.equal(parseResetDuration('1.5s'), 1500);
+  assert.equal(parseResetDuration('120ms'), 120);
+  assert.equal(parseResetDuration(''), null);
+  assert.equal(parseResetDuration('soon'), null);
+
+  assert.equal(retryAfterMs(new Headers({ 'retry-after-ms': '250', 'retry-after': '9' })), 250);
+  assert.equal(retryAfterMs(new Headers({ 'retry-after': '2' })), 2000);
+  const date = retryAfterMs(new Headers({ 'retry-after': new Date(Date.now() + 5000).toUTCString() }));
+  assert.ok(date > 3000 && date <= 5000);
+  assert.equal(retryAfterMs(new Headers({ 'retry-after': new Date(Date.now() - 5000).toUTCString() })), 0);
+  assert.equal(retryAfterMs(new Headers()), null);
+});
+
+test('backoffMs: exponential, half jitter, capped', () => {
+  for (let i = 0; i < 20; i++) {
+    const wait = backoffMs(3, { baseDelayMs: 100, maxDelayMs: 10000 });
+    assert.ok(wait >= 400 && wait <= 800);
+    assert.ok(backoffMs(30, { baseDelayMs: 100, maxDelayMs: 10000 }) <= 10000);
+  }
+});
+
+test('createRequestFetch: retries 5xx, 408 and 409 until a success', async () => {
+  const request = scripted([{ status: 500 }, { status: 408 }, { status: 409 }, { status: 200, body: '{"ok":true}' }]);
+  const response = await request(`${baseURL}/files`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { ok: true });
+  assert.equal(received, 4);
+});
+
+test('createRequestFetch: gives up after maxRetries with the last response', async () => {
+  const request = scripted([{ status: 503 }, { status: 503 }, { status: 503 }, { status: 502 }, { status: 200 }]);
+  const response = await request(`${baseURL}/files`);
+  assert.equal(response.status, 502);
+  assert.equal(received, 4);
+});
+
+test('createRequestFetch: waits as long as Retry-After asks', async () => {
+  const request = scripted([{ status: 429, headers: { 'retry-after-ms': '200' } }, { status: 200 }]);
+  const startedAt = Date.now();
+  const response = await request(`${baseURL}/embeddings`, { method: 'POST', body: '{"input":"x"}' });
+  assert.equal(response.status, 200);
+  assert.ok(Date.now() - startedAt >= 190, `waited ${Date.now() - startedAt}ms`);
+});
+
+test('createRequestFetch: does not retry client errors, exhausted quota or x-should-retry: false', async () => {
+  for (const reply of [
+    { status: 400 },
+    { status: 404 },
+    { status: 429, body: '{"error":{"code":"insufficient_quota"}}' },
+    { status: 500, headers: { 'x-should-retry': 'false' } }
+  ]) {
+    const request = scripted([reply, { status: 200 }]);
+    assert.equal((await request(`${baseURL}/responses`)).status, reply.status);
+    assert.equal(received, 1);
+  }
+  const request = scripted([{ status: 400, headers: { 'x-should-retry': 'true' } }, { status: 200 }]);
+  assert.equal((await request(`${baseURL}/responses`)).status, 200);
+});
+
+test('createRequestFetch: retries connection errors, then throws', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${closed.address().port}/v1/files`;
+  await new Promise(resolve => closed.close(resolve));
+
+  const request = createRequestFetch({ baseURL: url, apiKey: 'closed' }, { ...FAST, maxRetries: 2 });
+  await assert.rejects(request(url), TypeError);
+});
+
+test('createRequestFetch: the limiter caps concurrent requests per endpoint and key', async () => {
+  const request = scripted(Array.from({ length: 6 }, () => ({ delayMs: 40 })), { ...FAST, concurrency: 2 });
+  const responses = await Promise.all(Array.from({ length: 6 }, () => request(`${baseURL}/files`)));
+  assert.ok(responses.every(response => response.status === 200));
+  assert.equal(received, 6);
+  assert.equal(maxInFlight, 2);
+});
+
+test('createRequestFetch: x-ratelimit-remaining-requests 0 holds requests until the reset', async () => {
+  const request = scripted([{ headers: { 'x-ratelimit-remaining-requests': '0', 'x-ratelimit-reset-requests': '200ms' } }, {}]);
+  await request(`${baseURL}/files`);
+  const startedAt = Date.now();
+  await request(`${baseURL}/files`);
+  assert.ok(Date.now() - startedAt >= 150, `waited ${Date.now() - startedAt}ms`);
+});
+
+test('createRequestFetch: an aborted request stops waiting for its retry', async () => {
+  const controller = new AbortController();
+  const request = scripted([{ status: 429, headers: { 'retry-after': '30' } }, {}]);
+  setTimeout(() => controller.abort(new Error('stopped')), 50);
+  await assert.rejects(request(`${baseURL}/files`, { signal: controller.signal }), /stopped/);
+  assert.equal(received, 1);
+});
+
+test('settleWithConcurrency: keeps order and errors, at most n calls at once', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await settleWithConcurrency([30, 10, 20, 0, 5], 2, async (ms, at) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    running -= 1;
+    if (at === 2) throw new Error('third failed');
+    return ms * 2;
+  });
+  assert.equal(peak, 2);
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+  assert.deepEqual(results.filter(result => result.value !== undefined).map(result => result.value), [60, 20, 0, 10]);
+  assert.equal(results[2].reason.message, 'third failed');
+  assert.deepEqual(await settleWithConcurrency([], 4, async () => 1), []);
+});
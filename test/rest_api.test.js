@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { resolveIndex } from '../lib/indexes.js';
+import { localIndexSettings, processPostsToDocuments, generateEmbeddings, saveEmbeddings, buildKeywordIndexFile } from '../lib/local_index.js';
+import { applyContentRules } from '../lib/wordpress.js';
+import { semanticSearchSchema, vsSearchSchema, MAX_TOP_K } from '../lib/schemas.js';
+import { createRestHandler, restConfigFromEnv } from '../lib/rest_api.js';
+
+// The REST API over a hash-provider index of fixtures/posts.json, plus an
+// index with a vector store whose requests never get as far as OpenAI
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const TOKEN = 'secret-token';
+let tmpDir;
+let server;
+let base;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-rest-test-'));
+  const indexesFile = path.join(tmpDir, 'indexes.json');
+  fs.writeFileSync(indexesFile, JSON.stringify({
+    default: 'fixture',
+    indexes: {
+      fixture: { wordpress_posts_url: 'https://example.com/wp-json/wp/v2/posts', data_dir: path.join(tmpDir, 'fixture'), embedding_provider: 'hash', env: { MIN_SIMILARITY: '0.05', OPENAI_API_KEY: 'test' } },
+      remote: { wordpress_posts_url: 'https://example.com/wp-json/wp/v2/posts', data_dir: path.join(tmpDir, 'remote'), vector_store_id: 'vs_remote', env: { OPENAI_API_KEY: 'test' } }
+    }
+  }));
+  process.env.INDEXES_FILE = indexesFile;
+
+  const settings = localIndexSettings(resolveIndex('fixture'));
+  const posts = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'posts.json'), 'utf8'));
+  const documents = processPostsToDocuments(applyContentRules(posts, settings.wordpress), settings.chunking);
+  await saveEmbeddings(settings, documents, await generateEmbeddings(documents, settings.embeddingProvider));
+  await buildKeywordIndexFile(settings.dataDir);
+
+  server = http.createServer(createRestHandler({ authToken: TOKEN, corsOrigin: 'https://example.com' }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const auth = { Authorization: `Bearer ${TOKEN}` };
+const get = url => fetch(`${base}${url}`, { headers: auth });
+const post = (url, body) => fetch(`${base}${url}`, { method: 'POST', headers: { ...auth, 'content-type': 'application/json' }, body: typeof body === 'string' ? body : JSON.stringify(body) });
+
+test('schemas: top_k is a whole number from 1 to MAX_TOP_K', () => {
+  assert.equal(semanticSearchSchema.parse({ query: 'AI', top_k: MAX_TOP_K }).top_k, MAX_TOP_K);
+  for (const topK of [0, -1, 1.5, MAX_TOP_K + 1, '5']) {
+    assert.equal(semanticSearchSchema.safeParse({ query: 'AI', top_k: topK }).success, false, String(topK));
+    assert.equal(vsSearchSchema.safeParse({ query: 'AI', top_k: topK }).success, false, String(topK));
+  }
+});
+
+test('schemas: dates, queries and options', () => {
+  assert.equal(semanticSearchSchema.parse({ query: '  AI  ' }).query, 'AI');
+  assert.equal(semanticSearchSchema.safeParse({ query: '   ' }).success, false);
+  assert.equal(semanticSearchSchema.safeParse({ query: 'AI', date_from: '2024-03-01', date_to: '2024-03-31T23:59:59+08:00' }).success, true);
+  const bad = semanticSearchSchema.safeParse({ query: 'AI', date_from: 'garbage' });
+  assert.deepEqual(bad.error.issues.map(issue => [issue.path.join('.'), issue.message]), [['date_from', 'Expected a date as YYYY-MM-DD or ISO 8601']]);
+  assert.equal(vsSearchSchema.safeParse({ query: 'AI', date_to: '2024-02-30' }).success, false);
+  assert.equal(semanticSearchSchema.safeParse({ query: 'AI', mode: 'fuzzy' }).success, false);
+  assert.equal(vsSearchSchema.safeParse({ query: 'AI', min_score: 1.2 }).success, false);
+  assert.equal(vsSearchSchema.safeParse({ query: 'AI', ranker: 'best' }).success, false);
+});
+
+test('restConfigFromEnv: defaults and overrides', () => {
+  assert.deepEqual(restConfigFromEnv({}), { host: '127.0.0.1', port: 3001, authToken: null, corsOrigin: null });
+  assert.deepEqual(restConfigFromEnv({ API_HOST: '0.0.0.0', API_PORT: '8080', API_AUTH_TOKEN: 't', API_CORS_ORIGIN: '*' }), { host: '0.0.0.0', port: 8080, authToken: 't', corsOrigin: '*' });
+});
+
+test('REST API: auth, CORS, unknown routes and methods', async () => {
+  const unauthorized = await fetch(`${base}/search?query=AI`);
+  assert.equal(unauthorized.status, 401);
+  assert.equal(unauthorized.headers.get('www-authenticate'), 'Bearer');
+  assert.equal(unauthorized.headers.get('access-control-allow-origin'), 'https://example.com');
+  assert.equal((await fetch(`${base}/search`, { method: 'OPTIONS' })).status, 204);
+
+  assert.equal((await get('/nothing')).status, 404);
+  const method = await fetch(`${base}/health`, { method: 'DELETE', headers: auth });
+  assert.equal(method.status, 405);
+  assert.equal(method.headers.get('allow'), 'GET');
+});
+
+test('REST API: /search over GET and POST', async () => {
+  const byGet = await get('/search?query=' + encodeURIComponent('ChinaJoy 游戏展') + '&mode=keyword&top_k=3');
+  assert.equal(byGet.status, 200);
+  assert.deepEqual((await byGet.json()).results.map(result => result.metadata.post_id), [102]);
+
+  const byPost = await post('/search', { query: 'bread', mode: 'keyword', date_to: '2023-12-31', categories: ['food'] });
+  assert.equal(byPost.status, 200);
+  const body = await byPost.json();
+  assert.equal(body.index, 'fixture');
+  assert.deepEqual(body.results.map(result => result.metadata.post_id), [103]);
+});
+
+test('REST API: invalid input is a 400 with the issues', async () => {
+  const negative = await post('/search', { query: 'AI', top_k: -1 });
+  assert.equal(negative.status, 400);
+  const body = await negative.json();
+  assert.equal(body.error, 'Invalid request');
+  assert.deepEqual(body.issues.map(issue => issue.path), ['top_k']);
+
+  for (const url of ['/search?query=AI&top_k=2.5', '/search?query=AI&top_k=many', '/search?query=AI&date_from=garbage', '/vs-search?query=AI&date_to=2024-13-01', '/search']) {
+    assert.equal((await get(url)).status, 400, url);
+  }
+  assert.equal((await post('/search', '{"query":')).status, 400);
+});
+
+test('REST API: SearchError codes map to statuses', async () => {
+  // No vector store for the local index: not_configured
+  const notConfigured = await get('/vs-search?query=AI&index=fixture');
+  assert.equal(notConfigured.status, 503);
+  assert.match((await notConfigured.json()).error, /has no vector_store_id/);
+  // Options only the direct mode takes: invalid_input
+  const invalid = await get('/vs-search?query=AI&index=remote&rewrite_query=true');
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).error, /rewrite_query is only supported in direct mode/);
+  // Unknown indexes are a 404 before any search runs
+  assert.equal((await get('/search?query=AI&index=unknown')).status, 404);
+});
+
+test('REST API: /posts/:id and /indexes', async () => {
+  const found = await get('/posts/101');
+  assert.equal(found.status, 200);
+  const body = await found.json();
+  assert.equal(body.id, 'post-101');
+  assert.equal(body.index, 'fixture');
+  assert.equal(body.metadata.post_id, 101);
+  assert.ok(body.chunks.length >= 1);
+  assert.equal((await get('/posts/104')).status, 404);
+  assert.equal((await get('/posts/101?index=remote')).status, 503);
+
+  const indexes = await (await get('/indexes')).json();
+  assert.deepEqual(indexes.indexes.map(index => index.name), ['fixture', 'remote']);
+});
@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveIndex } from '../lib/indexes.js';
+import { localIndexSettings, processPostsToDocuments, generateEmbeddings, saveEmbeddings, buildKeywordIndexFile } from '../lib/local_index.js';
+import { applyContentRules } from '../lib/wordpress.js';
+import { semanticSearch, fuseRankings, searchConfigFromEnv } from '../lib/search.js';
+
+// Builds a local index of fixtures/posts.json with the offline hash provider
+// in a temporary directory and searches it end to end
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+let tmpDir;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-search-test-'));
+  const indexesFile = path.join(tmpDir, 'indexes.json');
+  fs.writeFileSync(indexesFile, JSON.stringify({
+    indexes: {
+      fixture: {
+        wordpress_posts_url: 'https://example.com/wp-json/wp/v2/posts',
+        data_dir: path.join(tmpDir, 'data'),
+        embedding_provider: 'hash',
+        env: { MIN_SIMILARITY: '0.05' }
+      }
+    }
+  }));
+  process.env.INDEXES_FILE = indexesFile;
+
+  const settings = localIndexSettings(resolveIndex('fixture'));
+  const posts = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'posts.json'), 'utf8'));
+  const documents = processPostsToDocuments(applyContentRules(posts, settings.wordpress), settings.chunking);
+  const embeddings = await generateEmbeddings(documents, settings.embeddingProvider);
+  await saveEmbeddings(settings, documents, embeddings);
+  await buildKeywordIndexFile(settings.dataDir);
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const postIds = response => response.results.map(result => result.metadata.post_id);
+
+test('semanticSearch: vector mode ranks the matching post first', async () => {
+  const response = await semanticSearch('人工智能 医疗 诊断', 3, { mode: 'vector' });
+  assert.equal(response.index, 'fixture');
+  assert.equal(response.min_similarity, 0.05);
+  assert.equal(response.search_method, 'exact');
+  assert.equal(postIds(response)[0], 101);
+  assert.equal(new Set(postIds(response)).size, response.results.length);
+
+  const english = await semanticSearch('sourdough bread', 3, { mode: 'vector' });
+  assert.equal(postIds(english)[0], 103);
+});
+
+test('semanticSearch: keyword and hybrid modes', async () => {
+  const keyword = await semanticSearch('ChinaJoy 游戏展', 3, { mode: 'keyword' });
+  assert.equal(keyword.search_method, 'bm25');
+  assert.deepEqual(postIds(keyword), [102]);
+
+  const hybrid = await semanticSearch('人工智能', 3, { mode: 'hybrid' });
+  assert.equal(hybrid.fusion, 'rrf');
+  assert.equal(postIds(hybrid)[0], 101);
+});
+
+test('semanticSearch: drafts are not indexed', async () => {
+  const response = await semanticSearch('草稿', 5, { mode: 'keyword' });
+  assert.ok(!postIds(response).includes(104));
+});
+
+test('semanticSearch: filters narrow the candidates before ranking', async () => {
+  // Post 103 was published 2024-01-01 site-local, 2023-12-31 in GMT
+  const byDate = await semanticSearch('bread', 5, { mode: 'keyword', filters: { date_to: '2023-12-31' } });
+  assert.deepEqual(postIds(byDate), [103]);
+  assert.deepEqual(postIds(await semanticSearch('bread', 5, { mode: 'keyword', filters: { date_from: '2024-01-01' } })), []);
+
+  const byCategory = await semanticSearch('游戏 人工智能', 5, { mode: 'hybrid', filters: { categories: ['games'] } });
+  assert.deepEqual(postIds(byCategory), [102]);
+});
+
+test('semanticSearch: invalid input is a SearchError', async () => {
+  await assert.rejects(semanticSearch('AI', 5, { filters: { date_from: '2024-13-01' } }), { name: 'SearchError', code: 'invalid_input' });
+  await assert.rejects(semanticSearch('AI', 5, { mode: 'fuzzy' }), { name: 'SearchError', code: 'invalid_input' });
+  await assert.rejects(semanticSearch('   ', 5), { name: 'SearchError', code: 'invalid_input' });
+});
+
+const ranked = (...ids) => ids.map((id, i) => ({ id, score: 1 - i / 10 }));
+
+test('fuseRankings: reciprocal rank fusion', () => {
+  const fused = fuseRankings(ranked('a', 'b', 'c'), ranked('c', 'd'), { method: 'rrf', rrfK: 60, vectorWeight: 0.5 });
+  assert.deepEqual(fused.map(result => result.id), ['c', 'a', 'b', 'd']);
+  const c = fused[0];
+  assert.equal(c.score, 1 / (60 + 3) + 1 / (60 + 1));
+  assert.deepEqual([c.vector_rank, c.keyword_rank], [3, 1]);
+  assert.equal(fused.find(result => result.id === 'd').score, 1 / (60 + 2));
+});
+
+test('fuseRankings: weighted blend of vector and max-normalized BM25 scores', () => {
+  const vector = [{ id: 'a', score: 0.8 }, { id: 'b', score: 0.4 }];
+  const keyword = [{ id: 'b', score: 12 }, { id: 'c', score: 6 }];
+  const fused = fuseRankings(vector, keyword, { method: 'weighted', rrfK: 60, vectorWeight: 0.25 });
+  assert.deepEqual(fused.map(result => [result.id, result.score]), [['b', 0.25 * 0.4 + 0.75], ['c', 0.75 * 0.5], ['a', 0.25 * 0.8]]);
+  // Without keyword hits only the vector share remains
+  assert.deepEqual(fuseRankings(vector, [], { method: 'weighted', rrfK: 60, vectorWeight: 0.5 }).map(result => result.score), [0.4, 0.2]);
+});
+
+test('searchConfigFromEnv: defaults and overrides', () => {
+  const defaults = searchConfigFromEnv({});
+  assert.equal(defaults.minSimilarity, 0.30);
+  assert.equal(defaults.mode, 'vector');
+  assert.deepEqual(defaults.fusion, { method: 'rrf', rrfK: 60, vectorWeight: 0.5 });
+  const config = searchConfigFromEnv({ SEARCH_MODE: 'hybrid', HYBRID_FUSION: 'weighted', HYBRID_RRF_K: '10', HYBRID_VECTOR_WEIGHT: '0', HNSW_EF_SEARCH: '200' });
+  assert.equal(config.mode, 'hybrid');
+  assert.deepEqual(config.fusion, { method: 'weighted', rrfK: 10, vectorWeight: 0 });
+  assert.equal(config.hnsw.efSearch, 200);
+});
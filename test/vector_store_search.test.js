@@ -0,0 +1,219 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { vectorStoreSearch, vsSearchConfigFromEnv } from '../lib/vector_store_search.js';
+
+// A local server stands in for the OpenAI API: every request is recorded and
+// answered with the next scripted reply of its endpoint
+let server;
+let tmpDir;
+let replies = {};
+let requests = [];
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const route = req.url.endsWith('/search') ? 'search' : 'responses';
+    requests.push({ route, body: JSON.parse(body) });
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(replies[route].shift()));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-vs-search-test-'));
+  const env = { OPENAI_API_KEY: 'test', OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`, OPENAI_MAX_RETRIES: '0' };
+  const indexesFile = path.join(tmpDir, 'indexes.json');
+  fs.writeFileSync(indexesFile, JSON.stringify({
+    default: 'site',
+    indexes: {
+      site: { wordpress_posts_url: 'https://example.com/wp-json/wp/v2/posts', data_dir: path.join(tmpDir, 'site'), vector_store_id: 'vs_site', env },
+      flagged: { wordpress_posts_url: 'https://example.com/wp-json/wp/v2/posts', data_dir: path.join(tmpDir, 'flagged'), vector_store_id: 'vs_site', env: { ...env, VS_UNGROUNDED: 'flag', VS_SEARCH_REPAIR_ATTEMPTS: '0' } },
+      local: { wordpress_posts_url: 'https://example.com/wp-json/wp/v2/posts', data_dir: path.join(tmpDir, 'local'), env }
+    }
+  }));
+  process.env.INDEXES_FILE = indexesFile;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function script(routes) {
+  replies = routes;
+  requests = [];
+}
+
+const chunk = (fileId, score, text, attributes = {}) => ({ file_id: fileId, filename: `${fileId.slice(5)}.json`, score, attributes, content: [{ type: 'text', text }] });
+const AI = { post_id: 101, post_type: 'post', title: 'AI 医疗', link: 'https://example.com/ai-health/', date: Date.UTC(2024, 0, 2) / 1000 };
+const GAMES = { post_id: 102, post_type: 'post', title: 'ChinaJoy 2024', link: 'https://example.com/chinajoy/' };
+
+test('vsSearchConfigFromEnv: defaults and bounded repair attempts', () => {
+  assert.deepEqual(vsSearchConfigFromEnv({}), { mode: 'llm', ranker: undefined, rewriteQuery: false, minScore: 0, ungrounded: 'drop', repairAttempts: 1 });
+  const config = vsSearchConfigFromEnv({ VS_SEARCH_MODE: 'direct', VS_SEARCH_REWRITE_QUERY: 'on', VS_MIN_SCORE: '0.4', VS_UNGROUNDED: 'flag', VS_SEARCH_REPAIR_ATTEMPTS: '9' });
+  assert.deepEqual(config, { mode: 'direct', ranker: undefined, rewriteQuery: true, minScore: 0.4, ungrounded: 'flag', repairAttempts: 3 });
+  assert.equal(vsSearchConfigFromEnv({ VS_UNGROUNDED: 'keep', VS_SEARCH_REPAIR_ATTEMPTS: '0' }).ungrounded, 'drop');
+  assert.equal(vsSearchConfigFromEnv({ VS_SEARCH_REPAIR_ATTEMPTS: '0' }).repairAttempts, 0);
+});
+
+test('direct mode: the best chunk of each file, ranked by its real score', async () => {
+  script({
+    search: [{
+      object: 'vector_store.search_results.page',
+      search_query: ['ai in healthcare'],
+      data: [
+        chunk('file-101', 0.62, 'second chunk', AI),
+        chunk('file-102', 0.71, 'ChinaJoy 开幕', GAMES),
+        chunk('file-101', 0.83, '人工智能辅助诊断', AI),
+        chunk('file-103', 0.25, 'below min_score')
+      ],
+      has_more: false,
+      next_page: null
+    }]
+  });
+  const { json } = await vectorStoreSearch('AI 医疗', 2, { mode: 'direct', min_score: 0.3, ranker: 'none', rewrite_query: true, filters: { post_type: 'post' } });
+
+  assert.deepEqual(requests[0].body, {
+    query: 'AI 医疗',
+    max_num_results: 6,
+    rewrite_query: true,
+    filters: { type: 'eq', key: 'post_type', value: 'post' },
+    ranking_options: { ranker: 'none', score_threshold: 0.3 }
+  });
+  assert.equal(json.mode, 'direct');
+  assert.equal(json.min_score, 0.3);
+  assert.equal(json.search_query, 'ai in healthcare');
+  assert.deepEqual(json.results[0], {
+    title: 'AI 医疗',
+    link: 'https://example.com/ai-health/',
+    snippet: '人工智能辅助诊断',
+    source: '101.json',
+    file_id: 'file-101',
+    post_id: 101,
+    post_type: 'post',
+    date: '2024-01-02',
+    score: 0.83,
+    matched_chunks: 2,
+    original_rank: 1
+  });
+  assert.deepEqual(json.results.map(result => [result.post_id, result.score]), [[101, 0.83], [102, 0.71]]);
+});
+
+test('direct mode: default ranking asks for at most 50 chunks and no options', async () => {
+  script({ search: [{ data: [] }] });
+  const { json } = await vectorStoreSearch('anything', 40, { mode: 'direct' });
+  assert.deepEqual(requests[0].body, { query: 'anything', max_num_results: 50, rewrite_query: false });
+  assert.deepEqual(json.results, []);
+  assert.equal(json.search_query, undefined);
+});
+
+test('vectorStoreSearch: invalid options and missing settings are SearchErrors', async () => {
+  script({});
+  await assert.rejects(vectorStoreSearch('AI', 5, { mode: 'direct', ranker: 'best' }), { name: 'SearchError', code: 'invalid_input', message: /Unknown ranker "best"/ });
+  await assert.rejects(vectorStoreSearch('AI', 5, { mode: 'direct', min_score: 1.5 }), { name: 'SearchError', code: 'invalid_input', message: /min_score/ });
+  await assert.rejects(vectorStoreSearch('AI', 5, { mode: 'semantic' }), { name: 'SearchError', code: 'invalid_input' });
+  await assert.rejects(vectorStoreSearch('AI', 5, { rewrite_query: true }), { name: 'SearchError', code: 'invalid_input', message: /only supported in direct mode/ });
+  await assert.rejects(vectorStoreSearch(' ', 5), { name: 'SearchError', code: 'invalid_input' });
+  await assert.rejects(vectorStoreSearch('AI', 5, { index: 'local' }), { name: 'SearchError', code: 'not_configured', message: /has no vector_store_id/ });
+  assert.equal(requests.length, 0);
+});
+
+// A Responses API answer: the retrieved chunks, then the model's JSON text
+function modelReply(text, hits = [], extra = {}) {
+  return {
+    object: 'response',
+    status: 'completed',
+    output: [
+      { type: 'file_search_call', id: 'fs_1', status: 'completed', queries: [], results: hits.map(({ content, ...hit }) => ({ ...hit, text: content[0].text })) },
+      { type: 'message', id: 'msg_1', role: 'assistant', status: 'completed', content: [{ type: 'output_text', text, annotations: [] }] }
+    ],
+    ...extra
+  };
+}
+
+const HITS = [chunk('file-101', 0.8, '人工智能辅助诊断', AI), chunk('file-102', 0.6, 'ChinaJoy 开幕', GAMES)];
+
+test('llm mode: valid output is grounded in the retrieved posts', async () => {
+  script({
+    responses: [modelReply(JSON.stringify({
+      results: [
+        { title: 'AI', link: 'https://example.com/made-up/', snippet: 'AI 在医疗中的应用', source: '101.json' },
+        { title: 'ChinaJoy 2024', link: null, snippet: '展会', source: null }
+      ]
+    }), HITS)]
+  });
+  const { json } = await vectorStoreSearch('AI', 5, { filters: { categories: ['Tech'] }, min_score: 0.2 });
+
+  const tool = requests[0].body.tools[0];
+  assert.deepEqual(tool, { type: 'file_search', vector_store_ids: ['vs_site'], filters: { type: 'eq', key: 'cat_tech', value: true }, ranking_options: { score_threshold: 0.2 } });
+  assert.equal(requests[0].body.text.format.strict, true);
+  assert.equal(json.mode, 'llm');
+  assert.deepEqual(json.results.map(result => [result.post_id, result.link, result.score, result.original_rank]), [
+    [101, 'https://example.com/ai-health/', 1, 1],
+    [102, 'https://example.com/chinajoy/', 0, 2]
+  ]);
+  assert.equal(json.attempts, undefined);
+  assert.equal(json.validation_errors, undefined);
+});
+
+test('llm mode: invalid output is sent back once with the errors, then accepted', async () => {
+  script({
+    responses: [
+      modelReply('{"results": [{"title": "AI", "link": "not a url", "snippet": ""}]', HITS),
+      modelReply(JSON.stringify({ results: [{ title: 'AI', link: null, snippet: '人工智能', source: '101.json' }] }), HITS)
+    ]
+  });
+  const { json } = await vectorStoreSearch('AI', 5);
+
+  assert.equal(requests.length, 2);
+  const repair = requests[1].body.input;
+  assert.equal(repair.length, 4);
+  assert.equal(repair[2].role, 'assistant');
+  assert.match(repair[3].content, /^That answer is invalid:\n- output is not valid JSON/);
+  assert.equal(json.attempts, 2);
+  assert.deepEqual(json.results.map(result => result.post_id), [101]);
+});
+
+test('llm mode: items failing validation are left out and reported', async () => {
+  script({
+    responses: [modelReply(JSON.stringify({
+      results: [
+        { title: 'AI', link: 'https://example.com/ai-health/', snippet: 'ok', source: null },
+        { title: 'Broken', link: 'not a url', snippet: ' ', source: null }
+      ]
+    }), HITS)]
+  });
+  const { json } = await vectorStoreSearch('AI', 5, { index: 'flagged' });
+  assert.deepEqual(json.results.map(result => result.post_id), [101]);
+  assert.equal(json.validation_errors.length, 1);
+  assert.match(json.validation_errors[0], /^results\[1\]: link Invalid url, snippet /);
+});
+
+test('llm mode: ungrounded items are flagged when the index asks for it', async () => {
+  script({ responses: [modelReply(JSON.stringify({ results: [{ title: 'Made up', link: 'https://example.com/made-up/', snippet: '…', source: null }] }), HITS)] });
+  const { json } = await vectorStoreSearch('AI', 5, { index: 'flagged' });
+  assert.deepEqual(json.ungrounded, { count: 1, policy: 'flag' });
+  assert.equal(json.results[0].grounded, false);
+  assert.equal(json.results[0].unverified_link, 'https://example.com/made-up/');
+});
+
+test('llm mode: refusals, truncated and invalid output after the repairs are bad_model_output', async () => {
+  const refusal = {
+    object: 'response',
+    status: 'completed',
+    output: [{ type: 'message', id: 'msg_1', role: 'assistant', status: 'completed', content: [{ type: 'refusal', refusal: 'I cannot help with that' }] }]
+  };
+  script({ responses: [refusal] });
+  await assert.rejects(vectorStoreSearch('AI', 5, { index: 'flagged' }), { name: 'SearchError', code: 'bad_model_output', message: /after 1 attempt\(s\): model refused: I cannot help with that/ });
+
+  script({ responses: [modelReply('{"results": [', [], { status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' } })] });
+  await assert.rejects(vectorStoreSearch('AI', 5, { index: 'flagged' }), { code: 'bad_model_output', message: /output incomplete \(max_output_tokens\)/ });
+
+  script({ responses: [modelReply('{"items": []}'), modelReply('[]')] });
+  await assert.rejects(vectorStoreSearch('AI', 5), { code: 'bad_model_output', message: /after 2 attempt\(s\): output has no "results" array/ });
+  assert.equal(requests.length, 2);
+});
@@ -0,0 +1,157 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { createHmac } from 'crypto';
+import { verifySignature, parseWebhookEvent, createWebhookHandler } from '../lib/webhook.js';
+import { acquireIndexLock, withIndexLock, LOCK_FILENAME } from '../lib/index_lock.js';
+
+const SECRET = 'change-me';
+const BODY = Buffer.from('{"action":"update","post_id":123}');
+const sign = (text, encoding = 'hex', secret = SECRET) => createHmac('sha256', secret).update(text).digest(encoding);
+const NOW = Date.UTC(2024, 2, 1, 12);
+const seconds = ms => String(Math.floor(ms / 1000));
+
+test('verifySignature: hex or base64 HMAC in any of the signature headers', () => {
+  assert.equal(verifySignature({ 'x-hub-signature-256': `sha256=${sign(BODY)}` }, BODY, SECRET), true);
+  assert.equal(verifySignature({ 'x-wp-webhook-signature': sign(BODY) }, BODY, SECRET), true);
+  assert.equal(verifySignature({ 'x-wc-webhook-signature': sign(BODY, 'base64') }, BODY, SECRET), true);
+  assert.equal(verifySignature({ 'x-webhook-signature': ` SHA256=${sign(BODY)} ` }, BODY, SECRET), true);
+  assert.equal(verifySignature({ authorization: `Bearer ${SECRET}` }, BODY, SECRET), true);
+});
+
+test('verifySignature: bad signatures', () => {
+  assert.equal(verifySignature({}, BODY, SECRET), false);
+  assert.equal(verifySignature({ 'x-hub-signature-256': `sha256=${sign(BODY, 'hex', 'other')}` }, BODY, SECRET), false);
+  assert.equal(verifySignature({ 'x-hub-signature-256': `sha256=${sign(BODY)}` }, Buffer.from('{"action":"delete","post_id":123}'), SECRET), false);
+  assert.equal(verifySignature({ 'x-hub-signature-256': sign(BODY).slice(0, 32) }, BODY, SECRET), false);
+  assert.equal(verifySignature({ 'x-unknown-signature': sign(BODY) }, BODY, SECRET), false);
+  assert.equal(verifySignature({ authorization: 'Bearer wrong' }, BODY, SECRET), false);
+  assert.equal(verifySignature({ authorization: `Basic ${SECRET}` }, BODY, SECRET), false);
+  // Without a configured secret nothing verifies
+  assert.equal(verifySignature({ 'x-hub-signature-256': sign(BODY, 'hex', '') }, BODY, ''), false);
+  assert.equal(verifySignature({ authorization: 'Bearer ' }, BODY, null), false);
+});
+
+test('verifySignature: timestamped signatures must be fresh and cover the timestamp', () => {
+  const signed = (at, now = NOW, opts = {}) => verifySignature(
+    { 'x-webhook-timestamp': seconds(at), 'x-hub-signature-256': `sha256=${sign(`${seconds(at)}.${BODY}`)}` }, BODY, SECRET, { now, ...opts });
+
+  assert.equal(signed(NOW), true);
+  assert.equal(signed(NOW - 299 * 1000), true);
+  assert.equal(signed(NOW - 301 * 1000), false);
+  assert.equal(signed(NOW + 301 * 1000), false);
+  assert.equal(signed(NOW - 301 * 1000, NOW, { toleranceSeconds: 600 }), true);
+  // A signature of the body alone does not count once a timestamp is sent,
+  // nor does a timestamp the signature was not made with
+  assert.equal(verifySignature({ 'x-webhook-timestamp': seconds(NOW), 'x-hub-signature-256': sign(BODY) }, BODY, SECRET, { now: NOW }), false);
+  assert.equal(verifySignature({ 'x-webhook-timestamp': seconds(NOW + 1000), 'x-hub-signature-256': sign(`${seconds(NOW)}.${BODY}`) }, BODY, SECRET, { now: NOW }), false);
+  assert.equal(verifySignature({ 'x-webhook-timestamp': 'yesterday', 'x-hub-signature-256': sign(`yesterday.${BODY}`) }, BODY, SECRET, { now: NOW }), false);
+});
+
+test('parseWebhookEvent: common plugin payloads', () => {
+  assert.deepEqual(parseWebhookEvent({ action: 'post_updated', post_id: 12 }), { action: 'upsert', event: 'post_updated', postType: 'post', id: 12 });
+  assert.deepEqual(parseWebhookEvent({ hook: 'trashed_post', post: { ID: '34', post_type: 'page' } }), { action: 'remove', event: 'trashed_post', postType: 'page', id: 34 });
+  assert.deepEqual(parseWebhookEvent({ event: 'Delete', ID: 5, post_type: 'product' }), { action: 'remove', event: 'delete', postType: 'product', id: 5 });
+  assert.deepEqual(parseWebhookEvent({ comment_ID: '9', post_id: 12 }), { action: 'upsert', event: 'update', postType: 'comment', id: 9 });
+  assert.deepEqual(parseWebhookEvent({ id: 7 }, { 'x-wc-webhook-topic': 'product.deleted' }), { action: 'remove', event: 'product.deleted', postType: 'post', id: 7 });
+});
+
+test('parseWebhookEvent: payloads without a usable ID are a 400', () => {
+  for (const body of [null, [], 'post', { action: 'update' }, { post_id: 0 }, { post_id: -3 }, { post_id: 'abc' }, { post_id: 1.5 }]) {
+    assert.throws(() => parseWebhookEvent(body), { name: 'HttpError', status: 400 }, JSON.stringify(body));
+  }
+});
+
+test('index lock: one holder at a time, released on exit from withIndexLock', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-lock-test-'));
+  try {
+    const release = await acquireIndexLock(dir, 'first');
+    const holder = JSON.parse(fs.readFileSync(path.join(dir, LOCK_FILENAME), 'utf8'));
+    assert.deepEqual([holder.owner, holder.pid], ['first', process.pid]);
+
+    let waitedFor = null;
+    await assert.rejects(acquireIndexLock(dir, 'second', { timeoutMs: 0, onWait: h => { waitedFor = h.owner; } }), /locked by first \(pid \d+, since /);
+    assert.equal(waitedFor, 'first');
+    const aborted = new AbortController();
+    aborted.abort();
+    await assert.rejects(acquireIndexLock(dir, 'third', { signal: aborted.signal }), /locked by first/);
+
+    await release();
+    assert.equal(fs.existsSync(path.join(dir, LOCK_FILENAME)), false);
+    await assert.rejects(withIndexLock(dir, 'fourth', async () => { throw new Error('build failed'); }), /build failed/);
+    assert.equal(await withIndexLock(dir, 'fifth', async () => 'done'), 'done');
+    assert.equal(fs.existsSync(path.join(dir, LOCK_FILENAME)), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('index lock: a lock left by a process that is gone is taken over', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-lock-test-'));
+  try {
+    fs.writeFileSync(path.join(dir, LOCK_FILENAME), JSON.stringify({ owner: 'crashed', pid: 2 ** 22 + 1, host: os.hostname(), acquired_at: 'earlier' }));
+    const release = await acquireIndexLock(dir, 'next', { timeoutMs: 0 });
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, LOCK_FILENAME), 'utf8')).owner, 'next');
+    await release();
+
+    // Another host's process cannot be checked, so its lock stands
+    fs.writeFileSync(path.join(dir, LOCK_FILENAME), JSON.stringify({ owner: 'remote', pid: 2 ** 22 + 1, host: 'elsewhere', acquired_at: 'earlier' }));
+    await assert.rejects(acquireIndexLock(dir, 'next', { timeoutMs: 0 }), /locked by remote \(pid \d+ on elsewhere/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// The request handler up to queueing: routing, signatures and ignored types
+let server;
+let base;
+let tmpDir;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-webhook-test-'));
+  const indexesFile = path.join(tmpDir, 'indexes.json');
+  fs.writeFileSync(indexesFile, JSON.stringify({
+    indexes: {
+      site: { wordpress_posts_url: 'https://example.com/wp-json/wp/v2/posts', data_dir: path.join(tmpDir, 'data'), env: { WEBHOOK_SECRET: SECRET } }
+    }
+  }));
+  process.env.INDEXES_FILE = indexesFile;
+  server = http.createServer(createWebhookHandler({ secret: 'unused', toleranceSeconds: 300 }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const post = (url, body, headers = {}) => fetch(`${base}${url}`, { method: 'POST', body, headers: { 'content-type': 'application/json', ...headers } });
+
+test('createWebhookHandler: routing and signature errors', async () => {
+  assert.equal((await fetch(`${base}/webhook`)).status, 405);
+  assert.equal((await post('/other', BODY)).status, 404);
+  assert.equal((await post('/webhook?index=missing', BODY, { 'x-hub-signature-256': sign(BODY) })).status, 404);
+  const unsigned = await post('/webhook', BODY);
+  assert.equal(unsigned.status, 401);
+  assert.deepEqual(await unsigned.json(), { error: 'Invalid or expired webhook signature' });
+  // The index's own secret applies, not the receiver default
+  assert.equal((await post('/webhook', BODY, { 'x-hub-signature-256': sign(BODY, 'hex', 'unused') })).status, 401);
+  const stale = seconds(Date.now() - 3600 * 1000);
+  assert.equal((await post('/webhook', BODY, { 'x-webhook-timestamp': stale, 'x-hub-signature-256': sign(`${stale}.${BODY}`) })).status, 401);
+});
+
+test('createWebhookHandler: bad payloads and types the index does not hold', async () => {
+  const notJson = Buffer.from('post 123');
+  assert.equal((await post('/webhook', notJson, { 'x-hub-signature-256': sign(notJson) })).status, 400);
+  const noId = Buffer.from('{"action":"update"}');
+  assert.equal((await post('/webhook', noId, { 'x-hub-signature-256': sign(noId) })).status, 400);
+
+  const product = Buffer.from('{"action":"update","post_id":5,"post_type":"product"}');
+  const response = await post('/webhook?index=site', product, { 'x-hub-signature-256': sign(product) });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { status: 'ignored', reason: 'product items are not indexed', index: 'site' });
+});